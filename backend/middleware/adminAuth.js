@@ -0,0 +1,139 @@
+// middleware/adminAuth.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { AdminUser } from '../models/adminUser.model.js';
+import { AdminSession } from '../models/adminSession.model.js';
+import { envSecret } from '../utils/secrets.js';
+
+// Settings are read lazily because server.js loads .env after its imports run
+const accessTokenTtl = () => process.env.ADMIN_ACCESS_TOKEN_TTL || '15m';
+const refreshTokenTtlMs = () => (Number(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const jwtSecret = () => envSecret('ADMIN_JWT_SECRET', 'admin sessions will not survive a restart');
+
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Open a session for an admin user and return its token pair.
+ */
+export async function issueAdminTokens(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await AdminSession.create({
+    user: user._id,
+    refreshTokenHash: hashRefreshToken(refreshToken),
+    userAgent: req?.headers?.['user-agent'],
+    ip: req?.ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  });
+  return { ...signAccessToken(user, session), refreshToken };
+}
+
+/**
+ * Swap a refresh token for a new pair. The refresh token is rotated so a
+ * stolen one stops working after its first use by either party.
+ */
+export async function rotateAdminTokens(refreshToken) {
+  const session = await AdminSession.findOne({
+    refreshTokenHash: hashRefreshToken(String(refreshToken || '')),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) return null;
+
+  const user = await AdminUser.findById(session.user);
+  if (!user || !user.isActive) {
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+
+  const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashRefreshToken(nextRefreshToken);
+  session.lastUsedAt = new Date();
+  await session.save();
+  return { ...signAccessToken(user, session), refreshToken: nextRefreshToken, user };
+}
+
+function signAccessToken(user, session) {
+  const token = jwt.sign(
+    { sub: String(user._id), role: user.role, sid: String(session._id) },
+    jwtSecret(),
+    { expiresIn: accessTokenTtl() }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+const readBearerToken = (req) => {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+};
+
+const isLiveSession = (session, payload) => Boolean(session) && !session.revokedAt && String(session.user) === payload.sub;
+
+/**
+ * Build middleware that requires a signed-in admin with one of the given
+ * roles. Owners pass every role check; no roles means any active admin.
+ * The authenticated admin is exposed as `req.admin`.
+ */
+export const requireAdmin = (...roles) => async (req, res, next) => {
+  try {
+    const token = readBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret());
+    } catch (verifyErr) {
+      const expired = verifyErr.name === 'TokenExpiredError';
+      return res.status(401).json({ error: expired ? 'Session expired' : 'Unauthorized', code: expired ? 'TOKEN_EXPIRED' : undefined });
+    }
+
+    const session = await AdminSession.findById(payload.sid).lean();
+    if (!isLiveSession(session, payload)) {
+      return res.status(401).json({ error: 'Session has been signed out' });
+    }
+    const user = await AdminUser.findById(payload.sub).lean();
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (roles.length > 0 && user.role !== 'owner' && !roles.includes(user.role)) {
+      return res.status(403).json({ error: 'Your role does not allow this action' });
+    }
+
+    req.admin = { id: String(user._id), username: user.username, role: user.role, sessionId: String(session._id) };
+    return next();
+  } catch (e) {
+    console.error('❌ Admin auth error:', e);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+};
+
+// Any signed-in admin, whatever the role
+export const verifyAdmin = requireAdmin();
+
+/**
+ * Set `req.admin` when the request carries a valid admin session and carry on
+ * either way, for routes shared by admins and customers. Customer tokens in
+ * the same header are simply not admin tokens.
+ */
+export const optionalAdmin = async (req, res, next) => {
+  req.admin = null;
+  const token = readBearerToken(req);
+  if (!token) return next();
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    const session = await AdminSession.findById(payload.sid).lean();
+    const user = isLiveSession(session, payload) ? await AdminUser.findById(payload.sub).lean() : null;
+    if (user?.isActive) {
+      req.admin = { id: String(user._id), username: user.username, role: user.role, sessionId: String(session._id) };
+    }
+  } catch {
+    // Not an admin token
+  }
+  next();
+};
@@ -0,0 +1,75 @@
+// middleware/customerAuth.js
+import jwt from 'jsonwebtoken';
+import { envSecret } from '../utils/secrets.js';
+
+// Settings are read lazily because server.js loads .env after its imports run
+const sessionTtl = () => `${Number(process.env.CUSTOMER_SESSION_DAYS) || 30}d`;
+
+// Separate from ADMIN_JWT_SECRET so a customer token can never pass as an admin one
+export const customerJwtSecret = () => envSecret('CUSTOMER_JWT_SECRET', 'customer sessions will not survive a restart');
+
+/**
+ * Reduce an Indian mobile number to its 10 digits ("+91 98765 43210" →
+ * "9876543210"). Returns null when it is not a valid mobile number.
+ */
+export const normalizeMobile = (value) => {
+  let digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+/**
+ * Match orders whose stored mobile was typed with or without the country code.
+ */
+export const mobileMatch = (mobile) => ({ $in: [mobile, `+91${mobile}`, `91${mobile}`, `0${mobile}`] });
+
+/**
+ * Filter for a customer's own orders: the session's mobile when logged in,
+ * otherwise the mobile number sent with the request. Null when there is neither.
+ */
+export const ownOrdersFilter = (req, mobile) => {
+  if (req.customer) return { 'customerDetails.mobile': mobileMatch(req.customer.mobile) };
+  if (!mobile) return null;
+  const normalized = normalizeMobile(mobile);
+  return {
+    'customerDetails.mobile': normalized ? { $in: [String(mobile), ...mobileMatch(normalized).$in] } : String(mobile),
+  };
+};
+
+/**
+ * Sign a customer session for a verified mobile number.
+ */
+export function issueCustomerToken(mobile) {
+  const token = jwt.sign({ sub: mobile, typ: 'customer' }, customerJwtSecret(), { expiresIn: sessionTtl() });
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+const readCustomer = (req) => {
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Bearer ')) return null;
+  try {
+    const payload = jwt.verify(authHeader.slice(7), customerJwtSecret());
+    return payload.typ === 'customer' ? { mobile: payload.sub } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Set `req.customer = { mobile }` when a valid customer session is sent.
+ * Requests without one carry on, so routes can fall back to orderId + mobile.
+ */
+export const optionalCustomer = (req, res, next) => {
+  req.customer = readCustomer(req);
+  next();
+};
+
+export const requireCustomer = (req, res, next) => {
+  req.customer = readCustomer(req);
+  if (!req.customer) {
+    return res.status(401).json({ error: 'Please log in with the OTP sent to your mobile' });
+  }
+  next();
+};
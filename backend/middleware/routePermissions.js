@@ -0,0 +1,170 @@
+// middleware/routePermissions.js
+import { requireAdmin } from './adminAuth.js';
+
+// Marks a mutating route that customers or anonymous visitors may call
+export const PUBLIC = 'public';
+
+/**
+ * Who may call each protected or mutating route, as "METHOD /express/path".
+ * A role list means a signed-in admin with one of those roles (owners always
+ * pass; an empty list means any admin). Every non-GET route must be listed
+ * here, either with roles or as PUBLIC - server startup fails otherwise.
+ */
+export const ROUTE_PERMISSIONS = {
+  // Customer checkout and self-service
+  'POST /api/orders/place': PUBLIC,
+  'POST /api/orders': PUBLIC,
+  'POST /api/orders/upload-payment': PUBLIC,
+  'POST /api/orders/:orderId/cancel': PUBLIC,
+  'PATCH /api/orders/:orderId': PUBLIC,
+  'POST /api/cart/validate-coupon': PUBLIC,
+  'POST /api/cart/items': PUBLIC,
+  'PATCH /api/cart/items/:productId': PUBLIC,
+  'DELETE /api/cart/items/:productId': PUBLIC,
+  'DELETE /api/cart': PUBLIC,
+  'POST /api/notifications/register-token': PUBLIC,
+  'POST /api/notifications/unregister-token': PUBLIC,
+  'PUT /api/notifications/topics': PUBLIC,
+
+  // Customer OTP login
+  'POST /api/auth/otp/request': PUBLIC,
+  'POST /api/auth/otp/verify': PUBLIC,
+
+  // Customer account - the router itself requires a customer session
+  'PATCH /api/me': PUBLIC,
+  'POST /api/me/addresses': PUBLIC,
+  'PATCH /api/me/addresses/:addressId': PUBLIC,
+  'DELETE /api/me/addresses/:addressId': PUBLIC,
+  'POST /api/me/orders/:orderId/reorder': PUBLIC,
+
+  // Admin sessions
+  'POST /api/admin/login': PUBLIC,
+  'POST /api/admin/refresh': PUBLIC,
+  'POST /api/admin/logout': PUBLIC,
+  'GET /api/admin/me': [],
+
+  // Admin user management
+  'GET /api/admin/users': ['owner'],
+  'POST /api/admin/users': ['owner'],
+  'PATCH /api/admin/users/:id': ['owner'],
+  'DELETE /api/admin/users/:id/sessions': ['owner'],
+
+  // Orders and payments
+  'GET /api/orders': ['order-desk'],
+  'GET /api/analytics': ['owner'],
+  'PATCH /api/orders/verify-payment/:orderId': ['order-desk'],
+  'GET /api/admin/payments/queue': ['order-desk'],
+  'POST /api/admin/payments/statement': ['order-desk'],
+  'PATCH /api/orders/update-status/:orderId': ['order-desk'],
+  'DELETE /api/orders/cancel/:orderId': ['order-desk'],
+  'GET /api/admin/inventory/low-stock': ['catalog-editor', 'order-desk'],
+
+  // Catalog
+  'POST /api/uploads/category-icon': ['catalog-editor'],
+  'POST /api/products': ['catalog-editor'],
+  'PUT /api/products/:id': ['catalog-editor'],
+  'DELETE /api/products/:id': ['catalog-editor'],
+  'POST /api/products/reorder': ['catalog-editor'],
+  'POST /api/categories': ['catalog-editor'],
+  'POST /api/categories/reorder': ['catalog-editor'],
+  'POST /api/admin/categories': ['catalog-editor'],
+  'PATCH /api/categories/:name': ['catalog-editor'],
+  'PATCH /api/categories/:name/rename': ['catalog-editor'],
+  'DELETE /api/categories/:name': ['catalog-editor'],
+
+  // Pricing
+  'POST /api/products/apply-discount': ['catalog-editor'],
+  'GET /api/admin/coupons': ['catalog-editor'],
+  'POST /api/admin/coupons': ['catalog-editor'],
+  'PUT /api/admin/coupons/:code': ['catalog-editor'],
+  'DELETE /api/admin/coupons/:code': ['catalog-editor'],
+  'GET /api/admin/discount-campaigns': ['catalog-editor'],
+  'POST /api/admin/discount-campaigns': ['catalog-editor'],
+  'GET /api/admin/discount-campaigns/:id': ['catalog-editor'],
+  'POST /api/admin/discount-campaigns/:id/end': ['catalog-editor'],
+
+  // Audit log
+  'GET /api/admin/audit': ['owner'],
+  'POST /api/admin/audit/:id/restore-product': ['catalog-editor'],
+
+  // Transactional email outbox
+  'GET /api/admin/emails': ['order-desk'],
+  'GET /api/admin/emails/:id': ['order-desk'],
+  'POST /api/admin/emails/:id/resend': ['order-desk'],
+
+  // Marketing push campaigns
+  'GET /api/admin/push-campaigns': ['owner'],
+  'POST /api/admin/push-campaigns': ['owner'],
+  'GET /api/admin/push-campaigns/:id': ['owner'],
+  'POST /api/admin/push-campaigns/:id/cancel': ['owner'],
+
+  // Background jobs
+  'GET /api/admin/jobs/dead': ['owner'],
+  'POST /api/admin/jobs/dead/:id/retry': ['owner'],
+
+  // Push notifications
+  'GET /api/notifications/tokens-count': ['owner'],
+  'POST /api/notifications/send': ['order-desk'],
+  'POST /api/notifications/send-to-all': ['owner'],
+};
+
+const parseKey = (key) => {
+  const [method, path] = key.split(' ');
+  return { method: method.toUpperCase(), path };
+};
+
+/**
+ * Register an auth guard in front of every route in the map. Must run before
+ * the routes themselves are registered so the guard is matched first.
+ */
+export function applyRoutePermissions(app, permissions = ROUTE_PERMISSIONS) {
+  for (const [key, roles] of Object.entries(permissions)) {
+    if (roles === PUBLIC) continue;
+    const { method, path } = parseKey(key);
+    app[method.toLowerCase()](path, requireAdmin(...roles));
+  }
+}
+
+// Recover "/api/orders" from the regexp Express 4 builds for app.use('/api/orders', router)
+const mountPathOf = (layer) => {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+};
+
+const collectRoutes = (stack, prefix = '') => stack.flatMap((layer) => {
+  if (layer.route) {
+    return Object.keys(layer.route.methods)
+      .filter((method) => method !== '_all')
+      // router.patch('/') under app.use('/api/me') is listed as "/api/me"
+      .map((method) => ({ method: method.toUpperCase(), path: prefix && layer.route.path === '/' ? prefix : prefix + layer.route.path }));
+  }
+  if (layer.name === 'router' && layer.handle?.stack) {
+    return collectRoutes(layer.handle.stack, prefix + mountPathOf(layer));
+  }
+  return [];
+});
+
+/**
+ * Throw if any registered non-GET route is missing from the permission map,
+ * so a new write endpoint cannot ship without a decision about who may call it.
+ */
+export function assertRoutesProtected(app, permissions = ROUTE_PERMISSIONS) {
+  const routes = collectRoutes(app._router?.stack || []);
+  const unprotected = routes
+    .filter(({ method }) => !['GET', 'HEAD', 'OPTIONS'].includes(method))
+    .filter(({ method, path }) => !(`${method} ${path}` in permissions))
+    .map(({ method, path }) => `${method} ${path}`);
+
+  if (unprotected.length > 0) {
+    throw new Error(`Routes missing from ROUTE_PERMISSIONS: ${[...new Set(unprotected)].join(', ')}`);
+  }
+
+  const registered = new Set(routes.map(({ method, path }) => `${method} ${path}`));
+  const stale = Object.keys(permissions).filter((key) => !registered.has(key));
+  if (stale.length > 0) {
+    console.warn('⚠️ ROUTE_PERMISSIONS entries with no matching route:', stale.join(', '));
+  }
+}
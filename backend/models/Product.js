@@ -1,15 +1,40 @@
+// models/Product.js
 import mongoose from 'mongoose';
+import { watchProductSchema } from '../utils/productEvents.js';
 
+// Single products collection. Replaces the per-category collections created by
+// getProductModelByCategory, which are only read while compatibility mode is on.
 const productSchema = new mongoose.Schema({
   name_en: String,
   name_ta: String,
   price: Number,
-  original_price: Number, // Add this field
+  original_price: Number,
+  // GST classification; utils/gst.js falls back to DEFAULT_HSN_CODE / DEFAULT_GST_RATE
+  hsnCode: String,
+  gstRate: { type: Number, enum: [0, 5, 12, 18, 28] },
+  // Units on hand; left unset for products whose stock is not tracked
+  stock: { type: Number, min: 0 },
+  // Ordering index within a category
+  order: { type: Number, default: 0 },
+  imageUrl: String,
+  youtube_url: String,
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  // Category name copied from Category.name so listings need no join
   category: String,
-  image_url: String,
-  youtube_url: String
+}, {
+  timestamps: true,
+  collection: 'products'
 });
 
-const Product = mongoose.model('Product', productSchema);
+productSchema.index({ categoryId: 1, order: 1, createdAt: -1 });
+productSchema.index({ name_en: 1 });
+productSchema.index({ price: 1 });
+watchProductSchema(productSchema);
+
+export const Product = mongoose.model('Product', productSchema);
 
 export default Product;
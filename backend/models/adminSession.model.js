@@ -0,0 +1,33 @@
+// models/adminSession.model.js
+import mongoose from 'mongoose';
+
+// One document per login. Access tokens carry the session id so a logout or
+// revocation takes effect immediately; the refresh token is stored hashed.
+const adminSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  // MongoDB removes the session once the refresh token has expired
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'admin_sessions'
+});
+
+export const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,54 @@
+// models/adminUser.model.js
+import mongoose from 'mongoose';
+
+// owner: everything, including managing admin users
+// order-desk: orders, payments and order notifications
+// catalog-editor: products, categories, pricing and discounts
+export const ADMIN_ROLES = ['owner', 'order-desk', 'catalog-editor'];
+
+const adminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  displayName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // bcrypt hash; the plain password is never stored
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ADMIN_ROLES,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true,
+  collection: 'admin_users'
+});
+
+adminUserSchema.methods.toSafeJSON = function toSafeJSON() {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+  };
+};
+
+export const AdminUser = mongoose.model('AdminUser', adminUserSchema);
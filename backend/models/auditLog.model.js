@@ -0,0 +1,49 @@
+// models/auditLog.model.js
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: String,
+    username: String,
+    role: String
+  },
+  // Dotted action name, e.g. product.update, order.status_update
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  method: String,
+  route: String,
+  targetType: {
+    type: String,
+    index: true
+  },
+  targetId: {
+    type: String,
+    index: true
+  },
+  // Full snapshots so a product can be restored from any entry
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Only the top-level fields that changed
+  diff: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  meta: mongoose.Schema.Types.Mixed,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'audit_logs'
+});
+
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,48 @@
+// models/cart.model.js
+import mongoose from 'mongoose';
+
+// What the customer saw when the line was added or last repriced, so the
+// next read can tell them what changed.
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name_en: String,
+  price: Number,
+  category: String,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A cart belongs either to a guest (random token sent as X-Cart-Token) or to
+// a customer. Guest carts expire after a period of inactivity; a guest cart
+// is merged into the customer cart on login.
+const cartSchema = new mongoose.Schema({
+  guestToken: {
+    type: String,
+    index: { unique: true, sparse: true }
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: { unique: true, sparse: true }
+  },
+  items: [cartItemSchema],
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'carts'
+});
+
+export const Cart = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,17 @@
+// models/counter.model.js
+import mongoose from 'mongoose';
+
+// Named sequences, e.g. "invoice:2025-26" or "coupon:DIWALI10:9876543210"
+// (utils/coupons.js). Incremented atomically with $inc.
+const counterSchema = new mongoose.Schema({
+  _id: String,
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  collection: 'counters',
+  versionKey: false
+});
+
+export const Counter = mongoose.model('Counter', counterSchema);
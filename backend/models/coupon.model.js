@@ -0,0 +1,71 @@
+// models/coupon.model.js
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // 'percentage' takes value% off, 'flat' takes value rupees off
+  type: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap for percentage coupons (0 = no cap)
+  maxDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Category names the coupon applies to; empty means every category
+  categories: {
+    type: [String],
+    default: []
+  },
+  // Total redemptions allowed (0 = unlimited)
+  usageLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Redemptions allowed per customer mobile number (0 = unlimited)
+  perMobileLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  collection: 'coupons'
+});
+
+export const Coupon = mongoose.model('Coupon', couponSchema);
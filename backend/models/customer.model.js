@@ -0,0 +1,36 @@
+// models/customer.model.js
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+  label: { type: String, default: '' },
+  fullName: String,
+  address: { type: String, required: true },
+  pincode: String,
+  isDefault: { type: Boolean, default: false },
+}, { timestamps: true });
+
+// One customer per mobile number (10 digits, see normalizeMobile). Created on
+// the first order or OTP login; orders link back through Order.customer.
+const customerSchema = new mongoose.Schema({
+  mobile: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fullName: String,
+  email: String,
+  addresses: [addressSchema],
+  // Channels for order updates (utils/orderNotifications.js); false is an opt-out
+  notificationPreferences: {
+    email: { type: Boolean, default: true },
+    push: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    whatsapp: { type: Boolean, default: true }
+  },
+  lastOrderAt: Date
+}, {
+  timestamps: true,
+  collection: 'customers'
+});
+
+export const Customer = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,54 @@
+// models/deviceToken.model.js
+import mongoose from 'mongoose';
+
+// One document per FCM registration token, so a customer can have several
+// devices. Tokens FCM rejects are deleted when a send reports them
+// (utils/push.js); tokens not seen for 270 days, which FCM treats as stale,
+// are removed by MongoDB.
+const deviceTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Client-chosen ID from older app versions; "customer_<mobile>" only with a matching session
+  userId: {
+    type: String,
+    index: true
+  },
+  // Set only from a verified customer session
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
+  mobile: {
+    type: String,
+    index: true
+  },
+  platform: {
+    type: String,
+    enum: ['web', 'android', 'ios'],
+    default: 'web'
+  },
+  topics: {
+    type: [String],
+    index: true
+  },
+  // Language for campaign texts: 'en' or 'ta'
+  language: {
+    type: String,
+    enum: ['en', 'ta'],
+    default: 'en'
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+    index: { expires: 270 * 24 * 60 * 60 }
+  }
+}, {
+  timestamps: true,
+  collection: 'device_tokens'
+});
+
+export const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
@@ -0,0 +1,73 @@
+// models/discountCampaign.model.js
+import mongoose from 'mongoose';
+
+const priceChangeSchema = new mongoose.Schema({
+  productId: String,
+  // Category name when the campaign started, for reporting
+  category: String,
+  name_en: String,
+  previousPrice: Number,
+  discountedPrice: Number,
+  // Set when the campaign ends: restored, or skipped because the price was edited meanwhile
+  rollback: {
+    type: String,
+    enum: ['restored', 'skipped', 'missing']
+  }
+}, { _id: false });
+
+const discountCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Percentage taken off original_price while the campaign runs
+  discount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Category names in scope; empty with no productIds means every category
+  categories: {
+    type: [String],
+    default: []
+  },
+  productIds: {
+    type: [String],
+    default: []
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Open-ended when unset; the campaign then runs until ended manually
+  endsAt: {
+    type: Date,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  changes: {
+    type: [priceChangeSchema],
+    default: []
+  },
+  // Products left alone because another active campaign already priced them
+  skippedProductIds: {
+    type: [String],
+    default: []
+  },
+  activatedAt: Date,
+  endedAt: Date,
+  createdBy: String
+}, {
+  timestamps: true,
+  collection: 'discount_campaigns'
+});
+
+export const DiscountCampaign = mongoose.model('DiscountCampaign', discountCampaignSchema);
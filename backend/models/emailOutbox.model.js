@@ -0,0 +1,59 @@
+// models/emailOutbox.model.js
+import mongoose from 'mongoose';
+
+// Every transactional email, rendered when queued and sent by the
+// 'email.send' job (utils/mailer.js). A resend is a new message pointing at
+// the one it repeats, so each delivery keeps its own attempts and error.
+const emailOutboxSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true,
+    index: true
+  },
+  locale: {
+    type: String,
+    enum: ['en', 'ta'],
+    default: 'en'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  text: String,
+  html: String,
+  orderId: {
+    type: String,
+    index: true
+  },
+  // The order's invoice PDF is attached when the message is sent
+  attachInvoice: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'retrying', 'sent', 'failed', 'skipped'],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailOutbox'
+  },
+  requestedBy: String
+}, {
+  timestamps: true,
+  collection: 'email_outbox'
+});
+
+emailOutboxSchema.index({ createdAt: -1 });
+
+export const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -1,17 +1,21 @@
 // ✅ Dynamic model generator
 import mongoose from 'mongoose';
+import { watchProductSchema } from '../utils/productEvents.js';
 
 const productSchema = new mongoose.Schema({
   name_en: String,
   name_ta: String,
   price: Number,
   original_price: Number,
+  // Units on hand; left unset for products whose stock is not tracked
+  stock: { type: Number, min: 0 },
   // Ordering index within a category
   order: { type: Number, default: 0, index: true },
   imageUrl: String,
   youtube_url: String,
   category: String,
 }, { timestamps: true });
+watchProductSchema(productSchema);
 
 const modelCache = {};
 
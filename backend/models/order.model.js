@@ -1,5 +1,25 @@
 // models/order.model.js
 import mongoose from 'mongoose';
+import { ORDER_STATUSES } from '../utils/orderStatus.js';
+
+// One payment the customer says they made, with its proof (utils/payments.js)
+const paymentSchema = new mongoose.Schema({
+  // Amount the customer says they paid
+  amount: { type: Number, required: true, min: 0 },
+  // UPI UTR or bank transaction reference
+  reference: { type: String, trim: true },
+  screenshotUrl: String,
+  // 'bank_statement' when added by a statement import without a customer upload
+  source: { type: String, enum: ['customer', 'bank_statement'], default: 'customer' },
+  uploadedAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ['pending', 'verified', 'rejected'], default: 'pending' },
+  // Amount actually received, set on verification; may differ from `amount`
+  verifiedAmount: Number,
+  // Shown to the customer so they can upload a corrected proof
+  rejectionReason: String,
+  reviewedBy: String,
+  reviewedAt: Date,
+});
 
 const orderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
@@ -12,32 +32,172 @@ const orderSchema = new mongoose.Schema({
       quantity: Number,
       category: String,
       imageUrl: String,
+      hsnCode: String,
+      gstRate: Number,
     },
   ],
+  // Catalog value of the items before any coupon
+  subtotal: Number,
   total: { type: Number, required: true },
+  discount: {
+    couponCode: String,
+    type: { type: String, enum: ['percentage', 'flat'] },
+    value: Number,
+    categories: [String],
+    eligibleSubtotal: Number,
+    amount: { type: Number, default: 0 },
+  },
+  // Server-side repricing result; total above is always the catalog total
+  pricing: {
+    clientTotal: Number,
+    priceMismatch: { type: Boolean, default: false },
+    adjustments: [
+      {
+        _id: false,
+        id: String,
+        name_en: String,
+        clientPrice: Number,
+        price: Number,
+      },
+    ],
+  },
+  // Set on placement (and by scripts/backfillCustomers.js for older orders)
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    index: true
+  },
   customerDetails: {
     fullName: String,
     mobile: String,
     email: String,
     address: String,
     pincode: String,
+    // Language for emails: 'en' (default) or 'ta' (utils/emailTemplates.js)
+    language: String,
   },
   status: { 
     type: String, 
-    enum: ['confirmed', 'payment_verified', 'booked'], 
+    enum: ORDER_STATUSES, 
     default: "confirmed" 
   },
+  // Every status change, oldest first
+  statusHistory: [
+    {
+      _id: false,
+      status: { type: String, enum: ORDER_STATUSES },
+      from: String,
+      at: { type: Date, default: Date.now },
+      actor: {
+        kind: { type: String, enum: ['admin', 'customer', 'system'] },
+        id: String,
+        name: String,
+      },
+      note: String,
+    },
+  ],
+  // Cancelled orders are kept; this records why and by whom
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    cancelledBy: String,
+  },
+  // GST tax invoice, numbered per financial year (utils/gst.js). Kept as
+  // issued so a reprint never changes when product tax rates do.
+  invoice: {
+    number: { type: String, index: { unique: true, sparse: true } },
+    financialYear: String,
+    issuedAt: Date,
+    seller: {
+      name: String,
+      gstin: String,
+      address: String,
+      stateCode: String,
+      stateName: String,
+    },
+    placeOfSupply: {
+      code: String,
+      name: String,
+      assumed: Boolean,
+    },
+    interState: Boolean,
+    lines: [
+      {
+        _id: false,
+        name_en: String,
+        name_ta: String,
+        hsnCode: String,
+        gstRate: Number,
+        quantity: Number,
+        unitPrice: Number,
+        grossAmount: Number,
+        discount: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        amount: Number,
+      },
+    ],
+    hsnSummary: [
+      {
+        _id: false,
+        hsnCode: String,
+        gstRate: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+      },
+    ],
+    totals: {
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      totalTax: Number,
+      discount: Number,
+      grandTotal: Number,
+    },
+    amountInWords: String,
+  },
+  // Order confirmation email with the invoice attached (utils/invoiceJobs.js),
+  // mirrored from its outbox message
+  invoiceEmail: {
+    status: { type: String, enum: ['queued', 'retrying', 'sent', 'failed', 'not_configured', 'invalid_email', 'opted_out'] },
+    attempts: Number,
+    lastError: String,
+    updatedAt: Date,
+    sentAt: Date,
+    outbox: { type: mongoose.Schema.Types.ObjectId, ref: 'EmailOutbox' },
+  },
+  // True once items were taken from product stock, so cancellation can return them
+  stockReserved: { type: Boolean, default: false },
   transportName: { type: String, default: "" },
   lrNumber: { type: String, default: "" },
-  // Payment screenshot fields
-  paymentScreenshot: {
-    imageUrl: String,
-    uploadedAt: Date,
-    verified: { type: Boolean, default: false },
-    verifiedBy: String,
-    verifiedAt: Date,
+  // Payment proofs, oldest first. The three fields after it are derived from
+  // them by paymentSummary (utils/payments.js); older orders kept a single
+  // `paymentScreenshot` until scripts/migratePaymentProofs.js
+  payments: [paymentSchema],
+  amountPaid: { type: Number, default: 0 },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'awaiting_verification', 'partially_paid', 'paid'],
+    default: 'unpaid',
   },
+  // Upload time of the oldest proof not yet reviewed; orders the verification queue
+  paymentPendingSince: { type: Date, index: true },
   createdAt: { type: Date, default: Date.now },
 });
 
+// New orders start their history with the status they were placed in
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, at: this.createdAt, actor: { kind: 'customer', id: this.customerDetails?.mobile } });
+  }
+  next();
+});
+
+orderSchema.index({ 'payments.reference': 1 });
+
 export const Order = mongoose.model('Order', orderSchema);
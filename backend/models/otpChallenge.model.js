@@ -0,0 +1,40 @@
+// models/otpChallenge.model.js
+import mongoose from 'mongoose';
+
+// One document per OTP sent. Only a hash of the code is stored; documents
+// are removed by MongoDB shortly after they expire and also serve as the
+// per-number send history for rate limiting.
+const otpChallengeSchema = new mongoose.Schema({
+  mobile: {
+    type: String,
+    required: true,
+    index: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Kept a while past expiry so the send-rate window can still count it
+  purgeAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true,
+  collection: 'otp_challenges'
+});
+
+otpChallengeSchema.index({ mobile: 1, createdAt: -1 });
+
+export const OtpChallenge = mongoose.model('OtpChallenge', otpChallengeSchema);
@@ -0,0 +1,83 @@
+// models/pushCampaign.model.js
+import mongoose from 'mongoose';
+
+const localizedSchema = new mongoose.Schema({
+  en: { type: String, required: true, trim: true },
+  // Devices registered with language "ta" get this; English when unset
+  ta: { type: String, trim: true }
+}, { _id: false });
+
+// Marketing push notification sent to the devices of an audience segment
+// (utils/pushCampaigns.js). Only devices subscribed to the "offers" topic are
+// reached, so customers who opted out never get campaigns.
+const pushCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: localizedSchema,
+    required: true
+  },
+  body: {
+    type: localizedSchema,
+    required: true
+  },
+  // App path ("/category/SPARKLERS") or https URL opened on tap
+  deepLink: String,
+  segment: {
+    type: {
+      type: String,
+      enum: ['everyone', 'category', 'unpaid', 'pincode'],
+      default: 'everyone'
+    },
+    // For "category": customers who ordered from it
+    category: String,
+    // For "pincode": delivery or saved-address PIN codes in this range, inclusive
+    pincodeFrom: String,
+    pincodeTo: String
+  },
+  scheduledAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  // Throttling: devices per FCM call and the pause between calls
+  batchSize: {
+    type: Number,
+    default: 500,
+    min: 1,
+    max: 500
+  },
+  pauseMs: {
+    type: Number,
+    default: 1000,
+    min: 0,
+    max: 60 * 1000
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled',
+    index: true
+  },
+  stats: {
+    customers: { type: Number, default: 0 },
+    devices: { type: Number, default: 0 },
+    successCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+    // Invalid tokens deleted during the send
+    removed: { type: Number, default: 0 },
+    batches: { type: Number, default: 0 }
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String,
+  createdBy: String
+}, {
+  timestamps: true,
+  collection: 'push_campaigns'
+});
+
+export const PushCampaign = mongoose.model('PushCampaign', pushCampaignSchema);
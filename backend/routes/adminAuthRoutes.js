@@ -0,0 +1,238 @@
+// routes/adminAuthRoutes.js
+import express from "express";
+import bcrypt from "bcryptjs";
+import rateLimit from "express-rate-limit";
+import mongoose from "mongoose";
+import { AdminUser, ADMIN_ROLES } from "../models/adminUser.model.js";
+import { AdminSession } from "../models/adminSession.model.js";
+import { issueAdminTokens, rotateAdminTokens, hashRefreshToken, verifyAdmin } from "../middleware/adminAuth.js";
+
+// Admin-only routes here are guarded by middleware/routePermissions.js
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Compared against for unknown usernames so response time does not reveal which exist
+let dummyHash = null;
+const getDummyHash = async () => {
+  if (!dummyHash) dummyHash = await bcrypt.hash('not-a-real-password', BCRYPT_ROUNDS);
+  return dummyHash;
+};
+
+// Slow down password guessing well below the general /api/admin limit
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many login attempts, please try again later' },
+});
+
+/**
+ * Create the first owner account from ADMIN_USERNAME / ADMIN_PASSWORD when
+ * no admin users exist yet, so existing deployments keep a way in.
+ */
+export async function bootstrapOwnerFromEnv() {
+  try {
+    const count = await AdminUser.estimatedDocumentCount();
+    if (count > 0) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('⚠️ No admin users exist and ADMIN_USERNAME/ADMIN_PASSWORD are not set - admin login is disabled');
+      return;
+    }
+    await AdminUser.create({
+      username: ADMIN_USERNAME,
+      displayName: 'Owner',
+      passwordHash: await bcrypt.hash(ADMIN_PASSWORD, BCRYPT_ROUNDS),
+      role: 'owner',
+    });
+    console.log(`✅ Owner account created for ${ADMIN_USERNAME}; ADMIN_PASSWORD can now be removed from the environment`);
+  } catch (err) {
+    console.error('❌ Failed to bootstrap owner account:', err.message);
+  }
+}
+
+// ✅ Admin Login
+router.post("/login", loginLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ success: false, error: 'Username and password are required' });
+    }
+    const user = await AdminUser.findOne({ username: String(username).trim().toLowerCase() });
+    const passwordOk = await bcrypt.compare(String(password), user?.passwordHash || await getDummyHash());
+    if (!user || !user.isActive || !passwordOk) {
+      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const tokens = await issueAdminTokens(user, req);
+    console.log(`✅ Admin login: ${user.username} (${user.role})`);
+    res.json({ success: true, ...tokens, user: user.toSafeJSON() });
+  } catch (error) {
+    console.error('❌ Admin login error:', error);
+    res.status(500).json({ success: false, error: 'Failed to log in' });
+  }
+});
+
+// ✅ Exchange a refresh token for a new token pair
+router.post("/refresh", loginLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, error: 'refreshToken is required' });
+    }
+    const result = await rotateAdminTokens(refreshToken);
+    if (!result) {
+      return res.status(401).json({ success: false, error: 'Session expired, please log in again' });
+    }
+    const { user, ...tokens } = result;
+    res.json({ success: true, ...tokens, user: user.toSafeJSON() });
+  } catch (error) {
+    console.error('❌ Admin token refresh error:', error);
+    res.status(500).json({ success: false, error: 'Failed to refresh session' });
+  }
+});
+
+// ✅ Logout (revokes the current session; its refresh token stops working too)
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      await AdminSession.updateOne(
+        { refreshTokenHash: hashRefreshToken(String(refreshToken)), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return res.json({ success: true, message: 'Logged out' });
+    }
+    // Fall back to the access token's session when no refresh token is sent
+    return verifyAdmin(req, res, async () => {
+      try {
+        await AdminSession.updateOne({ _id: req.admin.sessionId }, { $set: { revokedAt: new Date() } });
+        res.json({ success: true, message: 'Logged out' });
+      } catch (logoutError) {
+        console.error('❌ Admin logout error:', logoutError);
+        res.status(500).json({ success: false, error: 'Failed to log out' });
+      }
+    });
+  } catch (error) {
+    console.error('❌ Admin logout error:', error);
+    res.status(500).json({ success: false, error: 'Failed to log out' });
+  }
+});
+
+// ✅ Current admin
+router.get("/me", (req, res) => {
+  res.json({ user: req.admin });
+});
+
+// ✅ OWNER: List admin users
+router.get("/users", async (req, res) => {
+  try {
+    const users = await AdminUser.find({}).sort({ createdAt: 1 });
+    res.json(users.map((u) => u.toSafeJSON()));
+  } catch (error) {
+    console.error('❌ Error fetching admin users:', error);
+    res.status(500).json({ error: 'Failed to fetch admin users' });
+  }
+});
+
+// ✅ OWNER: Create admin user
+router.post("/users", async (req, res) => {
+  try {
+    const { username, password, role, displayName } = req.body || {};
+    const errors = [];
+    if (!username || typeof username !== 'string' || !username.trim()) errors.push('username is required');
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    if (!ADMIN_ROLES.includes(role)) errors.push(`role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+    const normalized = username.trim().toLowerCase();
+    if (await AdminUser.exists({ username: normalized })) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+    const user = await AdminUser.create({
+      username: normalized,
+      displayName: typeof displayName === 'string' ? displayName : '',
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role,
+    });
+    res.status(201).json({ message: '✅ Admin user created', user: user.toSafeJSON() });
+  } catch (error) {
+    console.error('❌ Error creating admin user:', error);
+    res.status(500).json({ error: 'Failed to create admin user' });
+  }
+});
+
+// ✅ OWNER: Update role, status, name or password. Disabling a user or changing
+// their password or role signs them out everywhere.
+router.patch("/users/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+    const { role, isActive, displayName, password } = req.body || {};
+    const demotingSelf = String(user._id) === req.admin.id && ((role && role !== 'owner') || isActive === false);
+    if (demotingSelf) {
+      return res.status(400).json({ error: 'You cannot remove your own owner access' });
+    }
+
+    let revokeSessions = false;
+    if (role !== undefined) {
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ADMIN_ROLES.join(', ')}` });
+      }
+      revokeSessions = revokeSessions || role !== user.role;
+      user.role = role;
+    }
+    if (isActive !== undefined) {
+      user.isActive = Boolean(isActive);
+      revokeSessions = revokeSessions || !user.isActive;
+    }
+    if (displayName !== undefined) user.displayName = String(displayName);
+    if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      revokeSessions = true;
+    }
+    await user.save();
+
+    if (revokeSessions) {
+      await AdminSession.updateMany({ user: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    }
+    res.json({ message: '✅ Admin user updated', user: user.toSafeJSON(), sessionsRevoked: revokeSessions });
+  } catch (error) {
+    console.error('❌ Error updating admin user:', error);
+    res.status(500).json({ error: 'Failed to update admin user' });
+  }
+});
+
+// ✅ OWNER: Sign a user out of every device
+router.delete("/users/:id/sessions", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    const result = await AdminSession.updateMany(
+      { user: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    res.json({ message: '✅ Sessions revoked', revoked: result.modifiedCount || 0 });
+  } catch (error) {
+    console.error('❌ Error revoking admin sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+export default router;
@@ -0,0 +1,90 @@
+// routes/adminEmailRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { resendEmail } from "../utils/mailer.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+// Transactional email outbox (utils/mailer.js). Guarded by middleware/routePermissions.js
+const router = express.Router();
+
+const OUTBOX_STATUSES = ['queued', 'retrying', 'sent', 'failed', 'skipped'];
+
+// ✅ List outbox messages, newest first (without the rendered bodies)
+router.get("/", async (req, res) => {
+  try {
+    const { status, template, orderId, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = {};
+    if (status) {
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${OUTBOX_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    if (template) query.template = String(template);
+    if (orderId) query.orderId = String(orderId);
+    if (to) query.to = String(to);
+
+    const [messages, total] = await Promise.all([
+      EmailOutbox.find(query, { text: 0, html: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EmailOutbox.countDocuments(query),
+    ]);
+    res.json({ messages, total, page, limit });
+  } catch (error) {
+    console.error('❌ Error listing email outbox:', error);
+    res.status(500).json({ error: 'Failed to list emails' });
+  }
+});
+
+// ✅ One message with its rendered subject, text and HTML
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const message = await EmailOutbox.findById(req.params.id).lean();
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    res.json({ message });
+  } catch (error) {
+    console.error('❌ Error fetching email:', error);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+// ✅ Send a message again, optionally to a corrected address
+router.post("/:id/resend", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    const to = typeof req.body?.to === 'string' && req.body.to.trim() ? req.body.to.trim() : undefined;
+    const message = await resendEmail(req.params.id, { to, requestedBy: req.admin?.username });
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    await recordAudit(req, {
+      action: 'email.resend',
+      targetType: 'email',
+      targetId: req.params.id,
+      after: { id: message._id, to: message.to, status: message.status },
+    });
+    res.status(201).json({ message: '✅ Email queued again', email: message });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error resending email:', error);
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
+});
+
+export default router;
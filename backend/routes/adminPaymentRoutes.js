@@ -0,0 +1,67 @@
+// routes/adminPaymentRoutes.js
+import express from "express";
+import multer from "multer";
+import { paymentQueue } from "../utils/payments.js";
+import { matchStatement, readStatement } from "../utils/bankStatement.js";
+import { actorFromRequest } from "../utils/orderLifecycle.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+// Payment proof review (utils/payments.js). Guarded by middleware/routePermissions.js;
+// proofs are verified or rejected through PATCH /api/orders/verify-payment/:orderId
+const router = express.Router();
+
+const STATEMENT_COLUMNS = ['date', 'reference', 'narration', 'credit', 'amount'];
+const uploadStatement = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// ✅ Orders with payment proofs awaiting verification, longest waiting first
+router.get("/queue", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json(await paymentQueue({ page, limit }));
+  } catch (error) {
+    console.error('❌ Error fetching payment queue:', error);
+    res.status(500).json({ error: 'Failed to fetch payment queue' });
+  }
+});
+
+// ✅ Import a bank statement CSV (file field "statement", or "csv" as text) and
+// verify the payments it proves (utils/bankStatement.js). ?dryRun=true only
+// reports what would match; <column>Column fields name columns the defaults miss.
+router.post("/statement", uploadStatement.single('statement'), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Statement CSV is required (file field: statement)' });
+    }
+    const columns = Object.fromEntries(
+      STATEMENT_COLUMNS.map((key) => [key, req.body?.[`${key}Column`]]).filter(([, name]) => typeof name === 'string' && name.trim())
+    );
+    const { entries, errors } = readStatement(text, columns);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Could not read statement: ${errors.join(', ')}` });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+    const { results, counts } = await matchStatement(entries, { actor: actorFromRequest(req), dryRun });
+    if (!dryRun) {
+      await recordAudit(req, {
+        action: 'payment.statement_import',
+        targetType: 'payment',
+        meta: { file: req.file?.originalname, credits: entries.length, counts },
+      });
+    }
+    res.json({
+      message: dryRun ? '🔎 Dry run - nothing was verified' : `✅ ${counts.matched || 0} payment(s) matched and verified`,
+      dryRun,
+      credits: entries.length,
+      counts,
+      results,
+    });
+  } catch (error) {
+    console.error('❌ Error importing bank statement:', error);
+    res.status(500).json({ error: 'Failed to import bank statement' });
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+// routes/cartRoutes.js
+import express from "express";
+import { optionalCustomer } from "../middleware/customerAuth.js";
+import { findOrCreateCustomer } from "../utils/customers.js";
+import {
+  MAX_LINE_QUANTITY,
+  addLine,
+  emptyCartView,
+  findCartProduct,
+  isGuestToken,
+  loadCart,
+  mergeGuestCart,
+  mutateCart,
+  newGuestToken,
+  repriceCart,
+} from "../utils/cart.js";
+
+// Carts are kept per customer (OTP session) or per guest (X-Cart-Token header).
+// A guest gets a token with the first item added and sends it back on every
+// cart request; after login the guest cart is folded into the customer's.
+const router = express.Router();
+
+const resolveCartOwner = async (req, res, next) => {
+  try {
+    const guestToken = isGuestToken(req.get('X-Cart-Token')) ? req.get('X-Cart-Token') : null;
+    if (req.customer) {
+      const customer = await findOrCreateCustomer(req.customer.mobile);
+      if (guestToken) await mergeGuestCart(guestToken, customer._id);
+      req.cartOwner = { customerId: customer._id };
+    } else {
+      req.cartOwner = guestToken ? { guestToken } : null;
+    }
+    next();
+  } catch (error) {
+    console.error('❌ Error resolving cart owner:', error);
+    res.status(500).json({ error: 'Failed to load cart' });
+  }
+};
+
+// Per route rather than router.use so /api/cart/validate-coupon is left alone
+const withCart = [optionalCustomer, resolveCartOwner];
+
+// Writes need an owner; a guest without a token gets a new one
+const writableOwner = (req) => req.cartOwner || { guestToken: newGuestToken() };
+
+const parseQuantity = (value, { allowZero = false } = {}) => {
+  const quantity = Number(value);
+  const min = allowZero ? 0 : 1;
+  if (!Number.isInteger(quantity) || quantity < min || quantity > MAX_LINE_QUANTITY) return null;
+  return quantity;
+};
+
+const sendCartError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// ✅ Current cart, repriced
+router.get("/", withCart, async (req, res) => {
+  try {
+    const cart = req.cartOwner && await loadCart(req.cartOwner);
+    if (!cart) {
+      return res.json(emptyCartView(req.cartOwner?.guestToken || null));
+    }
+    res.json(await repriceCart(cart));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to load cart');
+  }
+});
+
+// ✅ Add a product (quantities add up)
+router.post("/items", withCart, async (req, res) => {
+  try {
+    const { productId } = req.body || {};
+    const quantity = parseQuantity(req.body?.quantity ?? 1);
+    if (quantity === null) {
+      return res.status(400).json({ error: `quantity must be a whole number from 1 to ${MAX_LINE_QUANTITY}` });
+    }
+    const product = await findCartProduct(productId);
+    const { cart } = await mutateCart(writableOwner(req), (doc) => addLine(doc, product, quantity));
+    res.status(201).json(await repriceCart(cart));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to add to cart');
+  }
+});
+
+// ✅ Set a line's quantity; 0 removes it
+router.patch("/items/:productId", withCart, async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body?.quantity, { allowZero: true });
+    if (quantity === null) {
+      return res.status(400).json({ error: `quantity must be a whole number from 0 to ${MAX_LINE_QUANTITY}` });
+    }
+    const existing = req.cartOwner && await loadCart(req.cartOwner);
+    if (!existing || !existing.items.some((item) => item.productId === req.params.productId)) {
+      return res.status(404).json({ error: 'Product is not in the cart' });
+    }
+    const { cart } = await mutateCart(req.cartOwner, (doc) => {
+      if (quantity === 0) {
+        doc.items = doc.items.filter((item) => item.productId !== req.params.productId);
+        return;
+      }
+      const line = doc.items.find((item) => item.productId === req.params.productId);
+      if (line) line.quantity = quantity;
+    });
+    res.json(await repriceCart(cart));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to update cart');
+  }
+});
+
+// ✅ Remove a line
+router.delete("/items/:productId", withCart, async (req, res) => {
+  try {
+    const existing = req.cartOwner && await loadCart(req.cartOwner);
+    if (!existing || !existing.items.some((item) => item.productId === req.params.productId)) {
+      return res.status(404).json({ error: 'Product is not in the cart' });
+    }
+    const { cart } = await mutateCart(req.cartOwner, (doc) => {
+      doc.items = doc.items.filter((item) => item.productId !== req.params.productId);
+    });
+    res.json(await repriceCart(cart));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to remove from cart');
+  }
+});
+
+// ✅ Empty the cart
+router.delete("/", withCart, async (req, res) => {
+  try {
+    if (!req.cartOwner) {
+      return res.json(emptyCartView());
+    }
+    const { cart } = await mutateCart(req.cartOwner, (doc) => { doc.items = []; });
+    res.json(await repriceCart(cart));
+  } catch (error) {
+    sendCartError(res, error, 'Failed to clear cart');
+  }
+});
+
+export default router;
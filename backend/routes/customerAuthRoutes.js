@@ -0,0 +1,151 @@
+// routes/customerAuthRoutes.js
+import express from "express";
+import crypto from "crypto";
+import rateLimit from "express-rate-limit";
+import { OtpChallenge } from "../models/otpChallenge.model.js";
+import { sendSms } from "../utils/sms.js";
+import { findOrCreateCustomer } from "../utils/customers.js";
+import { mergeGuestCart } from "../utils/cart.js";
+import { normalizeMobile, issueCustomerToken, customerJwtSecret } from "../middleware/customerAuth.js";
+
+const router = express.Router();
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+// Per number: at most OTP_MAX_PER_WINDOW codes every OTP_WINDOW_MS, one per OTP_RESEND_MS
+const OTP_WINDOW_MS = 15 * 60 * 1000;
+const OTP_MAX_PER_WINDOW = 3;
+const OTP_RESEND_MS = 30 * 1000;
+
+// Per IP limits sit on top of the per-number ones stored with the challenges
+const otpRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many OTP requests, please try again later' },
+});
+
+const otpVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many attempts, please try again later' },
+});
+
+const hashCode = (mobile, code) => crypto
+  .createHmac('sha256', customerJwtSecret())
+  .update(`${mobile}:${code}`)
+  .digest('hex');
+
+const codesMatch = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// ✅ Send an OTP to a mobile number
+router.post("/otp/request", otpRequestLimiter, async (req, res) => {
+  try {
+    const mobile = normalizeMobile(req.body?.mobile);
+    if (!mobile) {
+      return res.status(400).json({ error: 'A valid 10-digit mobile number is required' });
+    }
+
+    const now = Date.now();
+    const recent = await OtpChallenge.find({ mobile, createdAt: { $gt: new Date(now - OTP_WINDOW_MS) } })
+      .sort({ createdAt: -1 })
+      .lean();
+    if (recent[0] && now - recent[0].createdAt.valueOf() < OTP_RESEND_MS) {
+      const retryAfter = Math.ceil((OTP_RESEND_MS - (now - recent[0].createdAt.valueOf())) / 1000);
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Please wait ${retryAfter} seconds before requesting another OTP`, retryAfter });
+    }
+    if (recent.length >= OTP_MAX_PER_WINDOW) {
+      return res.status(429).json({ error: 'Too many OTPs requested for this number, please try again later' });
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const challenge = await OtpChallenge.create({
+      mobile,
+      codeHash: hashCode(mobile, code),
+      ip: req.ip,
+      expiresAt: new Date(now + OTP_TTL_MS),
+      purgeAt: new Date(now + Math.max(OTP_TTL_MS, OTP_WINDOW_MS)),
+    });
+
+    try {
+      await sendSms({
+        to: `+91${mobile}`,
+        body: `${code} is your KMPyrotech login code. It expires in ${OTP_TTL_MS / 60000} minutes. Do not share it with anyone.`,
+      });
+    } catch (smsError) {
+      await OtpChallenge.deleteOne({ _id: challenge._id });
+      throw smsError;
+    }
+
+    res.json({ message: '✅ OTP sent', expiresInSeconds: OTP_TTL_MS / 1000 });
+  } catch (error) {
+    if (error.statusCode === 503) {
+      console.error('❌ OTP request error:', error.message);
+      return res.status(503).json({ error: 'Login by OTP is temporarily unavailable' });
+    }
+    console.error('❌ OTP request error:', error);
+    res.status(500).json({ error: 'Failed to send OTP' });
+  }
+});
+
+// ✅ Check an OTP and open a customer session
+router.post("/otp/verify", otpVerifyLimiter, async (req, res) => {
+  try {
+    const mobile = normalizeMobile(req.body?.mobile);
+    const code = String(req.body?.code || '').trim();
+    if (!mobile || !/^\d{6}$/.test(code)) {
+      return res.status(400).json({ error: 'mobile and the 6-digit code are required' });
+    }
+
+    const challenge = await OtpChallenge.findOne({
+      mobile,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 }).lean();
+    // Claim an attempt before comparing so parallel guesses cannot exceed the limit
+    const claimed = challenge && await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(401).json({ error: 'OTP expired or not requested, please request a new one' });
+    }
+
+    if (!codesMatch(hashCode(mobile, code), claimed.codeHash)) {
+      const attemptsLeft = Math.max(OTP_MAX_ATTEMPTS - claimed.attempts, 0);
+      return res.status(401).json({ error: 'Incorrect OTP', attemptsLeft });
+    }
+
+    // Single use: only the request that sets consumedAt gets a session
+    const consumed = await OtpChallenge.findOneAndUpdate(
+      { _id: claimed._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!consumed) {
+      return res.status(401).json({ error: 'OTP already used, please request a new one' });
+    }
+
+    const customer = await findOrCreateCustomer(mobile);
+    // Carry the guest cart over; a failed merge never blocks the login
+    let cartMerged = 0;
+    try {
+      cartMerged = await mergeGuestCart(req.body?.cartToken || req.get('X-Cart-Token'), customer._id);
+    } catch (mergeError) {
+      console.warn('⚠️ Could not merge guest cart on login:', mergeError.message);
+    }
+
+    const session = issueCustomerToken(mobile);
+    console.log(`✅ Customer login: ${mobile.slice(0, 2)}******${mobile.slice(-2)}`);
+    res.json({ success: true, ...session, customer: { mobile }, cartMerged });
+  } catch (error) {
+    console.error('❌ OTP verify error:', error);
+    res.status(500).json({ error: 'Failed to verify OTP' });
+  }
+});
+
+export default router;
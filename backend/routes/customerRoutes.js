@@ -0,0 +1,229 @@
+// routes/customerRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import { Order } from "../models/order.model.js";
+import { requireCustomer, ownOrdersFilter } from "../middleware/customerAuth.js";
+import { Customer } from "../models/customer.model.js";
+import { findOrCreateCustomer, rememberAddress } from "../utils/customers.js";
+import { customerOrderView } from "../utils/orderLifecycle.js";
+import { findProductsByIds } from "../utils/productStore.js";
+import { addLine, mutateCart, repriceCart } from "../utils/cart.js";
+import { NOTIFICATION_CHANNELS } from "../utils/orderNotifications.js";
+
+// Everything here belongs to the logged-in customer (OTP session)
+const router = express.Router();
+router.use(requireCustomer);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PINCODE_PATTERN = /^\d{6}$/;
+
+const profileJSON = (customer) => ({
+  mobile: customer.mobile,
+  fullName: customer.fullName || '',
+  email: customer.email || '',
+  addresses: customer.addresses,
+  notificationPreferences: Object.fromEntries(
+    NOTIFICATION_CHANNELS.map((channel) => [channel, customer.notificationPreferences?.[channel] !== false])
+  ),
+  lastOrderAt: customer.lastOrderAt,
+});
+
+// { sms: false, ... } - only known channels, only booleans
+const validatePreferences = (preferences) => {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return ['notificationPreferences must be an object'];
+  }
+  return Object.entries(preferences).flatMap(([channel, enabled]) => {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) return [`unknown notification channel ${channel}`];
+    return typeof enabled === 'boolean' ? [] : [`notificationPreferences.${channel} must be true or false`];
+  });
+};
+
+const validateAddress = ({ address, pincode }, { partial = false } = {}) => {
+  const errors = [];
+  if (!partial || address !== undefined) {
+    if (typeof address !== 'string' || !address.trim()) errors.push('address is required');
+  }
+  if (pincode !== undefined && pincode !== '' && !PINCODE_PATTERN.test(String(pincode))) {
+    errors.push('pincode must be 6 digits');
+  }
+  return errors;
+};
+
+// Orders linked to the customer, plus older ones that only carry the mobile
+const historyFilter = async (req) => {
+  const customer = await Customer.findOne({ mobile: req.customer.mobile }, { _id: 1 }).lean();
+  const byMobile = ownOrdersFilter(req);
+  return customer ? { $or: [{ customer: customer._id }, byMobile] } : byMobile;
+};
+
+// ✅ Profile
+router.get("/", async (req, res) => {
+  try {
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    res.json(profileJSON(customer));
+  } catch (error) {
+    console.error('❌ Error fetching customer profile:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// ✅ Update name, email and which channels order updates come on
+router.patch("/", async (req, res) => {
+  try {
+    const { fullName, email, notificationPreferences } = req.body || {};
+    if (email !== undefined && email !== '' && !EMAIL_PATTERN.test(String(email))) {
+      return res.status(400).json({ error: 'email is invalid' });
+    }
+    if (notificationPreferences !== undefined) {
+      const errors = validatePreferences(notificationPreferences);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+      }
+    }
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    if (fullName !== undefined) customer.fullName = String(fullName).trim();
+    if (email !== undefined) customer.email = String(email).trim();
+    for (const [channel, enabled] of Object.entries(notificationPreferences || {})) {
+      customer.set(`notificationPreferences.${channel}`, enabled);
+    }
+    await customer.save();
+    res.json({ message: '✅ Profile updated', customer: profileJSON(customer) });
+  } catch (error) {
+    console.error('❌ Error updating customer profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// ✅ Save an address
+router.post("/addresses", async (req, res) => {
+  try {
+    const { label, fullName, address, pincode, isDefault } = req.body || {};
+    const errors = validateAddress({ address, pincode });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    const saved = rememberAddress(customer, { label, fullName, address, pincode }, { makeDefault: Boolean(isDefault) });
+    await customer.save();
+    res.status(201).json({ message: '✅ Address saved', address: saved, customer: profileJSON(customer) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error saving address:', error);
+    res.status(500).json({ error: 'Failed to save address' });
+  }
+});
+
+// ✅ Edit an address or make it the default
+router.patch("/addresses/:addressId", async (req, res) => {
+  try {
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    const target = mongoose.Types.ObjectId.isValid(req.params.addressId)
+      ? customer.addresses.id(req.params.addressId)
+      : null;
+    if (!target) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    const { label, fullName, address, pincode, isDefault } = req.body || {};
+    const errors = validateAddress({ address, pincode }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+    if (label !== undefined) target.label = String(label);
+    if (fullName !== undefined) target.fullName = String(fullName);
+    if (address !== undefined) target.address = address.trim();
+    if (pincode !== undefined) target.pincode = String(pincode);
+    if (isDefault === true) {
+      customer.addresses.forEach((a) => { a.isDefault = a._id.equals(target._id); });
+    }
+    await customer.save();
+    res.json({ message: '✅ Address updated', address: target, customer: profileJSON(customer) });
+  } catch (error) {
+    console.error('❌ Error updating address:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+// ✅ Remove an address; the next one becomes the default if needed
+router.delete("/addresses/:addressId", async (req, res) => {
+  try {
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    const target = mongoose.Types.ObjectId.isValid(req.params.addressId)
+      ? customer.addresses.id(req.params.addressId)
+      : null;
+    if (!target) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    const wasDefault = target.isDefault;
+    target.deleteOne();
+    if (wasDefault && customer.addresses.length > 0) customer.addresses[0].isDefault = true;
+    await customer.save();
+    res.json({ message: '✅ Address removed', customer: profileJSON(customer) });
+  } catch (error) {
+    console.error('❌ Error removing address:', error);
+    res.status(500).json({ error: 'Failed to remove address' });
+  }
+});
+
+// ✅ Order history, newest first
+router.get("/orders", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const query = await historyFilter(req);
+    const [orders, total] = await Promise.all([
+      Order.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Order.countDocuments(query),
+    ]);
+    res.json({ orders: orders.map(customerOrderView), total, page, limit });
+  } catch (error) {
+    console.error('❌ Error fetching customer orders:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// ✅ Put a past order's products back into the customer's cart at today's
+// prices. Quantities add to whatever is already in the cart; nothing is ordered.
+router.post("/orders/:orderId/reorder", async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderId: String(req.params.orderId), ...(await historyFilter(req)) }).lean();
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const products = await findProductsByIds(order.items.map((item) => item.id), { name_en: 1, price: 1 });
+    const byId = new Map(products.filter((p) => typeof p.price === 'number').map((p) => [String(p._id), p]));
+    const unavailable = order.items
+      .filter((item) => !byId.has(item.id))
+      .map((item) => ({ id: item.id, name_en: item.name_en, quantity: item.quantity }));
+    const lines = order.items.filter((item) => byId.has(item.id));
+    if (lines.length === 0) {
+      return res.status(409).json({ error: 'None of the products in this order are available any more', unavailable });
+    }
+
+    const customer = await findOrCreateCustomer(req.customer.mobile);
+    const { cart } = await mutateCart({ customerId: customer._id }, (doc) => {
+      lines.forEach((item) => addLine(doc, byId.get(item.id), item.quantity));
+    });
+    const priceChanges = lines
+      .filter((item) => Math.round(item.price * 100) !== Math.round(byId.get(item.id).price * 100))
+      .map((item) => ({ id: item.id, name_en: item.name_en, orderedPrice: item.price, price: byId.get(item.id).price }));
+
+    res.json({
+      orderId: order.orderId,
+      cart: await repriceCart(cart),
+      priceChanges,
+      unavailable,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error rebuilding cart from order:', error);
+    res.status(500).json({ error: 'Failed to reorder' });
+  }
+});
+
+export default router;
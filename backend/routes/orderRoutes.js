@@ -1,345 +1,304 @@
 // routes/orderRoutes.js
 import express from "express";
 import { Order } from "../models/order.model.js";
-import path from 'path';
-import fs from 'fs';
-import PDFDocument from 'pdfkit';
-import nodemailer from 'nodemailer';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { priceCart } from "../utils/pricing.js";
+import { reserveStock, releaseStock } from "../utils/inventory.js";
+import { changeOrderStatus, customerOrderView } from "../utils/orderLifecycle.js";
+import { optionalCustomer, ownOrdersFilter } from "../middleware/customerAuth.js";
+import { placeOrder } from "../utils/orderPlacement.js";
+import { refreshTaxInvoice } from "../utils/gst.js";
+import { EMAIL_STATUS_MESSAGES, queueInvoice } from "../utils/invoiceJobs.js";
+import { notifyOrderEvent } from "../utils/orderNotifications.js";
+import { upiPaymentRequest } from "../utils/upi.js";
+import { applyPaymentSummary } from "../utils/payments.js";
+import { INACTIVE_ORDER_STATUSES } from "../utils/orderStatus.js";
+import rateLimit from "express-rate-limit";
 
 const router = express.Router();
 
-// Generate unique order ID without OrderCounter dependency (YYMMDD + random 3 digits)
-const getNextOrderIdForToday = async () => {
-  const today = new Date();
-  const dateStr = today.getFullYear().toString().slice(-2) +
-                 (today.getMonth() + 1).toString().padStart(2, '0') +
-                 today.getDate().toString().padStart(2, '0');
+// Place an order. POST /api/orders is the older path some clients still use.
+const placeOrderHandler = async (req, res) => {
+  try {
+    const { order, cart } = await placeOrder(req.body, { sessionMobile: req.customer?.mobile });
 
-  let attempt = 0;
-  const maxAttempts = 5;
-  while (attempt < maxAttempts) {
-    const suffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    const candidate = `${dateStr}${suffix}`;
-    const exists = await Order.findOne({ orderId: candidate }).lean();
-    if (!exists) {
-      console.log('🔢 Generated order ID:', candidate);
-      return candidate;
-    }
-    attempt++;
+    // Invoice PDF, email and the other notifications go out in the background;
+    // the client polls GET /api/orders/:orderId/email-status for the email
+    const { email: emailStatus } = await notifyOrderEvent('placed', order);
+
+    res.status(201).json({ 
+      message: '✅ Order placed successfully', 
+      orderId: order.orderId,
+      cart,
+      emailStatus,
+      emailMessage: EMAIL_STATUS_MESSAGES[emailStatus],
+      upi: await upiPaymentRequest(order),
+    });
+  } catch (error) {
+    console.error('❌ Order placement error:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: 'Failed to place order', 
+      details: error.details || error.message,
+      cart: error.cart,
+      outOfStock: error.outOfStock,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
   }
-  // Fallback to timestamp-based if collisions persist
-  const fallback = `${dateStr}${(Date.now() % 1000).toString().padStart(3, '0')}`;
-  console.log('🔢 Fallback order ID:', fallback);
-  return fallback;
 };
 
-function generateInvoice(order, filePath) {
-  const doc = new PDFDocument({ margin: 40 });
-  doc.pipe(fs.createWriteStream(filePath));
-
-  // Header
-  doc
-    .fontSize(28)
-    .fillColor('#d97706')
-    .text('KMPyrotech Invoice', { align: 'center', underline: true });
-  doc.moveDown(2);
-
-  // Draw main box
-  const boxTop = doc.y;
-  const boxLeft = 40;
-  const boxWidth = 520;
-  let boxHeight = 350 + (order.items.length * 25);
+router.post("/place", optionalCustomer, placeOrderHandler);
+router.post("/", optionalCustomer, placeOrderHandler);
 
-  // Draw rectangle (box)
-  doc
-    .lineWidth(2)
-    .roundedRect(boxLeft, boxTop, boxWidth, boxHeight, 12)
-    .stroke('#d97706');
+// ---------------------------------------------------------------------------
+// Customer self-service. The customer proves ownership with an OTP session
+// or with the orderId and the mobile number it was placed with, and can only
+// act while the order is still 'confirmed' (nothing has been packed yet).
 
-  // Customer Information Section
-  doc.moveDown(0.5);
-  doc.fontSize(14).fillColor('#d97706').font('Helvetica-Bold');
-  doc.text('Customer Information', boxLeft + 16, doc.y + 20);
-  
-  doc.fontSize(12).fillColor('#222').font('Helvetica');
-  const startY = doc.y + 40;
-  
-  // Left column
-  doc.text(`Order ID: ${order.orderId}`, boxLeft + 16, startY);
-  doc.text(`Name: ${order.customerDetails.fullName}`, boxLeft + 16, startY + 25);
-  doc.text(`Mobile: ${order.customerDetails.mobile}`, boxLeft + 16, startY + 50);
-  doc.text(`Address: ${order.customerDetails.address}`, boxLeft + 16, startY + 75, { width: 240 });
-  
-  // Right column
-  doc.text(`Date: ${new Date(order.createdAt).toLocaleString('en-IN')}`, boxLeft + 280, startY);
-  doc.text(`Email: ${order.customerDetails.email}`, boxLeft + 280, startY + 25);
-  doc.text(`Pincode: ${order.customerDetails.pincode}`, boxLeft + 280, startY + 50);
-  
-  doc.moveDown(2);
+const SELF_SERVICE_STATUSES = ['confirmed'];
+const PINCODE_PATTERN = /^\d{6}$/;
 
-  // Products Table Header
-  doc.font('Helvetica-Bold').fontSize(14).fillColor('#d97706');
-  doc.text('Order Items', boxLeft + 16, doc.y + 20);
-  
-  // Table header line
-  doc.moveDown(0.5);
-  doc.lineWidth(1);
-  doc.moveTo(boxLeft + 16, doc.y + 5);
-  doc.lineTo(boxLeft + boxWidth - 16, doc.y + 5);
-  doc.stroke('#d97706');
-  
-  // Table columns header
-  doc.font('Helvetica-Bold').fontSize(11).fillColor('#d97706');
-  const tableY = doc.y + 15;
-  doc.text('No.', boxLeft + 16, tableY);
-  doc.text('Product Name', boxLeft + 60, tableY);
-  doc.text('Qty', boxLeft + 280, tableY);
-  doc.text('Price', boxLeft + 320, tableY);
-  doc.text('Total', boxLeft + 380, tableY);
-  
-  // Table header line
-  doc.moveTo(boxLeft + 16, tableY + 15);
-  doc.lineTo(boxLeft + boxWidth - 16, tableY + 15);
-  doc.stroke('#d97706');
-
-  // Products Table Rows
-  doc.font('Helvetica').fontSize(11).fillColor('#222');
-  order.items.forEach((item, idx) => {
-    const rowY = tableY + 25 + (idx * 20);
-    doc.text(`${idx + 1}.`, boxLeft + 16, rowY);
-    doc.text(item.name_en, boxLeft + 60, rowY, { width: 200 });
-    doc.text(`${item.quantity}`, boxLeft + 280, rowY);
-    doc.text(`₹${item.price}`, boxLeft + 320, rowY);
-    doc.text(`₹${item.price * item.quantity}`, boxLeft + 380, rowY);
-  });
-  
-  // Table bottom line
-  const lastRowY = tableY + 25 + (order.items.length * 20);
-  doc.moveTo(boxLeft + 16, lastRowY + 10);
-  doc.lineTo(boxLeft + boxWidth - 16, lastRowY + 10);
-  doc.stroke('#d97706');
-
-  // Order Summary
-  doc.moveDown(1);
-  doc.font('Helvetica-Bold').fontSize(12).fillColor('#222');
-  doc.text(`Order Status: ${order.status || 'confirmed'}`, boxLeft + 16, lastRowY + 30);
-  
-  // Total Amount
-  doc.fontSize(16).fillColor('#d97706');
-  doc.text(`Total Amount: ₹${order.total}`, boxLeft + 280, lastRowY + 30);
+// Order ids are short, so keep guessing orderId/mobile pairs slow
+const selfServiceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many requests, please try again later' },
+});
 
-  // Thank you note
-  doc.moveDown(3);
-  doc.fontSize(14).fillColor('#16a34a').font('Helvetica-Bold');
-  doc.text('Thank you for shopping with KMPyrotech!', { align: 'center' });
-  doc.moveDown(0.5);
-  doc.fontSize(12).fillColor('#16a34a');
-  doc.text('Wishing you a safe and sparkling festival!', { align: 'center' });
+const findCustomerOrder = async (req, orderId) => {
+  const ownOrders = ownOrdersFilter(req, req.body?.mobile);
+  if (!orderId || !ownOrders) return null;
+  return Order.findOne({ orderId: String(orderId), ...ownOrders }).lean();
+};
 
-  doc.end();
-}
+const customerActor = (req, order) => ({ kind: 'customer', id: req.customer?.mobile || order.customerDetails?.mobile });
 
-export async function sendEmailWithInvoice(to, filePath) {
+// ✅ Customer: progress of the invoice email queued at placement
+router.get("/:orderId/email-status", optionalCustomer, async (req, res) => {
   try {
-    console.log('📧 Attempting to send email to:', to);
-    console.log('📧 Email configuration check:');
-    console.log('  - EMAIL_FROM:', process.env.EMAIL_FROM ? 'Set' : 'Not set');
-    console.log('  - EMAIL_PASS:', process.env.EMAIL_PASS ? 'Set' : 'Not set');
-    
-    if (!process.env.EMAIL_FROM || !process.env.EMAIL_PASS) {
-      throw new Error('Email configuration missing. Please set EMAIL_FROM and EMAIL_PASS environment variables.');
+    const ownOrders = ownOrdersFilter(req, req.query.mobile);
+    if (!ownOrders) {
+      return res.status(400).json({ error: 'Sign in or provide the mobile number used for the order' });
     }
-
-    // Check if invoice file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`Invoice file not found: ${filePath}`);
+    const order = await Order.findOne({ orderId: String(req.params.orderId), ...ownOrders }, { invoiceEmail: 1 }).lean();
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found or mobile number does not match' });
     }
+    const { status = null, attempts = 0, updatedAt = null, sentAt = null } = order.invoiceEmail || {};
+    res.json({
+      orderId: req.params.orderId,
+      emailStatus: status,
+      emailMessage: EMAIL_STATUS_MESSAGES[status] || null,
+      attempts,
+      updatedAt,
+      sentAt,
+    });
+  } catch (error) {
+    console.error('❌ Email status error:', error);
+    res.status(500).json({ error: 'Failed to fetch email status' });
+  }
+});
 
-    let transporter;
-    
-    // Try OAuth2 first if credentials are available
-    if (process.env.EMAIL_CLIENT_ID && process.env.EMAIL_CLIENT_SECRET && process.env.EMAIL_REFRESH_TOKEN) {
-      console.log('🔐 Using OAuth2 authentication');
-      transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          type: 'OAuth2',
-          user: process.env.EMAIL_FROM,
-          clientId: process.env.EMAIL_CLIENT_ID,
-          clientSecret: process.env.EMAIL_CLIENT_SECRET,
-          refreshToken: process.env.EMAIL_REFRESH_TOKEN,
-        },
-      });
-    } else {
-      console.log('🔐 Using App Password authentication');
-      transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          user: process.env.EMAIL_FROM,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
+// ✅ Customer: UPI link and QR code for what is left to pay (null when nothing is due)
+router.get("/:orderId/upi", optionalCustomer, async (req, res) => {
+  try {
+    const ownOrders = ownOrdersFilter(req, req.query.mobile);
+    if (!ownOrders) {
+      return res.status(400).json({ error: 'Sign in or provide the mobile number used for the order' });
     }
+    const order = await Order.findOne(
+      { orderId: String(req.params.orderId), ...ownOrders },
+      { orderId: 1, total: 1, amountPaid: 1, status: 1 }
+    ).lean();
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found or mobile number does not match' });
+    }
+    const upi = INACTIVE_ORDER_STATUSES.includes(order.status) ? null : await upiPaymentRequest(order);
+    res.json({ orderId: order.orderId, amountPaid: order.amountPaid || 0, upi });
+  } catch (error) {
+    console.error('❌ UPI payment request error:', error);
+    res.status(500).json({ error: 'Failed to build UPI payment request' });
+  }
+});
 
-    // Verify transporter configuration
-    await transporter.verify();
-    console.log('✅ Email transporter verified successfully');
-
-    const mailOptions = {
-      from: `"KMPyrotech" <${process.env.EMAIL_FROM}>`,
-      to: to,
-      subject: 'KMPyrotech - Your Order Invoice',
-      text: 'Thank you for your order! Please find your invoice attached.',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #16a34a;">Thank you for your order!</h2>
-          <p>Dear Customer,</p>
-          <p>Your order has been successfully placed. Please find your invoice attached to this email.</p>
-          <p>If you have any questions, please don't hesitate to contact us.</p>
-          <br>
-          <p>Best regards,<br>KMPyrotech Team</p>
-        </div>
-      `,
-      attachments: [{ 
-        filename: 'invoice.pdf', 
-        path: filePath 
-      }],
-    };
+// ✅ Customer: cancel own order
+router.post("/:orderId/cancel", selfServiceLimiter, optionalCustomer, async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body || {};
+    const order = await findCustomerOrder(req, orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found or mobile number does not match' });
+    }
+    if (!SELF_SERVICE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `This order is ${order.status} and can no longer be cancelled online. Please contact us.` });
+    }
 
-    const result = await transporter.sendMail(mailOptions);
-    console.log('✅ Email sent successfully:', result.messageId);
-    return result;
-    
+    const { order: cancelled } = await changeOrderStatus(orderId, 'cancelled', {
+      actor: customerActor(req, order),
+      reason: typeof reason === 'string' ? reason.slice(0, 500) : 'Cancelled by customer',
+      onlyFrom: SELF_SERVICE_STATUSES,
+    });
+    console.log(`✅ Order ${orderId} cancelled by customer`);
+    res.json({ message: '✅ Order cancelled successfully', orderId, status: cancelled.status });
   } catch (error) {
-    console.error('❌ Email sending failed:', error.message);
-    
-    // Provide specific error messages for common issues
-    if (error.code === 'EAUTH') {
-      console.error('🔐 Authentication failed. Please check your email credentials.');
-      console.error('💡 For Gmail, make sure to:');
-      console.error('   1. Enable 2-Factor Authentication');
-      console.error('   2. Generate an App Password');
-      console.error('   3. Use the App Password as EMAIL_PASS');
-    } else if (error.code === 'ECONNECTION') {
-      console.error('🌐 Connection failed. Please check your internet connection.');
-    } else if (error.code === 'ETIMEDOUT') {
-      console.error('⏰ Connection timed out. Please try again.');
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
-    
-    throw error;
+    console.error('❌ Customer cancellation error:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
   }
-}
+});
 
-// Place Order Route
-router.post("/place", async (req, res) => {
+// ✅ Customer: change quantities and/or delivery address of own order.
+// items: [{ id, quantity }] for lines already on the order; quantity 0 removes a line.
+router.patch("/:orderId", selfServiceLimiter, optionalCustomer, async (req, res) => {
   try {
-    const { items, total, customerDetails, status, createdAt } = req.body;
-    if (!items || !total || !customerDetails) {
-      return res.status(400).json({ error: 'Missing required order fields.' });
+    const { orderId } = req.params;
+    const { items, address, pincode } = req.body || {};
+    const order = await findCustomerOrder(req, orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found or mobile number does not match' });
+    }
+    if (!SELF_SERVICE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ error: `This order is ${order.status} and can no longer be changed online. Please contact us.` });
+    }
+    if (items === undefined && address === undefined && pincode === undefined) {
+      return res.status(400).json({ error: 'Nothing to change: send items, address or pincode' });
+    }
+
+    const set = {};
+    const changes = [];
+    if (address !== undefined) {
+      if (typeof address !== 'string' || !address.trim()) {
+        return res.status(400).json({ error: 'address must be a non-empty string' });
+      }
+      set['customerDetails.address'] = address.trim();
+      changes.push('address');
+    }
+    if (pincode !== undefined) {
+      if (!PINCODE_PATTERN.test(String(pincode))) {
+        return res.status(400).json({ error: 'pincode must be 6 digits' });
+      }
+      set['customerDetails.pincode'] = String(pincode);
+      changes.push('pincode');
     }
 
-    // Generate a unique order ID with minimal retries (in case of rare collision)
-    let orderId;
-    {
-      let attempts = 0;
-      const maxAttempts = 5;
-      while (true) {
-        orderId = await getNextOrderIdForToday();
-        console.log('🔍 Checking if order ID exists:', orderId);
-        const exists = await Order.findOne({ orderId });
-        if (!exists) {
-          console.log('✅ Order ID is unique:', orderId);
-          break;
+    let cart = null;
+    let increases = [];
+    let decreases = [];
+    if (items !== undefined) {
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ error: 'items must be a non-empty array' });
+      }
+      const requested = new Map();
+      for (const [idx, item] of items.entries()) {
+        const quantity = Number(item?.quantity);
+        if (!item?.id || !order.items.some((line) => line.id === String(item.id))) {
+          return res.status(400).json({ error: `items[${idx}] is not on this order` });
         }
-        console.log('⚠️ Order ID collision detected, retrying...');
-        attempts++;
-        if (attempts >= maxAttempts) {
-          console.error('❌ Failed to generate unique order ID after', maxAttempts, 'attempts');
-          return res.status(500).json({ error: 'Failed to generate unique order ID' });
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          return res.status(400).json({ error: `items[${idx}].quantity must be a whole number, 0 to remove` });
         }
+        requested.set(String(item.id), quantity);
       }
-    }
 
-    // Always start with 'confirmed' status when order is placed
-    console.log('📝 Creating new order with ID:', orderId);
-    const newOrder = new Order({
-      orderId,
-      items,
-      total,
-      customerDetails,
-      status: 'confirmed', // Always start with confirmed
-      createdAt: createdAt || new Date().toISOString(),
-    });
-    
-    console.log('📝 Order object created, saving to database...');
-    await newOrder.save();
-    console.log('✅ Order saved successfully');
-    
-    // Generate invoice path
-    const invoiceDir = path.join(__dirname, '..', 'invoices');
-    if (!fs.existsSync(invoiceDir)) fs.mkdirSync(invoiceDir);
-    const invoicePath = path.join(invoiceDir, `${orderId}.pdf`);
-    
-    // Generate invoice (optional - will work without email)
-    try {
-      await new Promise((resolve, reject) => {
-        generateInvoice(newOrder, invoicePath);
-        // Wait for PDF generation to complete
-        setTimeout(resolve, 1000);
+      const nextLines = order.items
+        .map((line) => ({ id: line.id, name_en: line.name_en, price: line.price, quantity: requested.get(line.id) ?? line.quantity }))
+        .filter((line) => line.quantity > 0);
+      if (nextLines.length === 0) {
+        return res.status(400).json({ error: 'An order needs at least one item; cancel the order instead' });
+      }
+
+      // Reprice against today's catalog, keeping the coupon this order already holds
+      cart = await priceCart(nextLines, undefined, {
+        couponCode: order.discount?.couponCode,
+        mobile: order.customerDetails.mobile,
+        heldByOrderId: order.orderId,
       });
-      console.log('✅ Invoice generated successfully');
-    } catch (invoiceError) {
-      console.error('⚠️ Invoice generation failed:', invoiceError);
+
+      // Only the difference in quantity touches stock
+      if (order.stockReserved) {
+        const before = new Map();
+        for (const line of order.items) before.set(line.id, (before.get(line.id) || 0) + line.quantity);
+        const after = new Map();
+        for (const line of cart.items) after.set(line.id, (after.get(line.id) || 0) + line.quantity);
+        for (const id of new Set([...before.keys(), ...after.keys()])) {
+          const delta = (after.get(id) || 0) - (before.get(id) || 0);
+          const name_en = order.items.find((line) => line.id === id)?.name_en;
+          if (delta > 0) increases.push({ id, name_en, quantity: delta });
+          if (delta < 0) decreases.push({ id, name_en, quantity: -delta });
+        }
+        increases = await reserveStock(increases);
+      }
+
+      set.items = cart.items;
+      set.subtotal = cart.subtotal;
+      set.total = cart.total;
+      set.discount = cart.discount || null;
+      set['pricing.adjustments'] = cart.adjustments;
+      set['pricing.priceMismatch'] = cart.adjustments.length > 0;
+      changes.push(`items (total ₹${order.total} → ₹${cart.total})`);
     }
-    
-    // Send email with invoice (optional - will work without email config)
-    let emailStatus = 'not_configured';
+
+    // The stock deltas above were worked out from the order as read, so the
+    // update only applies to that version; every edit bumps __v
+    let updated;
     try {
-      console.log('📧 Email sending process started...');
-      console.log('📧 Customer email:', customerDetails.email);
-      console.log('📧 Invoice path:', invoicePath);
-      
-      // Validate email format
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(customerDetails.email)) {
-        console.log('⚠️ Invalid email format:', customerDetails.email);
-        emailStatus = 'invalid_email';
-      } else if (process.env.EMAIL_FROM && process.env.EMAIL_PASS) {
-        console.log('📧 Email configuration found, attempting to send...');
-        await sendEmailWithInvoice(customerDetails.email, invoicePath);
-        console.log('✅ Email sent successfully to:', customerDetails.email);
-        emailStatus = 'sent';
-      } else {
-        console.log('⚠️ Email not sent - missing email configuration');
-        console.log('💡 To enable email sending, set EMAIL_FROM and EMAIL_PASS environment variables');
-        emailStatus = 'not_configured';
-      }
-    } catch (emailError) {
-      console.error('⚠️ Email sending failed:', emailError.message);
-      console.error('⚠️ Error details:', emailError);
-      emailStatus = 'failed';
+      updated = await Order.findOneAndUpdate(
+        {
+          orderId,
+          status: { $in: SELF_SERVICE_STATUSES },
+          __v: order.__v ?? { $exists: false },
+        },
+        {
+          $set: set,
+          $inc: { __v: 1 },
+          $push: {
+            statusHistory: {
+              status: order.status,
+              from: order.status,
+              at: new Date(),
+              actor: customerActor(req, order),
+              note: `Customer changed ${changes.join(', ')}`,
+            },
+          },
+        },
+        { new: true }
+      );
+    } catch (updateError) {
+      await releaseStock(increases);
+      throw updateError;
     }
-    
-    res.status(201).json({ 
-      message: '✅ Order placed successfully', 
-      orderId,
-      emailStatus,
-      emailMessage: emailStatus === 'sent' ? 'Invoice email sent successfully' : 
-                   emailStatus === 'not_configured' ? 'Email not configured' : 
-                   emailStatus === 'invalid_email' ? 'Invalid email format' :
-                   'Email sending failed'
-    });
+    if (!updated) {
+      await releaseStock(increases);
+      return res.status(409).json({ error: 'This order was changed in the meantime. Please check it and try again.' });
+    }
+    // From here the order holds the new quantities, so its stock stays taken
+    await releaseStock(decreases);
+
+    // A new total changes what is paid and due; payments may now cover it
+    if (cart) {
+      updated = await applyPaymentSummary(updated, {
+        actor: customerActor(req, order),
+        note: 'Verified payments cover the changed order total',
+      });
+    }
+
+    await refreshTaxInvoice(updated);
+    await queueInvoice(updated);
+    console.log(`✅ Order ${orderId} changed by customer: ${changes.join(', ')}`);
+    res.json({ message: '✅ Order updated successfully', order: customerOrderView(updated), cart });
   } catch (error) {
-    console.error('❌ Order placement error:', error);
-    res.status(500).json({ 
-      error: 'Failed to place order', 
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details,
+        outOfStock: error.outOfStock,
+      });
+    }
+    console.error('❌ Customer order change error:', error);
+    res.status(500).json({ error: 'Failed to update order' });
   }
 });
 
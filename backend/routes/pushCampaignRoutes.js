@@ -0,0 +1,102 @@
+// routes/pushCampaignRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+import { PushCampaign } from "../models/pushCampaign.model.js";
+import { cancelCampaign, parseCampaign, queueCampaign } from "../utils/pushCampaigns.js";
+import { recordAudit } from "../utils/auditLog.js";
+
+// Marketing push campaigns (utils/pushCampaigns.js). Guarded by middleware/routePermissions.js
+const router = express.Router();
+
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+
+// ✅ Create a campaign; without scheduledAt (or with a past one) it is sent right away
+router.post("/", async (req, res) => {
+  try {
+    const { fields, errors } = parseCampaign(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+
+    const campaign = await PushCampaign.create({ ...fields, createdBy: req.admin?.username || 'admin' });
+    const sendNow = campaign.scheduledAt <= new Date();
+    if (sendNow) await queueCampaign(campaign._id);
+
+    await recordAudit(req, {
+      action: 'push_campaign.create',
+      targetType: 'push_campaign',
+      targetId: campaign._id,
+      after: { name: campaign.name, segment: campaign.segment, scheduledAt: campaign.scheduledAt },
+    });
+    res.status(201).json({ message: `✅ Push campaign ${sendNow ? 'sending' : 'scheduled'}`, campaign });
+  } catch (error) {
+    console.error('❌ Error creating push campaign:', error);
+    res.status(500).json({ error: 'Failed to create push campaign' });
+  }
+});
+
+// ✅ Campaigns with their delivery stats, newest first (optional ?status=)
+router.get("/", async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = {};
+    if (status) {
+      if (!CAMPAIGN_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${CAMPAIGN_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+    const [campaigns, total] = await Promise.all([
+      PushCampaign.find(query).sort({ scheduledAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      PushCampaign.countDocuments(query),
+    ]);
+    res.json({ campaigns, total, page, limit });
+  } catch (error) {
+    console.error('❌ Error fetching push campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch push campaigns' });
+  }
+});
+
+// ✅ Single campaign
+router.get("/:id", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid campaign id' });
+    }
+    const campaign = await PushCampaign.findById(req.params.id).lean();
+    if (!campaign) {
+      return res.status(404).json({ error: 'Push campaign not found' });
+    }
+    res.json(campaign);
+  } catch (error) {
+    console.error('❌ Error fetching push campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch push campaign' });
+  }
+});
+
+// ✅ Cancel a scheduled campaign or stop one that is sending
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid campaign id' });
+    }
+    const campaign = await cancelCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'No scheduled or sending campaign with that id' });
+    }
+    await recordAudit(req, {
+      action: 'push_campaign.cancel',
+      targetType: 'push_campaign',
+      targetId: campaign._id,
+      meta: { stats: campaign.stats },
+    });
+    res.json({ message: '✅ Push campaign cancelled', campaign });
+  } catch (error) {
+    console.error('❌ Error cancelling push campaign:', error);
+    res.status(500).json({ error: 'Failed to cancel push campaign' });
+  }
+});
+
+export default router;
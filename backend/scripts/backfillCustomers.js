@@ -0,0 +1,64 @@
+// scripts/backfillCustomers.js
+// Creates a Customer for every mobile number found on existing orders and
+// links each order to it. Orders are replayed oldest first so the latest
+// name, email and default address win. Safe to re-run: only orders without
+// a customer are touched.
+//
+//   node scripts/backfillCustomers.js            create customers and link orders
+//   node scripts/backfillCustomers.js --dry-run  report how many orders would be linked
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { Order } from '../models/order.model.js';
+import { Customer } from '../models/customer.model.js';
+import { normalizeMobile } from '../middleware/customerAuth.js';
+import { upsertCustomerFromOrder } from '../utils/customers.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+  await Customer.syncIndexes();
+
+  const filter = { customer: { $exists: false } };
+  if (dryRun) {
+    const orders = await Order.find(filter, { 'customerDetails.mobile': 1 }).lean();
+    const mobiles = new Set(orders.map((o) => normalizeMobile(o.customerDetails?.mobile)).filter(Boolean));
+    console.log(`🔎 Dry run: ${orders.length} unlinked order(s), ${mobiles.size} distinct valid mobile number(s); nothing was written`);
+    return;
+  }
+
+  let linked = 0;
+  const skipped = [];
+  const cursor = Order.find(filter, { orderId: 1, customerDetails: 1, createdAt: 1 })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  for await (const order of cursor) {
+    // Replaying the shop's own order history, so later orders may update the profile
+    const customer = await upsertCustomerFromOrder(order.customerDetails, order.createdAt || new Date(), { verified: true });
+    if (!customer) {
+      skipped.push(order.orderId);
+      continue;
+    }
+    await Order.updateOne({ _id: order._id }, { $set: { customer: customer._id } });
+    linked += 1;
+  }
+
+  console.log(`✅ Linked ${linked} order(s) to ${await Customer.countDocuments()} customer(s)`);
+  if (skipped.length > 0) {
+    console.warn(`⚠️ ${skipped.length} order(s) have no valid mobile number and were left unlinked: ${skipped.slice(0, 20).join(', ')}${skipped.length > 20 ? ', ...' : ''}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Customer backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
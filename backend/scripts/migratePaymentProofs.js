@@ -0,0 +1,86 @@
+// scripts/migratePaymentProofs.js
+// Moves the single `paymentScreenshot` of older orders into the `payments`
+// list (utils/payments.js) and fills amountPaid, paymentStatus and
+// paymentPendingSince. The old screenshot is taken as a claim for the full
+// order total; a rejected one gets a placeholder reason, since rejections
+// had none. Safe to re-run: only orders that still have `paymentScreenshot`
+// are touched.
+//
+//   node scripts/migratePaymentProofs.js            migrate
+//   node scripts/migratePaymentProofs.js --dry-run  report how many orders would change
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { Order } from '../models/order.model.js';
+import { paymentSummary } from '../utils/payments.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_REJECTION_REASON = 'Rejected before rejection reasons were recorded';
+
+const legacyPayment = (order, screenshot) => {
+  const payment = {
+    _id: new mongoose.Types.ObjectId(),
+    amount: order.total,
+    screenshotUrl: screenshot.imageUrl,
+    uploadedAt: screenshot.uploadedAt || order.createdAt || new Date(),
+    status: 'pending',
+  };
+  if (screenshot.verified) {
+    Object.assign(payment, { status: 'verified', verifiedAmount: order.total });
+  } else if (screenshot.verifiedAt) {
+    Object.assign(payment, { status: 'rejected', rejectionReason: LEGACY_REJECTION_REASON });
+  }
+  if (screenshot.verifiedAt) {
+    Object.assign(payment, { reviewedBy: screenshot.verifiedBy, reviewedAt: screenshot.verifiedAt });
+  }
+  return payment;
+};
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+  await Order.syncIndexes();
+
+  // The old field is no longer in the schema, so read and write it directly
+  const filter = { paymentScreenshot: { $exists: true } };
+  if (dryRun) {
+    const [total, withProof] = await Promise.all([
+      Order.collection.countDocuments(filter),
+      Order.collection.countDocuments({ 'paymentScreenshot.imageUrl': { $exists: true, $ne: null } }),
+    ]);
+    console.log(`🔎 Dry run: ${total} order(s) with the old field, ${withProof} with a screenshot to move; nothing was written`);
+    return;
+  }
+
+  let moved = 0;
+  let cleared = 0;
+  const cursor = Order.collection.find(filter, {
+    projection: { total: 1, createdAt: 1, payments: 1, paymentScreenshot: 1 },
+  });
+  for await (const order of cursor) {
+    const screenshot = order.paymentScreenshot || {};
+    const update = { $unset: { paymentScreenshot: '' } };
+    if (screenshot.imageUrl) {
+      const payments = [...(order.payments || []), legacyPayment(order, screenshot)];
+      update.$set = { payments, ...paymentSummary({ total: order.total, payments }) };
+      moved += 1;
+    } else {
+      cleared += 1;
+    }
+    await Order.collection.updateOne({ _id: order._id }, update);
+  }
+
+  console.log(`✅ Moved ${moved} payment screenshot(s) into payments; cleared ${cleared} empty old field(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Payment proof migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,96 @@
+// scripts/migrateProducts.js
+// Copies every product from the per-category collections (ATOM_BOMB, ...) into
+// the unified `products` collection, keeping each product's _id so orders,
+// audit entries and discount campaigns still point at it. Safe to re-run.
+//
+//   node scripts/migrateProducts.js              migrate and switch off compatibility mode
+//   node scripts/migrateProducts.js --dry-run    report what would be copied
+//   node scripts/migrateProducts.js --drop-legacy  also drop each legacy collection once fully copied
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { Product } from '../models/Product.js';
+import {
+  listLegacyCollections,
+  ensureCategoryForCollection,
+  markProductsMigrated,
+} from '../utils/productStore.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const dropLegacy = process.argv.includes('--drop-legacy');
+
+async function migrateCollection(collectionName) {
+  const legacy = mongoose.connection.db.collection(collectionName);
+  const docs = await legacy.find({}).toArray();
+  if (dryRun) {
+    console.log(`🔎 ${collectionName}: ${docs.length} product(s) would be copied`);
+    return { collectionName, total: docs.length, copied: 0, verified: false };
+  }
+
+  const category = await ensureCategoryForCollection(collectionName);
+  const ops = docs.map(({ __v, ...doc }) => ({
+    updateOne: {
+      filter: { _id: doc._id },
+      // Never overwrite a product that was already edited in the unified collection
+      update: { $setOnInsert: { ...doc, categoryId: category._id, category: category.name } },
+      upsert: true,
+    },
+  }));
+  const result = ops.length > 0
+    ? await Product.collection.bulkWrite(ops, { ordered: false })
+    : { upsertedCount: 0 };
+
+  const ids = docs.map((doc) => doc._id);
+  const present = await Product.countDocuments({ _id: { $in: ids } });
+  const verified = present === docs.length;
+  console.log(`${verified ? '✅' : '❌'} ${collectionName} -> ${category.name}: ${result.upsertedCount} copied, ${present}/${docs.length} present in products`);
+
+  if (verified && dropLegacy) {
+    await legacy.drop();
+    console.log(`🗑️ Dropped legacy collection ${collectionName}`);
+  }
+  return { collectionName, total: docs.length, copied: result.upsertedCount, verified };
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+  await Product.syncIndexes();
+
+  const collections = await listLegacyCollections();
+  if (collections.length === 0) {
+    console.log('ℹ️ No per-category product collections found');
+  }
+
+  const results = [];
+  for (const collectionName of collections) {
+    results.push(await migrateCollection(collectionName));
+  }
+
+  if (dryRun) {
+    const total = results.reduce((sum, r) => sum + r.total, 0);
+    console.log(`🔎 Dry run: ${total} product(s) in ${results.length} collection(s); nothing was written`);
+    return;
+  }
+
+  const failed = results.filter((r) => !r.verified);
+  if (failed.length > 0) {
+    console.error(`❌ Not every product was copied for: ${failed.map((r) => r.collectionName).join(', ')}. Compatibility mode stays on; re-run the migration.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await markProductsMigrated();
+  console.log('✅ Products migrated; restart the server to leave compatibility mode');
+}
+
+main()
+  .catch((err) => {
+    console.error('❌ Product migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -13,15 +13,61 @@ import { CloudinaryStorage } from 'multer-storage-cloudinary';
 import PDFDocument from 'pdfkit';
 
 import { Order } from './models/order.model.js';
-import { getProductModelByCategory } from './models/getProductModelByCategory.js';
+import { Product } from './models/Product.js';
 import { Category } from './models/category.model.js';
+import { Coupon } from './models/coupon.model.js';
+import { DiscountCampaign } from './models/discountCampaign.model.js';
+import { DeviceToken } from './models/deviceToken.model.js';
 import helmet from 'helmet';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import apicache from 'apicache';
-import nodemailer from 'nodemailer';
-import { generateInvoice } from './utils/generateInvoice.js';
+import { loadInvoice, signInvoiceLink, verifyInvoiceLink, isSafeOrderId } from './utils/invoiceStorage.js';
+import { priceCart } from './utils/pricing.js';
+import { withStockFlag, getLowStockThreshold } from './utils/inventory.js';
+import { INACTIVE_ORDER_STATUSES } from './utils/orderStatus.js';
+import { changeOrderStatus, actorFromRequest, customerOrderView } from './utils/orderLifecycle.js';
+import { addPaymentProof, parsePaymentProof, reviewPayment } from './utils/payments.js';
+import { activateCampaign, endCampaign, startCampaignScheduler } from './utils/discountCampaigns.js';
+import { startPushCampaignScheduler } from './utils/pushCampaigns.js';
+import { recordAudit } from './utils/auditLog.js';
+import {
+  loadProductStoreMode,
+  isCompatMode,
+  toCollectionName,
+  listLegacyCollections,
+  resolveCategory,
+  ensureCategoryForCollection,
+  findProducts,
+  countProducts,
+  findProductById,
+  updateProduct,
+  updateManyProducts,
+  deleteProduct,
+  createProduct,
+  migrateLegacyProduct,
+  escapeRegex,
+} from './utils/productStore.js';
+import { searchProducts } from './utils/productSearch.js';
+import { onProductsChanged } from './utils/productEvents.js';
+import { LISTING_PARAMS, LISTING_PROJECTION, parseListingQuery, listingCacheKey, listProducts } from './utils/catalogListing.js';
+import { AuditLog } from './models/auditLog.model.js';
 import orderRoutes from './routes/orderRoutes.js';
+import adminAuthRoutes, { bootstrapOwnerFromEnv } from './routes/adminAuthRoutes.js';
+import customerAuthRoutes from './routes/customerAuthRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import adminEmailRoutes from './routes/adminEmailRoutes.js';
+import pushCampaignRoutes from './routes/pushCampaignRoutes.js';
+import adminPaymentRoutes from './routes/adminPaymentRoutes.js';
+import { normalizeMobile, optionalCustomer, ownOrdersFilter } from './middleware/customerAuth.js';
+import { optionalAdmin } from './middleware/adminAuth.js';
+import { findOrCreateCustomer } from './utils/customers.js';
+import { parseProductTaxFields } from './utils/gst.js';
+import './utils/notificationJobs.js';
+import { PUSH_LANGUAGES, PUSH_PLATFORMS, PUSH_TOPICS, audienceFilter, parseTopics, registerDeviceToken, sendPush, setDeviceTopics, unregisterDeviceToken } from './utils/push.js';
+import { startJobQueue, listDeadJobs, retryDeadJob } from './utils/jobQueue.js';
+import { applyRoutePermissions, assertRoutesProtected } from './middleware/routePermissions.js';
 
 import admin from 'firebase-admin'; // <-- Add this line
 
@@ -69,7 +115,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-Cart-Token"]
 }));
 
 // Preflight requests
@@ -102,20 +148,8 @@ const discountLimiter = rateLimit({
 // 6️⃣ JSON body parsing
 app.use(express.json());
 
-// Simple admin auth middleware for protected admin endpoints (moved up to avoid TDZ)
-const verifyAdmin = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
-    const validToken = process.env.ADMIN_TOKEN || 'admin-auth-token';
-    if (token && token === validToken) {
-      return next();
-    }
-    return res.status(401).json({ error: 'Unauthorized' });
-  } catch (e) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-};
+// Admin auth guards for every route in middleware/routePermissions.js
+applyRoutePermissions(app);
 
 // Static folder for locally stored category icons (Option A)
 const categoryIconsDir = path.join(__dirname, 'public', 'category-icons');
@@ -132,6 +166,27 @@ app.get("/", (req, res) => {
 // 8️⃣ Use order routes
 app.use('/api/orders', orderRoutes);
 
+// 9️⃣ Admin login, sessions and user management
+app.use('/api/admin', adminAuthRoutes);
+
+// 🔟 Customer OTP login
+app.use('/api/auth', customerAuthRoutes);
+
+// 1️⃣1️⃣ Customer profile, saved addresses and order history
+app.use('/api/me', customerRoutes);
+
+// 1️⃣2️⃣ Server-side cart for guests and customers
+app.use('/api/cart', cartRoutes);
+
+// 1️⃣3️⃣ Transactional email outbox
+app.use('/api/admin/emails', adminEmailRoutes);
+
+// 1️⃣4️⃣ Marketing push campaigns
+app.use('/api/admin/push-campaigns', pushCampaignRoutes);
+
+// 1️⃣5️⃣ Payment proof verification queue
+app.use('/api/admin/payments', adminPaymentRoutes);
+
 const cache = apicache.middleware;
 
 mongoose.connect(process.env.MONGODB_URI)
@@ -166,22 +221,7 @@ const clearCacheByPrefix = (prefix) => {
 };
 const clearAllCache = () => memoryCache.clear();
 
-const invoiceDir = path.join(__dirname, 'invoices');
-if (!fs.existsSync(invoiceDir)) fs.mkdirSync(invoiceDir);
-// Remove static serving of invoices. Use custom endpoint below.
-
-// Custom endpoint: Serve and delete invoice after download
-app.get('/invoices/:filename', (req, res) => {
-  const filePath = path.join(invoiceDir, req.params.filename);
-  res.download(filePath, (err) => {
-    if (!err) {
-      // Delete the file after successful download
-      fs.unlink(filePath, (unlinkErr) => {
-        if (unlinkErr) console.error('Error deleting invoice:', unlinkErr);
-      });
-    }
-  });
-});
+// Invoices are only served through /api/orders/:orderId/invoice (utils/invoiceStorage.js)
 
 const storage = new CloudinaryStorage({
   cloudinary,
@@ -229,102 +269,115 @@ app.post('/api/uploads/category-icon', uploadCategoryIcon.single('icon'), async
 
 
 
-// ✅ GET: Track Order
-app.get('/api/orders/track', async (req, res) => {
+// ✅ GET: Track Order (orderId + mobile, or a customer session)
+// With a session and no orderId, returns the customer's recent orders instead.
+app.get('/api/orders/track', optionalCustomer, async (req, res) => {
   try {
     const { orderId, mobile } = req.query;
-    if (!orderId || !mobile) {
+    const ownOrders = ownOrdersFilter(req, mobile);
+    if (req.customer && !orderId) {
+      const orders = await Order.find(ownOrders).sort({ createdAt: -1 }).limit(50);
+      return res.json(orders.map(customerOrderView));
+    }
+    if (!orderId || !ownOrders) {
       return res.status(400).json({ error: 'Missing orderId or mobile number' });
     }
-    const order = await Order.findOne({
-      orderId: String(orderId),
-      'customerDetails.mobile': String(mobile)
-    });
+    const order = await Order.findOne({ orderId: String(orderId), ...ownOrders });
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
-    res.json(order);
+    res.json(customerOrderView(order));
   } catch (error) {
     console.error('❌ Error tracking order:', error);
     res.status(500).json({ error: 'Failed to fetch order details' });
   }
 });
 
-// ✅ POST: Upload Payment Screenshot
-app.post('/api/orders/upload-payment', upload.single('screenshot'), async (req, res) => {
+// ✅ POST: Upload a payment proof (screenshot and/or UTR reference, amount paid)
+// Each upload is a separate payment, so part payments and re-uploads after a
+// rejection simply add another one (utils/payments.js)
+app.post('/api/orders/upload-payment', optionalCustomer, upload.single('screenshot'), async (req, res) => {
   try {
     const { orderId, mobile } = req.body;
+    const ownOrders = ownOrdersFilter(req, mobile);
     
-    if (!orderId || !mobile || !req.file) {
-      return res.status(400).json({ error: 'Missing orderId, mobile number, or screenshot' });
+    if (!orderId || !ownOrders) {
+      return res.status(400).json({ error: 'Missing orderId or mobile number' });
     }
 
     // Verify order exists and belongs to the customer
-    const order = await Order.findOne({
-      orderId: String(orderId),
-      'customerDetails.mobile': String(mobile)
-    });
+    const order = await Order.findOne({ orderId: String(orderId), ...ownOrders }).lean();
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found or mobile number does not match' });
     }
 
-    // Update order with payment screenshot
-    const updatedOrder = await Order.findOneAndUpdate(
-      { orderId: String(orderId) },
-      {
-        $set: {
-          'paymentScreenshot.imageUrl': req.file.path,
-          'paymentScreenshot.uploadedAt': new Date(),
-          'paymentScreenshot.verified': false
-        }
-      },
-      { new: true }
-    );
+    const { fields, errors } = parsePaymentProof(req.body, order);
+    if (!req.file && !fields.reference) errors.push('a screenshot or a reference number is required');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+
+    const { order: updatedOrder, payment } = await addPaymentProof(order.orderId, {
+      ...fields,
+      screenshotUrl: req.file?.path,
+    });
 
     res.json({ 
-      message: '✅ Payment screenshot uploaded successfully', 
-      order: updatedOrder 
+      message: '✅ Payment proof uploaded successfully', 
+      paymentId: payment._id,
+      order: customerOrderView(updatedOrder) 
     });
   } catch (error) {
-    console.error('❌ Error uploading payment screenshot:', error);
-    res.status(500).json({ error: 'Failed to upload payment screenshot' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ Error uploading payment proof:', error);
+    res.status(500).json({ error: 'Failed to upload payment proof' });
   }
 });
 
-// ✅ PATCH: Verify Payment Screenshot (Admin only)
+// ✅ PATCH: Verify or reject a payment proof (Admin only)
+// Body: { verified, paymentId?, amount?, reason? }. Without paymentId the
+// oldest proof awaiting verification is reviewed; rejecting needs a reason.
 app.patch('/api/orders/verify-payment/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { verified, verifiedBy } = req.body;
+    const { verified, paymentId, amount, reason } = req.body;
 
     if (typeof verified !== 'boolean') {
       return res.status(400).json({ error: 'Verified status is required' });
     }
+    if (paymentId !== undefined && !mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ error: 'Invalid payment id' });
+    }
 
-    const updateFields = {
-      'paymentScreenshot.verified': verified,
-      'paymentScreenshot.verifiedBy': verifiedBy || 'admin',
-      'paymentScreenshot.verifiedAt': new Date(),
-      // Update order status to 'payment_verified' when payment is verified
-      status: verified ? 'payment_verified' : 'confirmed'
-    };
-
-    const order = await Order.findOneAndUpdate(
-      { orderId },
-      { $set: updateFields },
-      { new: true }
-    );
+    const { order, previous, payment } = await reviewPayment(orderId, {
+      paymentId,
+      verified,
+      amount,
+      reason,
+      actor: actorFromRequest(req),
+    });
 
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    const paymentState = ({ status, amountPaid, paymentStatus }) => ({ status, amountPaid, paymentStatus });
+    await recordAudit(req, {
+      action: verified ? 'order.payment_verify' : 'order.payment_reject',
+      targetType: 'order',
+      targetId: orderId,
+      before: paymentState(previous),
+      after: paymentState(order),
+      meta: { paymentId: payment._id, amount: payment.amount, verifiedAmount: payment.verifiedAmount, reason: payment.rejectionReason },
+    });
 
     res.json({ 
       message: `✅ Payment ${verified ? 'verified' : 'rejected'} successfully`, 
       order 
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('❌ Error verifying payment:', error);
     res.status(500).json({ error: 'Failed to verify payment' });
   }
@@ -350,38 +403,41 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
-// ✅ GET: Download invoice PDF
-app.get('/api/orders/:orderId/invoice', async (req, res) => {
+// ✅ GET: Invoice PDF. Without a signature this issues a short-lived signed
+// link (admins, or the customer by session or order mobile number); the
+// signed link itself streams the PDF, regenerating it if storage lost it.
+app.get('/api/orders/:orderId/invoice', optionalAdmin, optionalCustomer, async (req, res) => {
   try {
     const { orderId } = req.params;
-    
-    // Verify order exists
-    const order = await Order.findOne({ orderId }).lean();
+    if (!isSafeOrderId(orderId)) {
+      return res.status(400).json({ error: 'Invalid order ID' });
+    }
+
+    const { expires, signature } = req.query;
+    if (signature) {
+      if (!verifyInvoiceLink(orderId, expires, signature)) {
+        return res.status(403).json({ error: 'This download link is invalid or has expired' });
+      }
+      const order = await Order.findOne({ orderId }).lean();
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      const pdf = await loadInvoice(order);
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="KM_Pyrotech_Invoice_${orderId}.pdf"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.send(pdf);
+    }
+
+    const filter = req.admin ? {} : ownOrdersFilter(req, req.query.mobile);
+    if (!filter) {
+      return res.status(401).json({ error: 'Log in or provide the mobile number used for the order' });
+    }
+    const order = await Order.findOne({ orderId, ...filter }, { orderId: 1 }).lean();
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
-    
-    // Check if invoice file exists
-    const invoicePath = path.join(__dirname, 'invoices', `${orderId}.pdf`);
-    if (!fs.existsSync(invoicePath)) {
-      return res.status(404).json({ error: 'Invoice not found' });
-    }
-    
-    // Set headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="KM_Pyrotech_Invoice_${orderId}.pdf"`);
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(invoicePath);
-    fileStream.pipe(res);
-    
-    fileStream.on('error', (error) => {
-      console.error('❌ Error streaming invoice:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Failed to download invoice' });
-      }
-    });
-    
+    res.json(signInvoiceLink(orderId));
   } catch (error) {
     console.error('❌ Error downloading invoice:', error);
     res.status(500).json({ 
@@ -393,18 +449,28 @@ app.get('/api/orders/:orderId/invoice', async (req, res) => {
 
 // generateInvoice function moved to orderRoutes.js
 
-// sendEmailWithInvoice function moved to orderRoutes.js
+// Emails are sent through utils/mailer.js
 
-// ✅ DELETE: Cancel Order
+// ✅ DELETE: Cancel Order (soft: the order is kept with status 'cancelled')
 app.delete('/api/orders/cancel/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const deletedOrder = await Order.findOneAndDelete({ orderId });
-    if (!deletedOrder) {
-      return res.status(404).json({ error: 'Order not found.' });
-    }
-    res.status(200).json({ message: '✅ Order cancelled successfully', orderId });
+    const { order, previous } = await changeOrderStatus(orderId, 'cancelled', {
+      actor: actorFromRequest(req),
+      reason: typeof req.body?.reason === 'string' ? req.body.reason : undefined,
+    });
+    await recordAudit(req, {
+      action: 'order.cancel',
+      targetType: 'order',
+      targetId: orderId,
+      before: { status: previous.status },
+      after: { status: order.status, cancellation: order.cancellation },
+    });
+    res.status(200).json({ message: '✅ Order cancelled successfully', orderId, order });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, allowed: error.allowed });
+    }
     console.error('❌ Order cancellation error:', error);
     res.status(500).json({ error: 'Failed to cancel order' });
   }
@@ -413,7 +479,7 @@ app.delete('/api/orders/cancel/:orderId', async (req, res) => {
 // ✅ POST: Add Product
 app.post('/api/products', upload.single('image'), async (req, res) => {
   try {
-    let { name_en, name_ta, price, original_price, category, youtube_url, imageUrl } = req.body;
+    let { name_en, name_ta, price, original_price, category, youtube_url, imageUrl, stock } = req.body;
     let finalImageUrl = req.file?.path || imageUrl;
     if (!name_en || !name_ta || !price || !category || !finalImageUrl) {
       return res.status(400).json({ error: 'All fields including image (file or URL) and category are required.' });
@@ -421,21 +487,19 @@ app.post('/api/products', upload.single('image'), async (req, res) => {
     // Ensure price and original_price are numbers
     price = Number(price);
     original_price = (original_price !== undefined && original_price !== '') ? Number(original_price) : undefined;
-    const ProductModel = getProductModelByCategory(category);
-    const newProduct = new ProductModel({ name_en, name_ta, price, original_price, imageUrl: finalImageUrl, youtube_url });
-    await newProduct.save();
-    // Invalidate product caches
-    clearCacheByPrefix('products:');
-    // Also clear HTTP apicache for product endpoints so frontend sees updates immediately
-    try {
-      if (apicache && typeof apicache.clearRegexp === 'function') {
-        apicache.clearRegexp(/\/api\/products\/(home|category|all)/);
-      } else if (apicache && typeof apicache.clear === 'function') {
-        apicache.clear();
-      }
-    } catch (e) {
-      console.warn('⚠️ Failed to clear apicache after product add:', e.message);
+    stock = (stock !== undefined && stock !== '') ? Number(stock) : undefined;
+    if (stock !== undefined && (!Number.isInteger(stock) || stock < 0)) {
+      return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+    }
+    const tax = parseProductTaxFields(req.body);
+    if (tax.errors.length > 0) {
+      return res.status(400).json({ error: tax.errors.join(', ') });
     }
+    const categoryDoc = await resolveCategory(category);
+    if (!categoryDoc) {
+      return res.status(400).json({ error: `Unknown category: ${category}` });
+    }
+    const newProduct = await createProduct({ name_en, name_ta, price, original_price, stock, imageUrl: finalImageUrl, youtube_url, ...tax.fields }, categoryDoc);
     res.status(201).json({ message: '✅ Product added successfully', product: newProduct });
   } catch (error) {
     console.error('❌ Product POST error:', error);
@@ -448,125 +512,86 @@ app.post('/api/products', upload.single('image'), async (req, res) => {
 app.put('/api/products/:id', upload.single('image'), async (req, res) => {
   try {
     const { id } = req.params;
-    let { name_en, name_ta, price, original_price, category, youtube_url, imageUrl } = req.body;
+    let { name_en, name_ta, price, original_price, category, youtube_url, imageUrl, stock } = req.body;
 
-    console.log('🔄 Product update request:', { id, name_en, name_ta, price, original_price, category, youtube_url, imageUrl });
-    console.log('🔄 File uploaded:', req.file);
+    console.log('🔄 Product update request:', { id, name_en, name_ta, price, original_price, category, youtube_url, imageUrl, stock });
 
     // Coerce numerics if present
     if (price !== undefined) price = Number(price);
     if (original_price !== undefined && original_price !== '') original_price = Number(original_price);
     else if (original_price === '') original_price = undefined;
+    // Empty string switches stock tracking off for the product
+    const clearStock = stock === '' || stock === null;
+    if (stock !== undefined && !clearStock) {
+      stock = Number(stock);
+      if (!Number.isInteger(stock) || stock < 0) {
+        return res.status(400).json({ error: 'stock must be a non-negative whole number' });
+      }
+    }
+
+    const tax = parseProductTaxFields(req.body);
+    if (tax.errors.length > 0) {
+      return res.status(400).json({ error: tax.errors.join(', ') });
+    }
 
     // Determine final image URL (prefer uploaded file)
     const finalImageUrl = req.file?.path || imageUrl;
-    console.log('🔄 Final image URL:', finalImageUrl);
 
-    // Find the product across all category collections
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    console.log('🔄 Available collections:', collections.map(c => c.name));
-    
-    let foundDoc = null;
-    let foundCollectionName = null;
-    
-    for (const col of collections) {
-      const modelName = col.name;
-      if (!/^[A-Z0-9_]+$/.test(modelName)) continue;
-      
-      console.log('🔍 Searching in collection:', modelName);
-      const Model = getProductModelByCategory(modelName.replace(/_/g, ' '));
-      
-      try {
-        const doc = await Model.findById(id);
-        if (doc) {
-          foundDoc = doc;
-          foundCollectionName = modelName;
-          console.log('✅ Product found in collection:', modelName);
-          console.log('✅ Found product:', { _id: doc._id, name_en: doc.name_en, category: doc.category });
-          break;
-        }
-      } catch (searchError) {
-        console.log('⚠️ Error searching in collection:', modelName, searchError.message);
-      }
-    }
-
-    if (!foundDoc) {
-      console.log('❌ Product not found in any collection. ID:', id);
-      console.log('❌ Searched collections:', collections.filter(c => /^[A-Z0-9_]+$/.test(c.name)).map(c => c.name));
+    const found = await findProductById(id);
+    if (!found) {
+      console.log('❌ Product not found. ID:', id);
       return res.status(404).json({ error: 'Product not found' });
     }
+    const before = { ...found.product.toObject(), collectionName: found.collectionName };
 
-    console.log('🔄 Processing update for product:', foundDoc._id);
-    console.log('🔄 Current category:', foundDoc.category);
-    console.log('🔄 New category:', category);
-
-    // If category is changing, move document to new collection
-    const isCategoryChange = category && foundDoc.category !== category;
-    if (isCategoryChange) {
-      console.log('🔄 Category change detected, moving product...');
-      // Create in new category collection
-      const NewModel = getProductModelByCategory(category);
-      const newPayload = {
-        name_en: name_en ?? foundDoc.name_en,
-        name_ta: name_ta ?? foundDoc.name_ta,
-        price: price ?? foundDoc.price,
-        original_price: original_price ?? foundDoc.original_price,
-        imageUrl: finalImageUrl ?? foundDoc.imageUrl,
-        youtube_url: youtube_url ?? foundDoc.youtube_url,
-        category, // store plain spaced name for frontend convenience
-        createdAt: foundDoc.createdAt,
-        updatedAt: new Date(),
-      };
-      console.log('🔄 Creating new product in category:', category);
-      const created = await NewModel.create(newPayload);
-      // Delete old document
-      const OldModel = getProductModelByCategory(foundCollectionName.replace(/_/g, ' '));
-      await OldModel.findByIdAndDelete(foundDoc._id);
-      // Invalidate caches
-      clearCacheByPrefix('products:');
-      // Also clear HTTP apicache for product endpoints
-      try {
-        if (apicache && typeof apicache.clearRegexp === 'function') {
-          apicache.clearRegexp(/\/api\/products\/(home|category|all)/);
-        } else if (apicache && typeof apicache.clear === 'function') {
-          apicache.clear();
-        }
-      } catch (e) {
-        console.warn('⚠️ Failed to clear apicache after product move:', e.message);
+    let categoryDoc = null;
+    if (category !== undefined && category !== '') {
+      categoryDoc = await resolveCategory(category);
+      if (!categoryDoc) {
+        return res.status(400).json({ error: `Unknown category: ${category}` });
       }
-      console.log('✅ Product moved to new category successfully');
-      return res.json({ message: '✅ Product updated and moved to new category', product: created });
-    } else {
-      console.log('🔄 In-place update...');
-      // In-place update
-      const updateFields = {};
-      if (name_en !== undefined) updateFields.name_en = name_en;
-      if (name_ta !== undefined) updateFields.name_ta = name_ta;
-      if (price !== undefined) updateFields.price = price;
-      if (original_price !== undefined) updateFields.original_price = original_price;
-      if (finalImageUrl) updateFields.imageUrl = finalImageUrl;
-      if (youtube_url !== undefined) updateFields.youtube_url = youtube_url;
-      if (category !== undefined) updateFields.category = category;
-
-      console.log('🔄 Update fields:', updateFields);
-
-      const Model = getProductModelByCategory(foundCollectionName.replace(/_/g, ' '));
-      const updated = await Model.findByIdAndUpdate(foundDoc._id, { $set: updateFields }, { new: true });
-      // Invalidate caches
-      clearCacheByPrefix('products:');
-      // Also clear HTTP apicache for product endpoints
-      try {
-        if (apicache && typeof apicache.clearRegexp === 'function') {
-          apicache.clearRegexp(/\/api\/products\/(home|category|all)/);
-        } else if (apicache && typeof apicache.clear === 'function') {
-          apicache.clear();
-        }
-      } catch (e) {
-        console.warn('⚠️ Failed to clear apicache after product update:', e.message);
-      }
-      console.log('✅ Product updated successfully');
-      return res.json({ message: '✅ Product updated successfully', product: updated });
     }
+
+    // Products still in a per-category collection are moved into the unified
+    // collection (same id) before the first edit
+    if (found.legacy) {
+      console.log('🔄 Migrating legacy product before update:', id);
+      await migrateLegacyProduct(id);
+    }
+
+    const updateFields = {};
+    if (name_en !== undefined) updateFields.name_en = name_en;
+    if (name_ta !== undefined) updateFields.name_ta = name_ta;
+    if (price !== undefined) updateFields.price = price;
+    if (original_price !== undefined) updateFields.original_price = original_price;
+    if (finalImageUrl) updateFields.imageUrl = finalImageUrl;
+    if (youtube_url !== undefined) updateFields.youtube_url = youtube_url;
+    if (stock !== undefined && !clearStock) updateFields.stock = stock;
+    Object.assign(updateFields, tax.fields);
+    // A category change only repoints the product; its id stays the same
+    if (categoryDoc) {
+      updateFields.categoryId = categoryDoc._id;
+      updateFields.category = categoryDoc.name;
+    }
+
+    const update = { $set: updateFields };
+    const unsetFields = { ...tax.unset, ...(clearStock ? { stock: '' } : {}) };
+    if (Object.keys(unsetFields).length > 0) update.$unset = unsetFields;
+
+    const updated = await Product.findByIdAndUpdate(id, update, { new: true });
+    const isCategoryChange = Boolean(categoryDoc) && before.category !== categoryDoc.name;
+    await recordAudit(req, {
+      action: isCategoryChange ? 'product.move' : 'product.update',
+      targetType: 'product',
+      targetId: id,
+      before,
+      after: { ...updated.toObject(), collectionName: Product.collection.name },
+    });
+    console.log('✅ Product updated successfully');
+    return res.json({
+      message: isCategoryChange ? '✅ Product updated and moved to new category' : '✅ Product updated successfully',
+      product: updated
+    });
   } catch (error) {
     console.error('❌ Product PUT error:', error);
     res.status(500).json({ error: 'Failed to update product' });
@@ -579,27 +604,17 @@ app.put('/api/products/:id', upload.single('image'), async (req, res) => {
 
 
 // ✅ BULK DISCOUNT: Apply discount to all products in all categories
-app.post('/api/products/apply-discount', verifyAdmin, discountLimiter, async (req, res) => {
+app.post('/api/products/apply-discount', discountLimiter, async (req, res) => {
   try {
     const { discount } = req.body;
     if (typeof discount !== 'number' || discount < 0 || discount > 100) {
       return res.status(400).json({ error: 'Invalid discount percentage.' });
     }
-    // Get all collections that match the category naming pattern
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    let totalUpdated = 0;
-    for (const col of collections) {
-      const modelName = col.name;
-      if (/^[A-Z0-9_]+$/.test(modelName)) {
-        const Model = getProductModelByCategory(modelName.replace(/_/g, ' '));
-        // Only update products that have an original_price
-        const result = await Model.updateMany(
-          { original_price: { $exists: true, $ne: null } },
-          [{ $set: { price: { $round: [{ $multiply: ["$original_price", (1 - discount / 100)] }, 0] } } }]
-        );
-        totalUpdated += result.modifiedCount || 0;
-      }
-    }
+    // Only update products that have an original_price
+    const totalUpdated = await updateManyProducts(
+      { original_price: { $exists: true, $ne: null } },
+      [{ $set: { price: { $round: [{ $multiply: ["$original_price", (1 - discount / 100)] }, 0] } } }]
+    );
     // Clear apicache for all product category endpoints (dynamic)
     if (apicache.clearRegexp) {
       apicache.clearRegexp(/\/api\/products\/category\//);
@@ -608,6 +623,12 @@ app.post('/api/products/apply-discount', verifyAdmin, discountLimiter, async (re
     }
     // Invalidate caches
     clearCacheByPrefix('products:');
+    // Per-product prices are not snapshotted here; discount campaigns keep full change lists
+    await recordAudit(req, {
+      action: 'product.bulk_discount',
+      targetType: 'catalog',
+      meta: { discount, updated: totalUpdated },
+    });
     res.json({ message: `✅ Discount applied to all products.`, updated: totalUpdated });
   } catch (error) {
     console.error('❌ Error applying discount:', error);
@@ -615,6 +636,255 @@ app.post('/api/products/apply-discount', verifyAdmin, discountLimiter, async (re
   }
 });
 
+// Drop every cached product listing, memory and HTTP. Runs on every product
+// write, so stock taken or returned by orders (utils/inventory.js) shows at once.
+const clearProductCaches = () => {
+  clearCacheByPrefix('products:');
+  try {
+    if (apicache && typeof apicache.clearRegexp === 'function') {
+      apicache.clearRegexp(/\/api\/products\/(home|category|all)/);
+    } else if (apicache && typeof apicache.clear === 'function') {
+      apicache.clear();
+    }
+  } catch (e) {
+    console.warn('⚠️ Failed to clear apicache after product change:', e.message);
+  }
+};
+onProductsChanged(clearProductCaches);
+
+// ✅ DISCOUNT CAMPAIGNS: Create a scheduled, category- or product-scoped discount
+app.post('/api/admin/discount-campaigns', discountLimiter, async (req, res) => {
+  try {
+    const { name, discount, categories, productIds, startsAt, endsAt, createdBy } = req.body || {};
+    const errors = [];
+    if (!name || typeof name !== 'string' || name.trim().length === 0) errors.push('name is required');
+    if (typeof discount !== 'number' || discount < 0 || discount > 100) errors.push('discount must be a percentage between 0 and 100');
+    if (categories !== undefined && !Array.isArray(categories)) errors.push('categories must be an array');
+    if (productIds !== undefined && !Array.isArray(productIds)) errors.push('productIds must be an array');
+    const start = startsAt ? new Date(startsAt) : new Date();
+    const end = endsAt ? new Date(endsAt) : null;
+    if (Number.isNaN(start.getTime())) errors.push('startsAt must be a valid date');
+    if (end && Number.isNaN(end.getTime())) errors.push('endsAt must be a valid date');
+    if (end && end <= start) errors.push('endsAt must be after startsAt');
+    if (end && end <= new Date()) errors.push('endsAt must be in the future');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+
+    let campaign = await DiscountCampaign.create({
+      name: name.trim(),
+      discount,
+      categories: (categories || []).filter(c => typeof c === 'string' && c.trim()).map(c => c.trim().toUpperCase()),
+      productIds: (productIds || []).map(String),
+      startsAt: start,
+      endsAt: end || undefined,
+      createdBy: req.admin?.username || createdBy || 'admin',
+    });
+
+    // Campaigns that start now are applied straight away instead of waiting for the scheduler
+    if (start <= new Date()) {
+      campaign = await activateCampaign(campaign._id) || campaign;
+      clearProductCaches();
+    }
+
+    await recordAudit(req, {
+      action: 'discount_campaign.create',
+      targetType: 'discount_campaign',
+      targetId: campaign._id,
+      after: { name: campaign.name, discount: campaign.discount, categories: campaign.categories, productIds: campaign.productIds, startsAt: campaign.startsAt, endsAt: campaign.endsAt, status: campaign.status },
+      meta: { productsChanged: campaign.changes.length },
+    });
+
+    res.status(201).json({ message: `✅ Discount campaign ${campaign.status === 'active' ? 'started' : 'scheduled'}`, campaign });
+  } catch (error) {
+    console.error('❌ Error creating discount campaign:', error);
+    res.status(500).json({ error: 'Failed to create discount campaign' });
+  }
+});
+
+// ✅ DISCOUNT CAMPAIGNS: History (newest first, optional ?status=)
+app.get('/api/admin/discount-campaigns', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    const campaigns = await DiscountCampaign.find(query).sort({ startsAt: -1 }).lean();
+    res.json(campaigns.map((campaign) => ({
+      ...campaign,
+      productsChanged: campaign.changes.length,
+      productsRestored: campaign.changes.filter((c) => c.rollback === 'restored').length,
+    })));
+  } catch (error) {
+    console.error('❌ Error fetching discount campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch discount campaigns' });
+  }
+});
+
+// ✅ DISCOUNT CAMPAIGNS: Single campaign with its price changes
+app.get('/api/admin/discount-campaigns/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid campaign id' });
+    }
+    const campaign = await DiscountCampaign.findById(req.params.id).lean();
+    if (!campaign) {
+      return res.status(404).json({ error: 'Discount campaign not found' });
+    }
+    res.json(campaign);
+  } catch (error) {
+    console.error('❌ Error fetching discount campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch discount campaign' });
+  }
+});
+
+// ✅ DISCOUNT CAMPAIGNS: End early (rolls back prices) or cancel a scheduled one
+app.post('/api/admin/discount-campaigns/:id/end', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid campaign id' });
+    }
+    const campaign = await endCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'No scheduled or active campaign with that id' });
+    }
+    if (campaign.status === 'ended') clearProductCaches();
+    await recordAudit(req, {
+      action: `discount_campaign.${campaign.status === 'ended' ? 'end' : 'cancel'}`,
+      targetType: 'discount_campaign',
+      targetId: campaign._id,
+      meta: { productsRestored: campaign.changes.filter((c) => c.rollback === 'restored').length },
+    });
+    res.json({ message: `✅ Discount campaign ${campaign.status}`, campaign });
+  } catch (error) {
+    console.error('❌ Error ending discount campaign:', error);
+    res.status(500).json({ error: 'Failed to end discount campaign' });
+  }
+});
+
+// ✅ AUDIT: Filterable admin action log (newest first)
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (action !== undefined && typeof action !== 'string') {
+      return res.status(400).json({ error: 'action must be a single string' });
+    }
+
+    const query = {};
+    // "order." lists every order action
+    if (action) query.action = action.endsWith('.') ? { $regex: `^${escapeRegex(action)}` } : action;
+    if (actor) query['actor.username'] = String(actor).toLowerCase();
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = String(targetId);
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = end;
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(query),
+    ]);
+    res.json({ entries, total, page, limit });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// ✅ AUDIT: Restore a product to the before (default) or after snapshot of a log entry.
+// Stock is live inventory that orders have reserved and released since, so the
+// snapshot's count is only restored with { restoreStock: true }.
+app.post('/api/admin/audit/:id/restore-product', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid audit entry id' });
+    }
+    const which = req.body?.snapshot === 'after' ? 'after' : 'before';
+    const entry = await AuditLog.findById(req.params.id).lean();
+    if (!entry || entry.targetType !== 'product') {
+      return res.status(404).json({ error: 'Product audit entry not found' });
+    }
+    const target = entry[which];
+    if (!target || !target._id || !(target.categoryId || target.category || target.collectionName)) {
+      return res.status(400).json({ error: `This entry has no ${which} snapshot to restore` });
+    }
+
+    const fields = {};
+    for (const key of ['name_en', 'name_ta', 'price', 'original_price', 'hsnCode', 'gstRate', 'order', 'imageUrl', 'youtube_url']) {
+      if (target[key] !== undefined) fields[key] = target[key];
+    }
+    if (req.body?.restoreStock === true && target.stock !== undefined) fields.stock = target.stock;
+    // Older snapshots only carry the per-category collection name
+    const categoryDoc = await resolveCategory(target.categoryId || target.category || target.collectionName, { activeOnly: false })
+      || (target.collectionName && target.collectionName !== Product.collection.name
+        ? await ensureCategoryForCollection(target.collectionName)
+        : null);
+    if (!categoryDoc) {
+      return res.status(400).json({ error: 'The category of this product no longer exists' });
+    }
+    fields.categoryId = categoryDoc._id;
+    fields.category = categoryDoc.name;
+
+    const found = await findProductById(target._id);
+    let restored;
+    if (found) {
+      if (found.legacy) await migrateLegacyProduct(target._id);
+      restored = await Product.findByIdAndUpdate(target._id, { $set: fields }, { new: true });
+    } else {
+      // Deleted products come back under their original id
+      restored = await Product.create({ _id: target._id, ...fields, createdAt: target.createdAt });
+    }
+
+    await recordAudit(req, {
+      action: 'product.restore',
+      targetType: 'product',
+      targetId: target._id,
+      before: found ? { ...found.product.toObject(), collectionName: found.collectionName } : null,
+      after: { ...restored.toObject(), collectionName: Product.collection.name },
+      meta: { fromAuditId: String(entry._id), snapshot: which, restoreStock: 'stock' in fields },
+    });
+
+    clearProductCaches();
+    res.json({ message: `✅ Product restored from ${which} snapshot`, product: restored });
+  } catch (error) {
+    console.error('❌ Error restoring product from audit log:', error);
+    res.status(500).json({ error: 'Failed to restore product' });
+  }
+});
+
+// ✅ GET: Background jobs that ran out of retries (utils/jobQueue.js)
+app.get('/api/admin/jobs/dead', async (req, res) => {
+  try {
+    res.json({ jobs: await listDeadJobs(req.query.limit) });
+  } catch (error) {
+    console.error('❌ Error listing dead jobs:', error);
+    res.status(500).json({ error: 'Failed to list failed jobs' });
+  }
+});
+
+// ✅ POST: Queue a dead job again with a fresh set of retries
+app.post('/api/admin/jobs/dead/:id/retry', async (req, res) => {
+  try {
+    const retried = await retryDeadJob(req.params.id);
+    if (!retried) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+    await recordAudit(req, { action: 'job.retry', targetType: 'job', targetId: req.params.id });
+    res.json({ message: '✅ Job queued again', id: req.params.id });
+  } catch (error) {
+    console.error('❌ Error retrying dead job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 // Initialize Firebase Admin
 let firebaseApp;
 try {
@@ -634,175 +904,138 @@ try {
   console.log('⚠️ Firebase Admin initialization failed:', error.message);
 }
 
+// ✅ POST: Validate a coupon against the current cart (checkout preview)
+app.post('/api/cart/validate-coupon', async (req, res) => {
+  try {
+    const { items, couponCode, mobile } = req.body || {};
+    if (!couponCode) {
+      return res.status(400).json({ valid: false, error: 'couponCode is required' });
+    }
+    const cart = await priceCart(items, undefined, { couponCode, mobile });
+    res.json({ valid: true, cart });
+  } catch (error) {
+    const status = error.statusCode || 500;
+    if (status === 500) console.error('❌ Coupon validation error:', error);
+    res.status(status).json({
+      valid: false,
+      error: status === 500 ? 'Failed to validate coupon' : error.message,
+      details: error.details
+    });
+  }
+});
 
-
-// FCM Token storage (in production, use a database)
-const fcmTokens = new Map();
-
-// Shared simple order creation used by fallback endpoints
-const createOrderSimple = async (payload) => {
-  const { items, total, customerDetails, createdAt } = payload || {};
-
+// Shared parser for admin coupon create/update payloads
+const parseCouponInput = (body, { partial = false } = {}) => {
   const errors = [];
-  // items validation
-  if (!Array.isArray(items) || items.length === 0) {
-    errors.push('items must be a non-empty array');
+  const fields = {};
+  const { code, description, type, value, maxDiscount, minOrderValue, categories, usageLimit, perMobileLimit, validFrom, validUntil, isActive } = body || {};
+
+  if (code !== undefined || !partial) {
+    if (!code || typeof code !== 'string' || code.trim().length === 0) errors.push('code is required');
+    else fields.code = code.trim().toUpperCase();
   }
-  // total validation (coerce to number)
-  const numericTotal = Number(total);
-  if (Number.isNaN(numericTotal) || numericTotal <= 0) {
-    errors.push('total must be a positive number');
+  if (type !== undefined || !partial) {
+    if (!['percentage', 'flat'].includes(type)) errors.push("type must be 'percentage' or 'flat'");
+    else fields.type = type;
   }
-  // customerDetails validation
-  if (!customerDetails || typeof customerDetails !== 'object') {
-    errors.push('customerDetails is required');
-  } else {
-    if (!customerDetails.fullName) errors.push('customerDetails.fullName is required');
-    if (!customerDetails.mobile) errors.push('customerDetails.mobile is required');
-    if (!customerDetails.address) errors.push('customerDetails.address is required');
+  if (value !== undefined || !partial) {
+    const numericValue = Number(value);
+    if (value === undefined || value === '' || Number.isNaN(numericValue) || numericValue <= 0) errors.push('value must be a positive number');
+    else if ((fields.type || type) === 'percentage' && numericValue > 100) errors.push('percentage value cannot exceed 100');
+    else fields.value = numericValue;
   }
-
-  if (errors.length > 0) {
-    const err = new Error(`Missing/invalid fields: ${errors.join(', ')}`);
-    err.statusCode = 400;
-    throw err;
+  for (const [key, raw] of Object.entries({ maxDiscount, minOrderValue, usageLimit, perMobileLimit })) {
+    if (raw === undefined) continue;
+    const numeric = Number(raw);
+    if (raw === '' || Number.isNaN(numeric) || numeric < 0) errors.push(`${key} must be zero or a positive number`);
+    else fields[key] = numeric;
   }
+  for (const [key, raw] of Object.entries({ validFrom, validUntil })) {
+    if (raw === undefined) continue;
+    if (raw === null || raw === '') { fields[key] = null; continue; }
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) errors.push(`${key} must be a valid date`);
+    else fields[key] = date;
+  }
+  if (fields.validFrom && fields.validUntil && fields.validFrom > fields.validUntil) {
+    errors.push('validFrom must be before validUntil');
+  }
+  if (categories !== undefined) {
+    if (!Array.isArray(categories)) errors.push('categories must be an array of category names');
+    else fields.categories = categories.filter(c => typeof c === 'string' && c.trim()).map(c => c.trim().toUpperCase());
+  }
+  if (description !== undefined) fields.description = String(description);
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
 
-  // Generate a simple unique order ID (YYMMDD + random 3 digits)
-  const today = new Date();
-  const dateStr = today.getFullYear().toString().slice(-2) +
-                 (today.getMonth() + 1).toString().padStart(2, '0') +
-                 today.getDate().toString().padStart(2, '0');
-  const orderId = `${dateStr}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
-
-  const newOrder = new Order({
-    orderId,
-    items,
-    total: numericTotal,
-    customerDetails,
-    status: 'confirmed',
-    createdAt: createdAt || new Date().toISOString(),
-  });
-
-  await newOrder.save();
-  return orderId;
+  return { fields, errors };
 };
 
-
-
-// ✅ POST: Place Order - Direct implementation as backup
-app.post('/api/orders/place', async (req, res) => {
+// ✅ ADMIN: List coupons
+app.get('/api/admin/coupons', async (req, res) => {
   try {
-    const orderId = await createOrderSimple(req.body);
-    console.log('✅ Order saved successfully:', orderId);
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 }).lean();
+    res.json(coupons);
+  } catch (error) {
+    console.error('❌ Error fetching coupons:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
 
-    // Generate invoice PDF
-    try {
-      const invoiceDir = path.join(__dirname, 'invoices');
-      if (!fs.existsSync(invoiceDir)) fs.mkdirSync(invoiceDir, { recursive: true });
-      const invoicePath = path.join(invoiceDir, `${orderId}.pdf`);
-      const orderDoc = await Order.findOne({ orderId }).lean();
-      if (orderDoc) {
-        generateInvoice(orderDoc, invoicePath);
-      }
-      // Send email if configured and email present
-      let emailStatus = 'not_configured';
-      const to = orderDoc?.customerDetails?.email;
-      if (to && process.env.EMAIL_FROM && process.env.EMAIL_PASS) {
-        try {
-          const transporter = nodemailer.createTransport({
-            service: 'gmail',
-            auth: { user: process.env.EMAIL_FROM, pass: process.env.EMAIL_PASS },
-          });
-          await transporter.verify();
-          await transporter.sendMail({
-            from: `KMPyrotech <${process.env.EMAIL_FROM}>`,
-            to,
-            subject: 'KMPyrotech - Your Order Invoice',
-            text: 'Thank you for your order! Your invoice is attached.',
-            attachments: [{ filename: 'invoice.pdf', path: invoicePath }],
-          });
-          emailStatus = 'sent';
-        } catch (mailErr) {
-          console.warn('Email send failed:', mailErr.message);
-          emailStatus = 'failed';
-        }
-      }
-      res.status(201).json({ message: '✅ Order placed successfully', orderId, emailStatus });
-    } catch (invErr) {
-      console.warn('Invoice/email step failed:', invErr.message);
-      res.status(201).json({ message: '✅ Order placed successfully', orderId, emailStatus: 'skipped' });
+// ✅ ADMIN: Create coupon
+app.post('/api/admin/coupons', async (req, res) => {
+  try {
+    const { fields, errors } = parseCouponInput(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
     }
+    const existing = await Coupon.findOne({ code: fields.code }).lean();
+    if (existing) {
+      return res.status(409).json({ error: 'Coupon code already exists' });
+    }
+    const coupon = await Coupon.create(fields);
+    res.status(201).json({ message: '✅ Coupon created successfully', coupon });
   } catch (error) {
-    const status = error.statusCode || 500;
-    console.error('❌ Order placement error:', error);
-    res.status(status).json({ 
-      error: 'Failed to place order', 
-      details: error.message
-    });
+    console.error('❌ Error creating coupon:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
   }
 });
 
-// ✅ POST: Fallback endpoint (some clients may still POST /api/orders)
-app.post('/api/orders', async (req, res) => {
+// ✅ ADMIN: Update coupon
+app.put('/api/admin/coupons/:code', async (req, res) => {
   try {
-    const orderId = await createOrderSimple(req.body);
-    console.log('✅ Order saved successfully (fallback):', orderId);
+    const code = decodeURIComponent(req.params.code).trim().toUpperCase();
+    const existing = await Coupon.findOne({ code }).lean();
+    if (!existing) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    // Validate percentage caps against the stored type when only value changes
+    const { fields, errors } = parseCouponInput({ type: existing.type, ...req.body }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Missing/invalid fields: ${errors.join(', ')}` });
+    }
+    if (fields.code && fields.code !== code) {
+      return res.status(400).json({ error: 'Coupon code cannot be changed; create a new coupon instead' });
+    }
+    const coupon = await Coupon.findOneAndUpdate({ code }, { $set: fields }, { new: true, runValidators: true });
+    res.json({ message: '✅ Coupon updated successfully', coupon });
+  } catch (error) {
+    console.error('❌ Error updating coupon:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
 
-    // Generate invoice PDF and send email
-    try {
-      const invoiceDir = path.join(__dirname, 'invoices');
-      if (!fs.existsSync(invoiceDir)) fs.mkdirSync(invoiceDir, { recursive: true });
-      const invoicePath = path.join(invoiceDir, `${orderId}.pdf`);
-      const orderDoc = await Order.findOne({ orderId }).lean();
-      
-      let emailStatus = 'not_configured';
-      if (orderDoc) {
-        // Generate invoice PDF first
-        await new Promise((resolve, reject) => {
-          generateInvoice(orderDoc, invoicePath);
-          // Wait a bit for file to be written
-          setTimeout(resolve, 1000);
-        });
-        
-        // Send email if configured and email present
-        const to = orderDoc?.customerDetails?.email;
-        if (to && process.env.EMAIL_FROM && process.env.EMAIL_PASS) {
-          try {
-            const transporter = nodemailer.createTransporter({
-              service: 'gmail',
-              auth: { user: process.env.EMAIL_FROM, pass: process.env.EMAIL_PASS },
-            });
-            await transporter.verify();
-            await transporter.sendMail({
-              from: `KMPyrotech <${process.env.EMAIL_FROM}>`,
-              to,
-              subject: 'KMPyrotech - Your Order Invoice',
-              text: 'Thank you for your order! Your invoice is attached.',
-              attachments: [{ filename: 'invoice.pdf', path: invoicePath }],
-            });
-            emailStatus = 'sent';
-            console.log('✅ Email sent successfully to:', to);
-          } catch (mailErr) {
-            console.warn('❌ Email send failed:', mailErr.message);
-            emailStatus = 'failed';
-          }
-        } else {
-          console.log('❌ Email not configured or missing email address');
-        }
-      }
-      res.status(201).json({ message: '✅ Order placed successfully', orderId, emailStatus });
-    } catch (invErr) {
-      console.warn('❌ Invoice/email step failed:', invErr.message);
-      res.status(201).json({ message: '✅ Order placed successfully', orderId, emailStatus: 'skipped' });
+// ✅ ADMIN: Delete coupon (orders keep their stored discount breakdown)
+app.delete('/api/admin/coupons/:code', async (req, res) => {
+  try {
+    const code = decodeURIComponent(req.params.code).trim().toUpperCase();
+    const deleted = await Coupon.findOneAndDelete({ code });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Coupon not found' });
     }
+    res.json({ message: '✅ Coupon deleted successfully', code });
   } catch (error) {
-    const status = error.statusCode || 500;
-    console.error('❌ Fallback order placement error:', error);
-    res.status(status).json({ 
-      error: 'Failed to place order', 
-      details: error.message
-    });
+    console.error('❌ Error deleting coupon:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
   }
 });
 
@@ -811,33 +1044,19 @@ app.get('/api/orders/ping', (req, res) => {
   res.json({ ok: true, message: 'orders route is live' });
 });
 
-// ✅ Admin Login Route
-app.post('/api/admin/login', (req, res) => {
-  const { username, password } = req.body;
-  if (
-    username === process.env.ADMIN_USERNAME &&
-    password === process.env.ADMIN_PASSWORD
-  ) {
-    return res.json({ success: true, token: "admin-auth-token" });
-  }
-  return res.status(401).json({ success: false, error: 'Invalid credentials' });
-});
-
-// (removed duplicate verifyAdmin; defined earlier)
-
 // ✅ GET: Analytics
 app.get('/api/analytics', cache('2 minutes'), async (req, res) => {
   try {
     const { date } = req.query;
-    let orders;
+    // Cancelled and refunded orders are kept on record but are not sales
+    const query = { status: { $nin: INACTIVE_ORDER_STATUSES } };
     if (date) {
       const start = new Date(date);
       const end = new Date(date);
       end.setHours(23, 59, 59, 999);
-      orders = await Order.find({ createdAt: { $gte: start, $lte: end } });
-    } else {
-      orders = await Order.find({});
+      query.createdAt = { $gte: start, $lte: end };
     }
+    const orders = await Order.find(query);
     const totalOrders = orders.length;
     const totalRevenue = orders.reduce((sum, order) => {
       let itemTotal = 0;
@@ -854,95 +1073,45 @@ app.get('/api/analytics', cache('2 minutes'), async (req, res) => {
 });
 
 // ✅ PATCH: Update Order Status and Transport Details
-// Order Status Flow: confirmed → payment_verified → booked
-// - confirmed: Order placed, waiting for payment verification
-// - payment_verified: Payment screenshot verified by admin  
-// - booked: Order booked for delivery with transport details
+// Allowed transitions live in utils/orderStatus.js. Sending transportName or
+// lrNumber books the order (or updates the details of a booked one).
 app.patch('/api/orders/update-status/:orderId', async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status, transportName, lrNumber } = req.body;
-    // Handle status updates with proper flow validation
-    let updateFields = {};
+    const { status, transportName, lrNumber, note } = req.body;
+
+    let targetStatus;
+    const set = {};
     if (transportName || lrNumber) {
-      updateFields.transportName = transportName || '';
-      updateFields.lrNumber = lrNumber || '';
-      updateFields.status = 'booked';
+      set.transportName = transportName || '';
+      set.lrNumber = lrNumber || '';
+      targetStatus = status || 'booked';
     } else if (status) {
-      // Validate status transitions
-      const currentOrder = await Order.findOne({ orderId });
-      if (!currentOrder) {
-        return res.status(404).json({ error: "Order not found." });
-      }
-      
-      const currentStatus = currentOrder.status;
-      const validTransitions = {
-        'confirmed': ['payment_verified', 'booked'],
-        'payment_verified': ['booked'],
-        'booked': ['booked'] // Can stay booked
-      };
-      
-      if (!validTransitions[currentStatus] || !validTransitions[currentStatus].includes(status)) {
-        return res.status(400).json({ 
-          error: `Invalid status transition from '${currentStatus}' to '${status}'. Valid transitions: ${validTransitions[currentStatus].join(', ')}` 
-        });
-      }
-      
-      updateFields.status = status;
+      targetStatus = status;
     } else {
       return res.status(400).json({ error: "Status or transport details required." });
     }
-    const order = await Order.findOneAndUpdate(
-      { orderId },
-      { $set: updateFields },
-      { new: true }
-    );
-    if (!order) {
-      return res.status(404).json({ error: "Order not found." });
-    }
 
-    // Send push notification to customer about order status update
-    try {
-      const customerUserId = `customer_${order.customerDetails.mobile}`;
-      const customerToken = fcmTokens.get(customerUserId);
-      if (customerToken && firebaseApp) {
-        let notificationTitle = '';
-        let notificationBody = '';
-        
-        if (updateFields.status === 'confirmed') {
-          notificationTitle = '✅ Order Confirmed!';
-          notificationBody = `Your order ${orderId} has been confirmed and is being processed.`;
-        } else if (updateFields.status === 'payment_verified') {
-          notificationTitle = '✅ Payment Verified!';
-          notificationBody = `Your payment for order ${orderId} has been verified successfully.`;
-        } else if (updateFields.status === 'booked') {
-          notificationTitle = '🚚 Order Booked for Delivery!';
-          notificationBody = `Your order ${orderId} has been booked for delivery. Transport: ${updateFields.transportName}`;
-        }
-        
-        if (notificationTitle && notificationBody) {
-          const customerMessage = {
-            notification: {
-              title: notificationTitle,
-              body: notificationBody,
-            },
-            data: {
-              orderId: orderId,
-              status: updateFields.status,
-              type: 'order_status_update'
-            },
-            token: customerToken,
-          };
-          await admin.messaging().send(customerMessage);
-          console.log(`✅ Customer notification sent for order ${orderId} status: ${updateFields.status}`);
-        }
-      }
-    } catch (notificationError) {
-      console.error('❌ Failed to send customer notification:', notificationError);
-    }
+    const { order, previous } = await changeOrderStatus(orderId, targetStatus, {
+      actor: actorFromRequest(req),
+      note: typeof note === 'string' ? note : undefined,
+      reason: typeof req.body.reason === 'string' ? req.body.reason : undefined,
+      set,
+    });
+
+    await recordAudit(req, {
+      action: 'order.status_update',
+      targetType: 'order',
+      targetId: orderId,
+      before: { status: previous.status, transportName: previous.transportName, lrNumber: previous.lrNumber },
+      after: { status: order.status, transportName: order.transportName, lrNumber: order.lrNumber },
+    });
 
     res.json({ message: "✅ Order updated successfully", order });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, allowed: error.allowed });
+    }
     console.error("❌ Status update error:", error);
     res.status(500).json({ error: "Failed to update order status" });
   }
@@ -962,28 +1131,29 @@ app.get('/api/products/home', cache('3 minutes'), async (req, res) => {
     
     // Fetch products in parallel with limited results for faster loading
     const homeProducts = await Promise.all(
-      featuredCategories.map(async (category) => {
+      featuredCategories.map(async (name) => {
         try {
-          const ProductModel = getProductModelByCategory(category);
-          // Use lean() for faster plain objects, limit to 6 products per category for better display
-          const products = await ProductModel.find({}, {
-            name_en: 1,
-            name_ta: 1,
-            price: 1,
-            original_price: 1,
-            imageUrl: 1,
-            youtube_url: 1,
-            category: 1,
-            order: 1
-          }).sort({ order: 1, createdAt: -1 }).limit(6).lean();
-          
-          // Add category name for frontend
-          return products.map(product => ({
-            ...product,
-            category: category.replace(/_/g, ' ')
-          }));
+          const category = await resolveCategory(name);
+          if (!category) return [];
+          // Limit to 6 products per category for better display
+          const products = await findProducts({
+            category,
+            projection: {
+              name_en: 1,
+              name_ta: 1,
+              price: 1,
+              original_price: 1,
+              imageUrl: 1,
+              youtube_url: 1,
+              order: 1,
+              stock: 1,
+              createdAt: 1
+            },
+            limit: 6
+          });
+          return products.map(withStockFlag);
         } catch (err) {
-          console.warn(`⚠️ Warning: Could not fetch products for category ${category}:`, err.message);
+          console.warn(`⚠️ Warning: Could not fetch products for category ${name}:`, err.message);
           return [];
         }
       })
@@ -1005,59 +1175,44 @@ app.get('/api/products/category/:category', cache('2 minutes'), async (req, res)
   try {
     const rawParam = req.params.category;
 
-    // Resolve to canonical category name from DB (supports ObjectId, name, or displayName)
-    let canonicalName = null;
-    try {
-      const isObjectId = /^[a-f\d]{24}$/i.test(rawParam);
-      if (isObjectId) {
-        const catById = await Category.findById(rawParam).lean();
-        if (catById && catById.isActive) canonicalName = catById.name;
-      }
-      if (!canonicalName) {
-        const upper = decodeURIComponent(rawParam).trim().toUpperCase();
-        // Try by canonical name first
-        let cat = await Category.findOne({ name: upper, isActive: true }).lean();
-        if (!cat) {
-          // Fallback to displayName case-insensitive
-          cat = await Category.findOne({ displayName: { $regex: `^${upper}$`, $options: 'i' }, isActive: true }).lean();
-        }
-        if (cat) canonicalName = cat.name;
-      }
-    } catch (resolveErr) {
-      console.warn('⚠️ Category resolve failed, using raw param:', resolveErr.message);
+    // Any listing parameter switches to the paginated { products, total, nextCursor } response;
+    // without them the full array is returned as before
+    const paginated = LISTING_PARAMS.some((param) => req.query[param] !== undefined);
+    const listing = paginated ? parseListingQuery(req.query) : null;
+
+    // Resolve to canonical category from DB (supports ObjectId, name, or displayName)
+    const category = await resolveCategory(decodeURIComponent(rawParam));
+    if (!category) {
+      return res.json(paginated ? { products: [], total: 0, nextCursor: null, sort: listing.sort, limit: listing.limit } : []);
     }
 
-    const effectiveCategory = canonicalName || decodeURIComponent(rawParam).trim();
-    const cacheKey = `products:category:${effectiveCategory}`;
+    const cacheKey = paginated
+      ? `products:category:${category.name}:${listingCacheKey(listing)}`
+      : `products:category:${category.name}`;
     const cached = getCache(cacheKey);
     if (cached) {
       res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
       return res.json(cached);
     }
 
-    const ProductModel = getProductModelByCategory(effectiveCategory);
+    if (paginated) {
+      const page = await listProducts(listing, category);
+      setCache(cacheKey, page, 60 * 1000);
+      res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+      return res.json(page);
+    }
 
-    const products = await ProductModel.find({}, {
-      name_en: 1,
-      name_ta: 1,
-      price: 1,
-      original_price: 1,
-      imageUrl: 1,
-      youtube_url: 1,
-      category: 1,
-      order: 1,
-      createdAt: 1,
-    }).sort({ order: 1, createdAt: -1 }).lean();
+    const products = await findProducts({ category, projection: LISTING_PROJECTION });
 
-    const productsWithCategory = products.map(product => ({
-      ...product,
-      category: effectiveCategory.replace(/_/g, ' ')
-    }));
+    const productsWithCategory = products.map(withStockFlag);
 
     setCache(cacheKey, productsWithCategory, 60 * 1000);
     res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
     res.json(productsWithCategory);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error fetching category products:', error);
     res.status(500).json({ error: 'Failed to fetch products by category' });
   }
@@ -1066,73 +1221,89 @@ app.get('/api/products/category/:category', cache('2 minutes'), async (req, res)
 // ✅ GET: All Products across all categories (Optimized with better caching)
 app.get('/api/products/all', cache('5 minutes'), async (req, res) => {
   try {
-    const cacheKey = 'products:all';
+    // Same paginated/array switch as the category listing
+    const paginated = LISTING_PARAMS.some((param) => req.query[param] !== undefined);
+    const listing = paginated ? parseListingQuery(req.query) : null;
+    const cacheKey = paginated ? `products:all:${listingCacheKey(listing)}` : 'products:all';
     const cached = getCache(cacheKey);
     if (cached) {
       res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
       return res.json(cached);
     }
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    const categoryCollectionNames = collections
-      .map((c) => c.name)
-      .filter((name) => /^[A-Z0-9_]+$/.test(name));
 
-    // Fetch all collections in parallel with optimized queries
-    const allProductsArrays = await Promise.all(
-      categoryCollectionNames.map(async (collectionName) => {
-        try {
-          const Model = getProductModelByCategory(collectionName.replace(/_/g, ' '));
-          // Use lean() for faster plain objects, project only needed fields
-          const docs = await Model.find({}, {
-            name_en: 1,
-            name_ta: 1,
-            price: 1,
-            original_price: 1,
-            imageUrl: 1,
-            youtube_url: 1,
-            order: 1,
-            createdAt: 1,
-          }).sort({ order: 1, createdAt: -1 }).lean();
-          
-          const category = collectionName.replace(/_/g, ' ');
-          return docs.map((doc) => ({ ...doc, category }));
-        } catch (err) {
-          console.warn(`⚠️ Warning: Could not fetch products for collection ${collectionName}:`, err.message);
-          return [];
-        }
-      })
-    );
+    if (paginated) {
+      const page = await listProducts(listing);
+      setCache(cacheKey, page, 60 * 1000);
+      res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
+      return res.json(page);
+    }
 
-    const allProducts = ([]).concat(...allProductsArrays);
+    const products = await findProducts({ projection: LISTING_PROJECTION });
+    const allProducts = products.map(withStockFlag);
     setCache(cacheKey, allProducts, 60 * 1000);
     res.setHeader('Cache-Control', 'public, max-age=60, stale-while-revalidate=300');
     res.json(allProducts);
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('❌ Error fetching all products:', error);
     res.status(500).json({ error: 'Failed to fetch all products' });
   }
 });
 
+// ✅ GET: Search products by English or Tamil name (typo and transliteration tolerant)
+app.get('/api/products/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    if (q.length > 100) {
+      return res.status(400).json({ error: 'q must be at most 100 characters' });
+    }
+
+    const parsePrice = (value) => (value === undefined || value === '' ? undefined : Number(value));
+    const minPrice = parsePrice(req.query.minPrice);
+    const maxPrice = parsePrice(req.query.maxPrice);
+    if ([minPrice, maxPrice].some((p) => p !== undefined && (!Number.isFinite(p) || p < 0))) {
+      return res.status(400).json({ error: 'minPrice and maxPrice must be non-negative numbers' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    let category;
+    if (req.query.category) {
+      const categoryDoc = await resolveCategory(req.query.category);
+      if (!categoryDoc) {
+        return res.json({ query: q, results: [], total: 0, page, limit });
+      }
+      category = categoryDoc.name;
+    }
+
+    const { results, total } = await searchProducts(q, { category, minPrice, maxPrice, page, limit });
+    res.setHeader('Cache-Control', 'public, max-age=30');
+    res.json({ query: q, results: results.map(withStockFlag), total, page, limit });
+  } catch (error) {
+    console.error('❌ Error searching products:', error);
+    res.status(500).json({ error: 'Failed to search products' });
+  }
+});
+
 // ✅ DELETE: Delete Product by ID
 app.delete('/api/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    // Search all category collections for the product
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    let deleted = false;
-    for (const col of collections) {
-      const modelName = col.name;
-      // Only check collections that match the category naming pattern
-      if (/^[A-Z0-9_]+$/.test(modelName)) {
-        const Model = getProductModelByCategory(modelName.replace(/_/g, ' '));
-        const result = await Model.findByIdAndDelete(id);
-        if (result) {
-          deleted = true;
-          break;
-        }
-      }
-    }
-    if (deleted) {
+    const found = await findProductById(id);
+    const result = found ? await deleteProduct(id) : null;
+    if (result) {
+      await recordAudit(req, {
+        action: 'product.delete',
+        targetType: 'product',
+        targetId: id,
+        before: { ...result.toObject(), collectionName: found.collectionName },
+      });
       // Invalidate caches
       clearCacheByPrefix('products:');
       res.status(200).json({ message: '✅ Product deleted successfully', id });
@@ -1146,24 +1317,32 @@ app.delete('/api/products/:id', async (req, res) => {
 });
 
 // ✅ POST: Reorder products within a category
-app.post('/api/products/reorder', verifyAdmin, async (req, res) => {
+app.post('/api/products/reorder', async (req, res) => {
   try {
     const { category, order } = req.body || {};
     if (!category || !Array.isArray(order)) {
       return res.status(400).json({ error: 'category and order array are required' });
     }
     // order: [{ id: string, order: number }]
-    const ProductModel = getProductModelByCategory(category);
-    const bulkOps = order.map(item => ({
-      updateOne: {
-        filter: { _id: new mongoose.Types.ObjectId(item.id) },
-        update: { $set: { order: Number(item.order) || 0 } }
-      }
-    }));
-    if (bulkOps.length === 0) {
+    const categoryDoc = await resolveCategory(category, { activeOnly: false });
+    if (!categoryDoc) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    if (order.length === 0) {
       return res.json({ message: 'No changes' });
     }
-    const result = await ProductModel.bulkWrite(bulkOps, { ordered: false });
+    // Legacy products may still sit in the category's old collection, so
+    // update each one wherever it lives
+    let modifiedCount = 0;
+    for (const item of order) {
+      const updated = await updateProduct(
+        item.id,
+        { $or: [{ categoryId: categoryDoc._id }, { categoryId: { $exists: false } }] },
+        { $set: { order: Number(item.order) || 0 } }
+      );
+      modifiedCount += updated.modifiedCount || 0;
+    }
+    const result = { modifiedCount };
     // Invalidate caches
     clearCacheByPrefix('products:');
     try {
@@ -1182,94 +1361,190 @@ app.post('/api/products/reorder', verifyAdmin, async (req, res) => {
   }
 });
 
-// ✅ FCM Token Registration
-app.post('/api/notifications/register-token', async (req, res) => {
+// ✅ GET: Low-stock report (Admin only)
+app.get('/api/admin/inventory/low-stock', async (req, res) => {
   try {
-    const { token, userId } = req.body;
-    if (!token) {
+    const parsed = Number(req.query.threshold);
+    const threshold = Number.isFinite(parsed) && parsed >= 0 ? parsed : getLowStockThreshold();
+
+    const lowStock = await findProducts({
+      filter: { stock: { $type: 'number', $lte: threshold } },
+      projection: { name_en: 1, name_ta: 1, price: 1, stock: 1, imageUrl: 1 },
+      sort: { stock: 1 },
+    });
+
+    // Emptiest shelves first
+    const products = lowStock.map(withStockFlag);
+    res.json({
+      threshold,
+      count: products.length,
+      outOfStockCount: products.filter((p) => p.outOfStock).length,
+      products,
+    });
+  } catch (error) {
+    console.error('❌ Error building low-stock report:', error);
+    res.status(500).json({ error: 'Failed to fetch low-stock report' });
+  }
+});
+
+// ✅ FCM Token Registration. A customer session links the device to the
+// customer; `userId` is still accepted from older app versions, but a
+// "customer_<mobile>" one only with a session for that mobile.
+app.post('/api/notifications/register-token', optionalCustomer, async (req, res) => {
+  try {
+    const { token, userId, platform, language } = req.body;
+    if (!token || typeof token !== 'string') {
       return res.status(400).json({ error: 'FCM token is required' });
     }
-    
-    fcmTokens.set(userId, token);
-    console.log(`✅ FCM token registered for user: ${userId}`);
-    res.json({ message: 'Token registered successfully' });
+    if (userId !== undefined && typeof userId !== 'string') {
+      return res.status(400).json({ error: 'userId must be a string' });
+    }
+    if (userId?.startsWith('customer_') && normalizeMobile(userId.slice('customer_'.length)) !== req.customer?.mobile) {
+      return res.status(403).json({ error: 'Sign in as this customer to register a customer device' });
+    }
+    if (platform !== undefined && !PUSH_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `platform must be one of ${PUSH_PLATFORMS.join(', ')}` });
+    }
+    if (language !== undefined && !PUSH_LANGUAGES.includes(language)) {
+      return res.status(400).json({ error: `language must be one of ${PUSH_LANGUAGES.join(', ')}` });
+    }
+    let topics;
+    if (req.body.topics !== undefined) {
+      const parsed = parseTopics(req.body.topics);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      topics = parsed.topics;
+    }
+
+    const customer = req.customer ? await findOrCreateCustomer(req.customer.mobile) : null;
+    const device = await registerDeviceToken({
+      token,
+      userId,
+      platform,
+      language,
+      topics,
+      customerId: customer?._id,
+      mobile: customer?.mobile,
+    });
+    console.log(`✅ FCM token registered for user: ${userId || customer?.mobile || 'anonymous'}`);
+    res.json({ message: 'Token registered successfully', topics: device.topics });
   } catch (error) {
     console.error('❌ Error registering FCM token:', error);
     res.status(500).json({ error: 'Failed to register token' });
   }
 });
 
-// ✅ Send Push Notification
+// ✅ Forget a device, e.g. on logout
+app.post('/api/notifications/unregister-token', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'FCM token is required' });
+    }
+    const removed = await unregisterDeviceToken(token);
+    res.json({ message: removed ? 'Token removed' : 'Token was not registered' });
+  } catch (error) {
+    console.error('❌ Error removing FCM token:', error);
+    res.status(500).json({ error: 'Failed to remove token' });
+  }
+});
+
+// ✅ Choose which topics a device receives
+app.put('/api/notifications/topics', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'FCM token is required' });
+    }
+    const { topics, error } = parseTopics(req.body.topics);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const device = await setDeviceTopics(token, topics);
+    if (!device) {
+      return res.status(404).json({ error: 'Token not registered' });
+    }
+    res.json({ message: 'Topics updated', topics: device.topics, available: PUSH_TOPICS });
+  } catch (error) {
+    console.error('❌ Error updating topics:', error);
+    res.status(500).json({ error: 'Failed to update topics' });
+  }
+});
+
+// ✅ Send Push Notification to one user's devices
 app.post('/api/notifications/send', async (req, res) => {
   try {
-    const { title, body, userId, data } = req.body;
-    
-    if (!firebaseApp) {
-      return res.status(500).json({ error: 'Firebase Admin not initialized' });
+    const { title, body, userId, mobile, data } = req.body;
+    if (!userId && !mobile) {
+      return res.status(400).json({ error: 'userId or mobile is required' });
     }
-    
-    const token = fcmTokens.get(userId);
-    if (!token) {
+
+    const filter = mobile ? audienceFilter({ mobile }) : audienceFilter({ userId });
+    if (await DeviceToken.countDocuments(filter) === 0) {
       return res.status(404).json({ error: 'User token not found' });
     }
-    
-    const message = {
+
+    const result = await sendPush(filter, {
       notification: {
         title: title || 'KMPyrotech',
         body: body || 'You have a new notification',
       },
-      data: data || {},
-      token: token,
-    };
-    
-    const response = await admin.messaging().send(message);
-    console.log('✅ Push notification sent:', response);
-    res.json({ message: 'Notification sent successfully', messageId: response });
+      data,
+    });
+    console.log('✅ Push notification sent:', result);
+    res.json({ message: 'Notification sent successfully', ...result });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('❌ Error sending push notification:', error);
     res.status(500).json({ error: 'Failed to send notification' });
   }
 });
 
-// ✅ Send Notification to All Users
+// ✅ Send Notification to All Users, or to the devices subscribed to `topic`.
+// Targeted, scheduled and tracked sends are push campaigns (/api/admin/push-campaigns).
 app.post('/api/notifications/send-to-all', async (req, res) => {
   try {
-    const { title, body, data } = req.body;
-    
-    if (!firebaseApp) {
-      return res.status(500).json({ error: 'Firebase Admin not initialized' });
+    const { title, body, data, topic } = req.body;
+    if (topic !== undefined && !PUSH_TOPICS.includes(topic)) {
+      return res.status(400).json({ error: `topic must be one of ${PUSH_TOPICS.join(', ')}` });
     }
-    
-    const tokens = Array.from(fcmTokens.values());
-    if (tokens.length === 0) {
+
+    const filter = audienceFilter({ topic });
+    if (await DeviceToken.countDocuments(filter) === 0) {
       return res.status(404).json({ error: 'No registered tokens found' });
     }
-    
-    const message = {
+
+    const result = await sendPush(filter, {
       notification: {
         title: title || 'KMPyrotech',
         body: body || 'You have a new notification',
       },
-      data: data || {},
-      tokens: tokens,
-    };
-    
-    const response = await admin.messaging().sendMulticast(message);
-    console.log('✅ Multicast notification sent:', response);
-    res.json({ 
-      message: 'Notifications sent successfully', 
-      successCount: response.successCount,
-      failureCount: response.failureCount
+      data,
     });
+    console.log('✅ Multicast notification sent:', result);
+    res.json({ message: 'Notifications sent successfully', ...result });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('❌ Error sending multicast notification:', error);
     res.status(500).json({ error: 'Failed to send notifications' });
   }
 });
 
-// ✅ Get Registered Tokens Count
-app.get('/api/notifications/tokens-count', (req, res) => {
-  res.json({ count: fcmTokens.size });
+// ✅ Get Registered Tokens Count, in total and per topic
+app.get('/api/notifications/tokens-count', async (req, res) => {
+  try {
+    const [count, ...perTopic] = await Promise.all([
+      DeviceToken.countDocuments(),
+      ...PUSH_TOPICS.map((topic) => DeviceToken.countDocuments({ topics: topic })),
+    ]);
+    res.json({ count, topics: Object.fromEntries(PUSH_TOPICS.map((topic, i) => [topic, perTopic[i]])) });
+  } catch (error) {
+    console.error('❌ Error counting FCM tokens:', error);
+    res.status(500).json({ error: 'Failed to count tokens' });
+  }
 });
 
 // Performance monitoring middleware
@@ -1363,7 +1638,7 @@ app.get('/api/categories', async (req, res) => {
 });
 
 // ✅ BULK REORDER: Update order for multiple categories
-app.post('/api/categories/reorder', verifyAdmin, async (req, res) => {
+app.post('/api/categories/reorder', async (req, res) => {
   try {
     const { order } = req.body; // [{ name, order }, ...]
     if (!Array.isArray(order)) {
@@ -1453,7 +1728,7 @@ app.post('/api/categories', async (req, res) => {
 });
 
 // ADMIN: Create new category
-app.post('/api/admin/categories', verifyAdmin, async (req, res) => {
+app.post('/api/admin/categories', async (req, res) => {
   try {
     const { name, displayName, description, iconUrl } = req.body;
 
@@ -1485,14 +1760,6 @@ app.post('/api/admin/categories', verifyAdmin, async (req, res) => {
 
     await newCategory.save();
 
-    // Prepare underlying collection by ensuring the model exists (lazy creation on first use)
-    try {
-      const ProductModel = getProductModelByCategory(normalizedName);
-      await ProductModel.init();
-    } catch (e) {
-      // best-effort; not critical if it fails since collection is created on first insert
-    }
-
     // Clear category caches
     console.log('🔄 Clearing category caches after creation...');
     try {
@@ -1637,23 +1904,27 @@ app.patch('/api/categories/:name/rename', async (req, res) => {
       return res.status(409).json({ error: 'Target category name already exists' });
     }
 
-    // Rename underlying collection if present
-    const oldCollectionName = oldName.replace(/\s+/g, '_');
-    const newCollectionName = normalizedNewName.replace(/\s+/g, '_');
+    // Products reference the category by id; only the copied name changes
+    await Product.updateMany({ categoryId: existingOld._id }, { $set: { category: normalizedNewName } });
 
-    try {
-      const collections = await mongoose.connection.db.listCollections({ name: oldCollectionName }).toArray();
-      if (collections.length > 0) {
-        // Perform atomic rename in MongoDB
-        const oldCollection = mongoose.connection.db.collection(oldCollectionName);
-        await oldCollection.rename(newCollectionName);
-        // Update embedded category field in product docs (best-effort)
-        const newCollection = mongoose.connection.db.collection(newCollectionName);
-        await newCollection.updateMany({}, { $set: { category: normalizedNewName } });
+    // Rename the not yet migrated per-category collection too
+    if (isCompatMode()) {
+      const oldCollectionName = toCollectionName(oldName);
+      const newCollectionName = toCollectionName(normalizedNewName);
+      try {
+        const collections = await mongoose.connection.db.listCollections({ name: oldCollectionName }).toArray();
+        if (collections.length > 0) {
+          // Perform atomic rename in MongoDB
+          const oldCollection = mongoose.connection.db.collection(oldCollectionName);
+          await oldCollection.rename(newCollectionName);
+          // Update embedded category field in product docs (best-effort)
+          const newCollection = mongoose.connection.db.collection(newCollectionName);
+          await newCollection.updateMany({}, { $set: { category: normalizedNewName } });
+        }
+      } catch (renameErr) {
+        console.error('❌ Collection rename failed:', renameErr);
+        return res.status(500).json({ error: 'Failed to rename underlying collection', details: renameErr.message });
       }
-    } catch (renameErr) {
-      console.error('❌ Collection rename failed:', renameErr);
-      return res.status(500).json({ error: 'Failed to rename underlying collection', details: renameErr.message });
     }
 
     // Update Category document
@@ -1661,6 +1932,13 @@ app.patch('/api/categories/:name/rename', async (req, res) => {
       { name: oldName },
       { $set: { name: normalizedNewName, displayName: (displayName?.trim() || newName.trim()), updatedAt: new Date() } }
     );
+    await recordAudit(req, {
+      action: 'category.rename',
+      targetType: 'category',
+      targetId: existingOld._id,
+      before: { name: oldName, displayName: existingOld.displayName },
+      after: { name: normalizedNewName, displayName: (displayName?.trim() || newName.trim()) },
+    });
 
     // Invalidate caches
     clearCacheByPrefix('products:');
@@ -1698,6 +1976,13 @@ app.delete('/api/categories/:name', async (req, res) => {
       { name: decodedName },
       { isActive: false, updatedAt: new Date() }
     );
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: existingCategory._id,
+      before: existingCategory,
+      after: { ...existingCategory.toObject(), isActive: false },
+    });
     
     // Clear category caches
     console.log('🔄 Clearing category caches after deletion...');
@@ -1759,8 +2044,7 @@ app.get('/api/categories/detailed', cache('3 minutes'), async (req, res) => {
     const categoriesWithCounts = await Promise.all(
       categories.map(async (category) => {
         try {
-          const ProductModel = getProductModelByCategory(category.name);
-          const count = await ProductModel.countDocuments();
+          const count = await countProducts({ category });
           return {
             name: category.name,
             displayName: category.displayName,
@@ -1795,6 +2079,9 @@ app.get('/api/categories/detailed', cache('3 minutes'), async (req, res) => {
   }
 });
 
+// Refuse to start if a write route was added without an entry in ROUTE_PERMISSIONS
+assertRoutesProtected(app);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server is running on port ${PORT}`);
@@ -1809,13 +2096,12 @@ app.listen(PORT, '0.0.0.0', () => {
 // Performance optimization: Add database indexes for faster queries
 const setupDatabaseIndexes = async () => {
   try {
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    const categoryCollectionNames = collections
-      .map((c) => c.name)
-      .filter((name) => /^[A-Z0-9_]+$/.test(name));
+    await Product.syncIndexes();
+    console.log('✅ Indexes synced for collection: products');
 
-    // Create indexes for each category collection
-    for (const collectionName of categoryCollectionNames) {
+    // Per-category collections are still read until the migration has run
+    if (!isCompatMode()) return;
+    for (const collectionName of await listLegacyCollections()) {
       try {
         const collection = mongoose.connection.db.collection(collectionName);
         await collection.createIndex({ name_en: 1 });
@@ -1832,8 +2118,13 @@ const setupDatabaseIndexes = async () => {
 };
 
 // Call setup function when database connects
-mongoose.connection.once('open', () => {
+mongoose.connection.once('open', async () => {
   console.log('✅ Connected to MongoDB');
+  await loadProductStoreMode();
   setupDatabaseIndexes();
+  bootstrapOwnerFromEnv();
+  startCampaignScheduler({ onPricesChanged: clearProductCaches });
+  startJobQueue().catch((err) => console.error('❌ Job queue failed to start:', err.message));
+  startPushCampaignScheduler();
   // Default categories are managed client-side (mockData) or via /api/categories endpoints.
 });
@@ -0,0 +1,60 @@
+// utils/auditLog.js
+import { AuditLog } from '../models/auditLog.model.js';
+
+// Bookkeeping fields that change on every save and only add noise to a diff
+const IGNORED_FIELDS = new Set(['_id', '__v', 'updatedAt']);
+
+/**
+ * Plain-object copy of a document suitable for storing as a snapshot.
+ */
+export const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+  delete plain.__v;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const diffSnapshots = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const a = before?.[field];
+    const b = after?.[field];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      diff.push({ field, before: a, after: b });
+    }
+  }
+  return diff;
+};
+
+/**
+ * Record an admin action. Never throws: a failed audit write is logged but
+ * does not undo or fail the change that was already made.
+ *
+ * @param {object} req - Express request; `req.admin` is set by the auth guard
+ * @param {{ action: string, targetType: string, targetId?: string, before?: object, after?: object, meta?: object }} entry
+ */
+export async function recordAudit(req, { action, targetType, targetId, before, after, meta }) {
+  try {
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+    await AuditLog.create({
+      actor: req.admin
+        ? { id: req.admin.id, username: req.admin.username, role: req.admin.role }
+        : { username: 'system' },
+      action,
+      method: req.method,
+      route: req.originalUrl,
+      targetType,
+      targetId: targetId !== undefined ? String(targetId) : undefined,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      diff: diffSnapshots(beforeSnapshot, afterSnapshot),
+      meta,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit log for ${action}:`, err.message);
+  }
+}
@@ -0,0 +1,256 @@
+// utils/bankStatement.js
+// Bank statement import: credits from a CSV export are matched against
+// payment proofs awaiting verification and orders with money still due.
+//
+//   1. A UTR/reference on a pending proof with the same amount: the proof is verified.
+//   2. An orderId in the narration (the UPI note, see utils/upi.js) of an order
+//      with a balance due: its pending proof for that amount is verified with
+//      the statement's UTR, or a verified payment is added when the customer
+//      never uploaded one.
+//
+// Amount mismatches are reported for the order desk instead of verified, and
+// references already on a verified payment are skipped, so importing the same
+// statement twice is harmless. For that reason a credit with no reference or
+// UTR is never verified automatically; it is reported as 'no_reference'. Column names differ between banks; the common
+// ones are recognised and any can be named explicitly.
+import { Order } from '../models/order.model.js';
+import { INACTIVE_ORDER_STATUSES } from './orderStatus.js';
+import { addPaymentProof, balanceDue, reviewPayment } from './payments.js';
+
+// Bank exports put a few lines of account details above the table
+const MAX_HEADER_SEARCH_ROWS = 30;
+
+const COLUMN_PATTERNS = {
+  date: /date/i,
+  reference: /utr|ref(erence)?\s*(no|number|id)?\b|transaction\s*id|txn\s*id|cheque/i,
+  narration: /narration|description|particulars|remarks|details/i,
+  credit: /credit|deposit|\bcr\b/i,
+  amount: /amount/i,
+  type: /^(cr\s*\/\s*dr|dr\s*\/\s*cr|type|txn\s*type)$/i,
+};
+
+const UTR_PATTERN = /\b\d{12}\b/g;
+// Order ids are YYMMDD plus a three digit suffix (routes/orderRoutes.js)
+const ORDER_ID_PATTERN = /\b\d{9}\b/g;
+
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+
+// Non-blank CSV rows as { cells, line }, `line` being the 1-based line of the
+// file the row starts on (a quoted cell may run over several lines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text).replace(/^﻿/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n' || (ch === '\r' && input[i + 1] !== '\n')) line += 1;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      cell = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push({ cells: row, line: rowLine });
+  }
+  return rows.filter(({ cells }) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF, optional
+ * BOM). Blank rows are left out.
+ */
+export const parseCsv = (text) => parseCsvRows(text).map(({ cells }) => cells);
+
+// "1,250.00", "₹ 1250", "1250.00 CR" → 1250; blank or unreadable → null
+const parseAmount = (value) => {
+  const cleaned = String(value || '').replace(/₹|rs\.?|inr|cr|,|\s/gi, '');
+  if (!cleaned) return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const findColumn = (header, explicit, pattern) => {
+  if (explicit) {
+    const wanted = String(explicit).trim().toLowerCase();
+    return header.findIndex((name) => name.trim().toLowerCase() === wanted);
+  }
+  // A "Cr/Dr" column says which way the money went; it is never the credit amount
+  return header.findIndex((name) => pattern.test(name.trim())
+    && (pattern === COLUMN_PATTERNS.type || !COLUMN_PATTERNS.type.test(name.trim())));
+};
+
+/**
+ * Read the credits out of a statement CSV. `columns` may name the date,
+ * reference, narration, credit or amount column when the defaults miss.
+ * Returns { entries: [{ row, date, reference, amount, narration }], errors },
+ * `row` being the entry's line number in the file.
+ */
+export function readStatement(text, columns = {}) {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.slice(0, MAX_HEADER_SEARCH_ROWS).findIndex(({ cells }) => {
+    const credit = findColumn(cells, columns.credit, COLUMN_PATTERNS.credit);
+    const amount = findColumn(cells, columns.amount, COLUMN_PATTERNS.amount);
+    return credit >= 0 || amount >= 0;
+  });
+  if (headerIndex < 0) {
+    return { entries: [], errors: ['No header row with a credit or amount column was found'] };
+  }
+
+  const header = rows[headerIndex].cells;
+  const index = Object.fromEntries(Object.keys(COLUMN_PATTERNS).map((key) => [key, findColumn(header, columns[key], COLUMN_PATTERNS[key])]));
+  const errors = [];
+  for (const key of ['date', 'reference', 'narration', 'credit', 'amount']) {
+    if (columns[key] && index[key] < 0) errors.push(`Column "${columns[key]}" was not found`);
+  }
+  if (index.reference < 0 && index.narration < 0) {
+    errors.push('No reference or narration column was found');
+  }
+  if (errors.length) return { entries: [], errors };
+
+  const entries = [];
+  rows.slice(headerIndex + 1).forEach(({ cells, line }) => {
+    const cell = (key) => (index[key] >= 0 ? (cells[index[key]] || '').trim() : '');
+    let amount;
+    if (index.credit >= 0) {
+      amount = parseAmount(cell('credit'));
+    } else {
+      amount = parseAmount(cell('amount'));
+      // One signed amount column: keep credits only
+      const type = cell('type') || cell('amount');
+      if (index.type >= 0 ? !/^c/i.test(type) : /dr\b/i.test(type)) amount = null;
+    }
+    if (!amount || amount <= 0) return;
+    entries.push({
+      row: line,
+      date: cell('date'),
+      reference: cell('reference').toUpperCase(),
+      amount,
+      narration: cell('narration'),
+    });
+  });
+  return { entries, errors: [] };
+}
+
+// References to look for: the reference column and any UTR-like number in the narration
+const entryReferences = (entry) => [...new Set([
+  ...(entry.reference ? [entry.reference] : []),
+  ...(entry.narration.match(UTR_PATTERN) || []),
+])];
+
+async function matchEntry(entry, { actor, dryRun }) {
+  const references = entryReferences(entry);
+  const result = { row: entry.row, date: entry.date, amount: entry.amount, reference: references[0] || null };
+  const note = `Matched to bank statement row ${entry.row}`;
+
+  if (references.length) {
+    const verified = await Order.findOne(
+      { payments: { $elemMatch: { reference: { $in: references }, status: 'verified' } } },
+      { orderId: 1 }
+    ).lean();
+    if (verified) return { ...result, status: 'already_matched', orderId: verified.orderId };
+
+    const order = await Order.findOne(
+      { payments: { $elemMatch: { reference: { $in: references }, status: 'pending' } } },
+      { orderId: 1, payments: 1 }
+    ).lean();
+    if (order) {
+      const payment = order.payments.find((p) => p.status === 'pending' && references.includes(p.reference));
+      if (toPaise(payment.amount) !== toPaise(entry.amount)) {
+        return { ...result, status: 'amount_mismatch', orderId: order.orderId, paymentId: payment._id, claimed: payment.amount };
+      }
+      if (!dryRun) {
+        await reviewPayment(order.orderId, { paymentId: payment._id, verified: true, amount: entry.amount, actor, note });
+      }
+      return { ...result, status: 'matched', orderId: order.orderId, paymentId: payment._id, matchedBy: 'reference' };
+    }
+  }
+
+  const orderIds = [...new Set(entry.narration.match(ORDER_ID_PATTERN) || [])];
+  if (orderIds.length) {
+    const orders = await Order.find(
+      { orderId: { $in: orderIds }, status: { $nin: INACTIVE_ORDER_STATUSES } },
+      { orderId: 1, total: 1, payments: 1 }
+    ).lean();
+    const order = orders.find((candidate) => balanceDue(candidate) > 0);
+    // Without a reference a re-import could not tell this credit was already counted
+    if (order && !result.reference) {
+      return { ...result, status: 'no_reference', orderId: order.orderId };
+    }
+    if (order) {
+      const due = balanceDue(order);
+      const pending = order.payments.find((p) => p.status === 'pending' && toPaise(p.amount) === toPaise(entry.amount));
+      if (!pending && toPaise(entry.amount) > toPaise(due)) {
+        return { ...result, status: 'amount_mismatch', orderId: order.orderId, due };
+      }
+      if (dryRun) {
+        return { ...result, status: 'matched', orderId: order.orderId, paymentId: pending?._id, matchedBy: 'order_note' };
+      }
+      let paymentId = pending?._id;
+      if (!paymentId) {
+        const { payment } = await addPaymentProof(order.orderId, {
+          amount: entry.amount,
+          reference: result.reference,
+          source: 'bank_statement',
+        });
+        paymentId = payment._id;
+      }
+      await reviewPayment(order.orderId, {
+        paymentId,
+        verified: true,
+        amount: entry.amount,
+        reference: result.reference,
+        actor,
+        note,
+      });
+      return { ...result, status: 'matched', orderId: order.orderId, paymentId, matchedBy: 'order_note' };
+    }
+  }
+
+  return { ...result, status: 'unmatched' };
+}
+
+/**
+ * Match statement credits (from readStatement) and verify the payments found.
+ * With `dryRun` nothing is written. Returns one result per credit with
+ * status 'matched', 'already_matched', 'amount_mismatch', 'no_reference',
+ * 'unmatched' or 'failed', plus counts per status.
+ */
+export async function matchStatement(entries, { actor, dryRun = false }) {
+  const results = [];
+  for (const entry of entries) {
+    try {
+      results.push(await matchEntry(entry, { actor, dryRun }));
+    } catch (err) {
+      console.error(`❌ Could not match bank statement row ${entry.row}:`, err.message);
+      results.push({ row: entry.row, amount: entry.amount, reference: entry.reference || null, status: 'failed', error: err.message });
+    }
+  }
+  const counts = results.reduce((acc, { status }) => ({ ...acc, [status]: (acc[status] || 0) + 1 }), {});
+  return { results, counts };
+}
@@ -0,0 +1,205 @@
+// utils/cart.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { Cart } from '../models/cart.model.js';
+import { findProductsByIds } from './productStore.js';
+
+export const MAX_CART_LINES = 50;
+export const MAX_LINE_QUANTITY = 999;
+const GUEST_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const CART_PRODUCT_FIELDS = { name_en: 1, name_ta: 1, price: 1, original_price: 1, imageUrl: 1, stock: 1 };
+
+const toPaise = (value) => Math.round(Number(value) * 100);
+
+const cartError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export const newGuestToken = () => crypto.randomBytes(24).toString('base64url');
+export const isGuestToken = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{32}$/.test(value);
+
+// owner is { customerId } for a logged-in customer or { guestToken } for a guest
+const ownerFilter = (owner) => (owner.customerId ? { customer: owner.customerId } : { guestToken: owner.guestToken });
+
+export const loadCart = (owner) => Cart.findOne(ownerFilter(owner));
+
+/**
+ * Load the owner's cart (creating it if needed), apply `mutate(cart)` and
+ * save. A concurrent write to the same cart is retried once.
+ */
+export async function mutateCart(owner, mutate) {
+  for (let attempt = 0; ; attempt += 1) {
+    const cart = await Cart.findOneAndUpdate(
+      ownerFilter(owner),
+      { $setOnInsert: { items: [] } },
+      { upsert: true, new: true }
+    );
+    const result = mutate(cart);
+    if (cart.guestToken) cart.expiresAt = new Date(Date.now() + GUEST_CART_TTL_MS);
+    try {
+      await cart.save();
+      return { cart, result };
+    } catch (err) {
+      if (!(err instanceof mongoose.Error.VersionError) || attempt > 0) throw err;
+    }
+  }
+}
+
+/**
+ * Add `quantity` of a product to the cart, on top of what is already there.
+ * `product` is the catalog document, used for the line's snapshot.
+ */
+export function addLine(cart, product, quantity) {
+  const productId = String(product._id);
+  const line = cart.items.find((item) => item.productId === productId);
+  if (line) {
+    line.quantity = Math.min(line.quantity + quantity, MAX_LINE_QUANTITY);
+    return line;
+  }
+  if (cart.items.length >= MAX_CART_LINES) {
+    throw cartError(`A cart can hold at most ${MAX_CART_LINES} different products`);
+  }
+  cart.items.push({
+    productId,
+    quantity: Math.min(quantity, MAX_LINE_QUANTITY),
+    name_en: product.name_en,
+    price: product.price,
+    category: product.category,
+  });
+  return cart.items[cart.items.length - 1];
+}
+
+/**
+ * Catalog product for a cart line, or a 404 when it no longer exists.
+ */
+export async function findCartProduct(productId) {
+  if (!mongoose.Types.ObjectId.isValid(String(productId))) {
+    throw cartError('productId is missing or invalid');
+  }
+  const [product] = await findProductsByIds([productId], CART_PRODUCT_FIELDS);
+  if (!product || typeof product.price !== 'number') {
+    throw cartError('Product not found', 404);
+  }
+  return product;
+}
+
+export const emptyCartView = (cartToken = null) => ({
+  cartToken,
+  items: [],
+  itemCount: 0,
+  subtotal: 0,
+  total: 0,
+  warnings: [],
+});
+
+/**
+ * Price a stored cart against the current catalog. Each line is compared
+ * with the snapshot taken when it was added or last read, and the differences
+ * come back as `warnings`:
+ *   removed       - product deleted; the line is dropped
+ *   moved         - product now sits in another category
+ *   price_changed - catalog price differs from the last one shown
+ *   low_stock     - fewer units in stock than the line asks for
+ * The snapshot is then updated, so each change is reported once (low_stock
+ * is repeated until the quantity fits). Item prices always come from the
+ * catalog; the response can be sent to /api/orders/place as is.
+ */
+export async function repriceCart(cart) {
+  const products = cart.items.length > 0
+    ? await findProductsByIds(cart.items.map((line) => line.productId), CART_PRODUCT_FIELDS)
+    : [];
+  const catalog = new Map(products.map((p) => [String(p._id), p]));
+
+  const warnings = [];
+  const items = [];
+  const kept = [];
+  let changed = false;
+
+  for (const line of cart.items) {
+    const product = catalog.get(line.productId);
+    const name = product?.name_en || line.name_en || 'A product';
+    if (!product || typeof product.price !== 'number') {
+      warnings.push({ type: 'removed', productId: line.productId, name_en: line.name_en, message: `${name} is no longer available and was removed from your cart` });
+      changed = true;
+      continue;
+    }
+    if (line.category && product.category && line.category !== product.category) {
+      warnings.push({ type: 'moved', productId: line.productId, name_en: name, from: line.category, to: product.category, message: `${name} has moved from ${line.category} to ${product.category}` });
+    }
+    if (typeof line.price === 'number' && toPaise(line.price) !== toPaise(product.price)) {
+      warnings.push({ type: 'price_changed', productId: line.productId, name_en: name, from: line.price, to: product.price, message: `The price of ${name} changed from ₹${line.price} to ₹${product.price}` });
+    }
+    if (typeof product.stock === 'number' && product.stock < line.quantity) {
+      warnings.push({ type: 'low_stock', productId: line.productId, name_en: name, requested: line.quantity, available: product.stock, message: `Only ${product.stock} of ${name} left in stock` });
+    }
+
+    if (line.price !== product.price || line.category !== product.category || line.name_en !== product.name_en) {
+      line.price = product.price;
+      line.category = product.category;
+      line.name_en = product.name_en;
+      changed = true;
+    }
+    kept.push(line);
+    items.push({
+      id: line.productId,
+      name_en: product.name_en,
+      name_ta: product.name_ta,
+      price: product.price,
+      original_price: product.original_price,
+      quantity: line.quantity,
+      lineTotal: product.price * line.quantity,
+      category: product.category,
+      imageUrl: product.imageUrl,
+    });
+  }
+
+  if (changed) {
+    cart.items = kept;
+    await cart.save();
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  return {
+    cartToken: cart.guestToken || null,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal,
+    total: subtotal,
+    warnings,
+  };
+}
+
+/**
+ * Move a guest cart into the customer's cart after login. A product in both
+ * carts keeps the larger quantity, so merging the same cart twice does not
+ * double it. The guest cart is deleted. Returns the number of lines merged.
+ */
+export async function mergeGuestCart(guestToken, customerId) {
+  if (!isGuestToken(guestToken)) return 0;
+  const guest = await Cart.findOne({ guestToken });
+  if (!guest) return 0;
+
+  let merged = 0;
+  if (guest.items.length > 0) {
+    ({ result: merged } = await mutateCart({ customerId }, (cart) => {
+      let count = 0;
+      for (const line of guest.items) {
+        const existing = cart.items.find((item) => item.productId === line.productId);
+        if (existing) {
+          existing.quantity = Math.max(existing.quantity, line.quantity);
+        } else if (cart.items.length < MAX_CART_LINES) {
+          cart.items.push(line.toObject());
+        } else {
+          continue;
+        }
+        count += 1;
+      }
+      return count;
+    }));
+  }
+  await Cart.deleteOne({ _id: guest._id });
+  return merged;
+}
@@ -0,0 +1,253 @@
+// utils/catalogListing.js
+// Filtering, sorting and cursor pagination for the catalog listing routes.
+import mongoose from 'mongoose';
+import { Product } from '../models/Product.js';
+import { findProducts, isCompatMode } from './productStore.js';
+import { withStockFlag } from './inventory.js';
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters that switch a listing route to the paginated response
+export const LISTING_PARAMS = ['limit', 'cursor', 'sort', 'minPrice', 'maxPrice', 'onSale'];
+
+export const LISTING_PROJECTION = {
+  name_en: 1,
+  name_ta: 1,
+  price: 1,
+  original_price: 1,
+  imageUrl: 1,
+  youtube_url: 1,
+  order: 1,
+  stock: 1,
+  createdAt: 1,
+};
+
+export const discountPercent = (product) => {
+  const { price, original_price: original } = product;
+  if (typeof original !== 'number' || original <= 0 || typeof price !== 'number' || price >= original) return 0;
+  return Math.round(((original - price) / original) * 100);
+};
+
+const time = (value) => (value ? new Date(value).valueOf() : 0);
+
+// Each sort is a list of [key, direction]; _id breaks ties so cursors are stable
+const SORTS = {
+  default: [[(p) => p.order ?? 0, 1], [(p) => time(p.createdAt), -1]],
+  price_asc: [[(p) => p.price ?? 0, 1]],
+  price_desc: [[(p) => p.price ?? 0, -1]],
+  discount: [[discountPercent, -1], [(p) => p.price ?? 0, 1]],
+  newest: [[(p) => time(p.createdAt), -1]],
+};
+
+// The same keys as MongoDB expressions, for listings of the products collection.
+// Math.round is floor(x + 0.5); $round would round halves to even.
+const DISCOUNT_EXPRESSION = {
+  $cond: [
+    {
+      $and: [
+        { $isNumber: '$original_price' },
+        { $isNumber: '$price' },
+        { $gt: ['$original_price', 0] },
+        { $lt: ['$price', '$original_price'] },
+      ],
+    },
+    {
+      $floor: {
+        $add: [{ $multiply: [{ $divide: [{ $subtract: ['$original_price', '$price'] }, '$original_price'] }, 100] }, 0.5],
+      },
+    },
+    0,
+  ],
+};
+const ORDER_EXPRESSION = { $ifNull: ['$order', 0] };
+const PRICE_EXPRESSION = { $ifNull: ['$price', 0] };
+const CREATED_EXPRESSION = { $ifNull: [{ $toLong: '$createdAt' }, 0] };
+
+const SORT_EXPRESSIONS = {
+  default: [ORDER_EXPRESSION, CREATED_EXPRESSION],
+  price_asc: [PRICE_EXPRESSION],
+  price_desc: [PRICE_EXPRESSION],
+  discount: [DISCOUNT_EXPRESSION, PRICE_EXPRESSION],
+  newest: [CREATED_EXPRESSION],
+};
+
+const sortValues = (sort, product) => SORTS[sort].map(([key]) => key(product));
+
+const compareValues = (sort, a, b) => {
+  const directions = SORTS[sort].map(([, direction]) => direction);
+  for (let i = 0; i < directions.length; i++) {
+    if (a.values[i] !== b.values[i]) return (a.values[i] < b.values[i] ? -1 : 1) * directions[i];
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+const encodeCursor = (sort, entry) => Buffer.from(JSON.stringify({ s: sort, v: entry.values, id: entry.id })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.s === sort
+      && Array.isArray(decoded.v) && decoded.v.length === SORTS[sort].length && decoded.v.every(Number.isFinite)
+      && typeof decoded.id === 'string' && mongoose.Types.ObjectId.isValid(decoded.id)) {
+      return { values: decoded.v, id: decoded.id };
+    }
+  } catch {
+    // fall through to the error below
+  }
+  const err = new Error('cursor is invalid or was issued for a different sort');
+  err.statusCode = 400;
+  throw err;
+};
+
+/**
+ * Validate listing query parameters. Throws an Error with `statusCode = 400`
+ * on bad input.
+ *
+ * @returns {{ sort: string, limit: number, cursor: string|null, minPrice?: number, maxPrice?: number, onSale: boolean }}
+ */
+export function parseListingQuery(query = {}) {
+  const problems = [];
+  const sort = query.sort || 'default';
+  if (!SORTS[sort]) problems.push(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+
+  const parsedLimit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) problems.push('limit must be a positive whole number');
+  const limit = Math.min(parsedLimit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const parsePrice = (name) => {
+    if (query[name] === undefined || query[name] === '') return undefined;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) problems.push(`${name} must be a non-negative number`);
+    return value;
+  };
+  const minPrice = parsePrice('minPrice');
+  const maxPrice = parsePrice('maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    problems.push('minPrice cannot be greater than maxPrice');
+  }
+
+  if (problems.length > 0) {
+    const err = new Error(problems.join(', '));
+    err.statusCode = 400;
+    throw err;
+  }
+
+  return {
+    sort,
+    limit,
+    cursor: typeof query.cursor === 'string' && query.cursor ? query.cursor : null,
+    minPrice,
+    maxPrice,
+    onSale: query.onSale === 'true' || query.onSale === '1',
+  };
+}
+
+// Stable string for cache keys
+export const listingCacheKey = (params) => [
+  params.sort, params.limit, params.cursor || '', params.minPrice ?? '', params.maxPrice ?? '', params.onSale ? 1 : 0,
+].join('|');
+
+const listingFilter = (params) => {
+  const filter = {};
+  if (params.minPrice !== undefined || params.maxPrice !== undefined) {
+    filter.price = {};
+    if (params.minPrice !== undefined) filter.price.$gte = params.minPrice;
+    if (params.maxPrice !== undefined) filter.price.$lte = params.maxPrice;
+  }
+  if (params.onSale) {
+    filter.original_price = { $type: 'number' };
+    filter.$expr = { $lt: ['$price', '$original_price'] };
+  }
+  return filter;
+};
+
+// Sort keys are added as _sort0, _sort1, ...; rows strictly after the cursor
+// are those greater on the first key that differs, with _id as the last key
+const afterCursorMatch = (sort, after) => {
+  const directions = SORTS[sort].map(([, direction]) => direction);
+  const equalUpTo = (count) => Object.fromEntries(after.values.slice(0, count).map((value, i) => [`_sort${i}`, value]));
+  return {
+    $or: [
+      ...directions.map((direction, i) => ({
+        ...equalUpTo(i),
+        [`_sort${i}`]: { [direction > 0 ? '$gt' : '$lt']: after.values[i] },
+      })),
+      { ...equalUpTo(directions.length), _id: { $gt: new mongoose.Types.ObjectId(after.id) } },
+    ],
+  };
+};
+
+// Products collection only: filter, sort, cursor and limit all run in MongoDB
+async function pageFromProducts(params, category, filter) {
+  const match = category ? { ...filter, categoryId: category._id } : filter;
+  const sortFields = Object.fromEntries(SORT_EXPRESSIONS[params.sort].map((expression, i) => [`_sort${i}`, expression]));
+  const pipeline = [{ $match: match }, { $addFields: sortFields }];
+  if (params.cursor) pipeline.push({ $match: afterCursorMatch(params.sort, decodeCursor(params.cursor, params.sort)) });
+  pipeline.push(
+    {
+      $sort: {
+        ...Object.fromEntries(SORTS[params.sort].map(([, direction], i) => [`_sort${i}`, direction])),
+        _id: 1,
+      },
+    },
+    // One extra row tells whether there is a next page
+    { $limit: params.limit + 1 },
+    { $project: { ...LISTING_PROJECTION, category: 1, categoryId: 1, ...Object.fromEntries(Object.keys(sortFields).map((field) => [field, 1])) } }
+  );
+
+  const [rows, total] = await Promise.all([Product.aggregate(pipeline), Product.countDocuments(match)]);
+  const entries = rows.slice(0, params.limit).map((row) => {
+    const product = { ...row };
+    const values = Object.keys(sortFields).map((field) => {
+      delete product[field];
+      return row[field];
+    });
+    return { product, id: String(row._id), values };
+  });
+  return { entries, total, hasMore: rows.length > params.limit };
+}
+
+// Compatibility mode merges the per-category collections, so it pages in memory
+async function pageFromCollections(params, category, filter) {
+  const products = await findProducts({ category, filter, projection: LISTING_PROJECTION });
+  const entries = products
+    .map((product) => ({ product, id: String(product._id), values: sortValues(params.sort, product) }))
+    .sort((a, b) => compareValues(params.sort, a, b));
+
+  let start = 0;
+  if (params.cursor) {
+    const after = decodeCursor(params.cursor, params.sort);
+    start = entries.findIndex((entry) => compareValues(params.sort, entry, after) > 0);
+    if (start === -1) start = entries.length;
+  }
+  return {
+    entries: entries.slice(start, start + params.limit),
+    total: entries.length,
+    hasMore: start + params.limit < entries.length,
+  };
+}
+
+/**
+ * One page of products. On the products collection everything runs in
+ * MongoDB; in compatibility mode the filters run per collection and the
+ * merged result is sorted and paged here.
+ *
+ * @param {object} params - output of parseListingQuery
+ * @param {object} [category] - Category document; omit for every category
+ * @returns {Promise<{ products: Array, total: number, nextCursor: string|null, sort: string, limit: number }>}
+ */
+export async function listProducts(params, category) {
+  const filter = listingFilter(params);
+  const { entries: page, total, hasMore } = isCompatMode()
+    ? await pageFromCollections(params, category, filter)
+    : await pageFromProducts(params, category, filter);
+
+  return {
+    products: page.map(({ product }) => withStockFlag({ ...product, discountPercent: discountPercent(product) })),
+    total,
+    nextCursor: hasMore ? encodeCursor(params.sort, page[page.length - 1]) : null,
+    sort: params.sort,
+    limit: params.limit,
+  };
+}
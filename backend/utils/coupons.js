@@ -0,0 +1,175 @@
+// utils/coupons.js
+import { Coupon } from '../models/coupon.model.js';
+import { Counter } from '../models/counter.model.js';
+import { Order } from '../models/order.model.js';
+import { mobileMatch, normalizeMobile } from '../middleware/customerAuth.js';
+
+// Category names arrive as "ATOM BOMB", "atom bomb" or "ATOM_BOMB"
+export const normalizeCategory = (name) => String(name || '').trim().replace(/[\s_]+/g, '_').toUpperCase();
+
+const couponError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Per-mobile uses are counted in a Counter per coupon and normalized mobile
+const mobileUsesId = (code, mobile) => `coupon:${code}:${mobile}`;
+
+// Orders still holding the coupon, for mobiles that have no counter yet
+const countOrderUses = (code, mobile) => Order.countDocuments({
+  'discount.couponCode': code,
+  'customerDetails.mobile': mobileMatch(mobile),
+  // Cancelled orders gave their coupon use back
+  'cancellation.cancelledAt': { $exists: false },
+});
+
+async function mobileUses(code, mobile) {
+  const counter = await Counter.findById(mobileUsesId(code, mobile)).lean();
+  return counter ? counter.seq : countOrderUses(code, mobile);
+}
+
+/**
+ * Take one of a mobile's uses of a coupon. The `$lt` guard makes the check
+ * and the count one atomic step, so two orders cannot both take the last use.
+ */
+async function takeMobileUse(coupon, mobile) {
+  const _id = mobileUsesId(coupon.code, mobile);
+  if (!(await Counter.exists({ _id }))) {
+    // First use since the counter was introduced: start from the orders placed before
+    const previousUses = await countOrderUses(coupon.code, mobile);
+    try {
+      await Counter.updateOne({ _id }, { $setOnInsert: { seq: previousUses } }, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  const taken = await Counter.findOneAndUpdate(
+    { _id, seq: { $lt: coupon.perMobileLimit } },
+    { $inc: { seq: 1 } }
+  );
+  if (!taken) throw couponError('You have already used this coupon', 409);
+}
+
+/**
+ * Check a coupon against a priced cart and work out the discount.
+ * Throws an Error with `statusCode = 400` (or 404 for unknown codes) whose
+ * message is safe to show to the customer.
+ *
+ * @param {string} code - coupon code as typed by the customer
+ * @param {Array} items - catalog-priced cart lines
+ * @param {string} [mobile] - customer mobile, required for per-mobile limits
+ * @param {{ heldByOrderId?: string }} [options] - when repricing an order that
+ *   already redeemed the coupon, whether it is still active, its validity
+ *   window and usage limits are not checked again and the order does not count
+ *   against the per-mobile limit
+ * @returns {Promise<{ coupon: object, discount: object }>}
+ */
+export async function evaluateCoupon(code, items, mobile, { heldByOrderId } = {}) {
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  if (!normalizedCode) throw couponError('Coupon code is required');
+
+  const coupon = await Coupon.findOne({ code: normalizedCode }).lean();
+  // A coupon switched off later still holds for orders that already redeemed it
+  if (!coupon || (!coupon.isActive && !heldByOrderId)) throw couponError('Invalid coupon code', 404);
+
+  const now = new Date();
+  if (!heldByOrderId) {
+    if (coupon.validFrom && now < coupon.validFrom) throw couponError('This coupon is not active yet');
+    if (coupon.validUntil && now > coupon.validUntil) throw couponError('This coupon has expired');
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+      throw couponError('This coupon has reached its usage limit');
+    }
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(`Minimum order value for this coupon is ₹${coupon.minOrderValue}`);
+  }
+
+  const allowed = new Set((coupon.categories || []).map(normalizeCategory));
+  const eligibleSubtotal = allowed.size === 0
+    ? subtotal
+    : items
+      .filter((item) => allowed.has(normalizeCategory(item.category)))
+      .reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (eligibleSubtotal <= 0) {
+    throw couponError('This coupon does not apply to the items in your cart');
+  }
+
+  // Checked again atomically by redeemCoupon when the order is placed
+  if (coupon.perMobileLimit > 0 && !heldByOrderId) {
+    const normalizedMobile = normalizeMobile(mobile);
+    if (!normalizedMobile) throw couponError('A valid mobile number is required to use this coupon');
+    if (await mobileUses(coupon.code, normalizedMobile) >= coupon.perMobileLimit) {
+      throw couponError('You have already used this coupon');
+    }
+  }
+
+  let amount = coupon.type === 'percentage'
+    ? eligibleSubtotal * (coupon.value / 100)
+    : coupon.value;
+  if (coupon.type === 'percentage' && coupon.maxDiscount > 0) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+  amount = Math.round(Math.min(amount, eligibleSubtotal));
+
+  return {
+    coupon,
+    discount: {
+      couponCode: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      categories: coupon.categories || [],
+      eligibleSubtotal,
+      amount,
+    },
+  };
+}
+
+/**
+ * Count one use of a coupon by an order's mobile. The usage limit and the
+ * per-mobile limit are re-checked atomically so two orders cannot both take
+ * the last redemption.
+ */
+export async function redeemCoupon(code, mobile) {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      code,
+      isActive: true,
+      $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!updated) throw couponError('This coupon has reached its usage limit', 409);
+
+  if (updated.perMobileLimit > 0) {
+    const normalizedMobile = normalizeMobile(mobile);
+    try {
+      if (!normalizedMobile) throw couponError('A valid mobile number is required to use this coupon');
+      await takeMobileUse(updated, normalizedMobile);
+    } catch (err) {
+      await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      throw err;
+    }
+  }
+  return updated;
+}
+
+/**
+ * Give back a redemption when an order that used the coupon goes away,
+ * including the use counted against the order's mobile.
+ */
+export async function releaseCoupon(code, mobile) {
+  if (!code) return;
+  try {
+    await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    const normalizedMobile = normalizeMobile(mobile);
+    if (normalizedMobile) {
+      await Counter.updateOne({ _id: mobileUsesId(code, normalizedMobile), seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+    }
+  } catch (err) {
+    console.error(`❌ Failed to release coupon ${code}:`, err.message);
+  }
+}
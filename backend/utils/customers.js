@@ -0,0 +1,81 @@
+// utils/customers.js
+import { Customer } from '../models/customer.model.js';
+import { Order } from '../models/order.model.js';
+import { normalizeMobile } from '../middleware/customerAuth.js';
+
+const MAX_ADDRESSES = 10;
+
+const sameAddress = (a, b) => String(a.address || '').trim().toLowerCase() === String(b.address || '').trim().toLowerCase()
+  && String(a.pincode || '').trim() === String(b.pincode || '').trim();
+
+/**
+ * Add an address to a customer document unless it is already saved. The
+ * first address becomes the default. Returns the saved address subdocument.
+ */
+export function rememberAddress(customer, { fullName, address, pincode, label }, { makeDefault = false } = {}) {
+  let saved = customer.addresses.find((a) => sameAddress(a, { address, pincode }));
+  if (!saved) {
+    if (customer.addresses.length >= MAX_ADDRESSES) {
+      const err = new Error(`You can save up to ${MAX_ADDRESSES} addresses`);
+      err.statusCode = 400;
+      throw err;
+    }
+    customer.addresses.push({ label: label || '', fullName, address: String(address).trim(), pincode: pincode ? String(pincode).trim() : undefined });
+    saved = customer.addresses[customer.addresses.length - 1];
+  }
+  if (makeDefault || !customer.addresses.some((a) => a.isDefault)) {
+    customer.addresses.forEach((a) => { a.isDefault = a._id.equals(saved._id); });
+  }
+  return saved;
+}
+
+/**
+ * Find or create the customer for a mobile number.
+ */
+export async function findOrCreateCustomer(mobile) {
+  return Customer.findOneAndUpdate(
+    { mobile },
+    { $setOnInsert: { mobile } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Customer record for an order's customerDetails: created on first order.
+ * With `verified` (the order came with a session for its mobile) name, email
+ * and address are kept up to date; otherwise anyone could have typed the
+ * mobile, so only empty fields are filled and an address is only saved for a
+ * customer who has none. Returns null when the order's mobile is not valid.
+ */
+export async function upsertCustomerFromOrder(customerDetails, placedAt = new Date(), { verified = false } = {}) {
+  const mobile = normalizeMobile(customerDetails?.mobile);
+  if (!mobile) return null;
+  const customer = await findOrCreateCustomer(mobile);
+  if (customerDetails.fullName && (verified || !customer.fullName)) customer.fullName = customerDetails.fullName;
+  if (customerDetails.email && (verified || !customer.email)) customer.email = customerDetails.email;
+  const canAddAddress = verified ? customer.addresses.length < MAX_ADDRESSES : customer.addresses.length === 0;
+  if (customerDetails.address && canAddAddress) {
+    rememberAddress(customer, customerDetails);
+  }
+  if (!customer.lastOrderAt || placedAt > customer.lastOrderAt) customer.lastOrderAt = placedAt;
+  await customer.save();
+  return customer;
+}
+
+/**
+ * Point a new order at its customer once the order is saved, so a failed
+ * placement leaves no customer record behind. `sessionMobile` is the mobile
+ * of the customer session the order was placed with, if any. A failure here
+ * is logged and never blocks the order.
+ */
+export async function linkOrderToCustomer(order, { sessionMobile } = {}) {
+  try {
+    const verified = Boolean(sessionMobile) && sessionMobile === normalizeMobile(order.customerDetails?.mobile);
+    const customer = await upsertCustomerFromOrder(order.customerDetails, new Date(order.createdAt || Date.now()), { verified });
+    if (!customer) return;
+    await Order.updateOne({ _id: order._id }, { $set: { customer: customer._id } });
+    order.customer = customer._id;
+  } catch (err) {
+    console.warn(`⚠️ Could not link order ${order.orderId} to a customer:`, err.message);
+  }
+}
@@ -0,0 +1,159 @@
+// utils/discountCampaigns.js
+import mongoose from 'mongoose';
+import { DiscountCampaign } from '../models/discountCampaign.model.js';
+import { findProductById, findProducts, resolveCategory, updateProduct } from './productStore.js';
+
+const CAMPAIGN_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Apply a campaign's prices. Each targeted product with an original_price gets
+ * `price = round(original_price * (1 - discount / 100))` and its previous price
+ * is recorded before the price changes, so the campaign can be rolled back
+ * even if activation stops partway.
+ */
+export async function activateCampaign(campaignId) {
+  // Claim the campaign first so two instances never apply it twice
+  const campaign = await DiscountCampaign.findOneAndUpdate(
+    { _id: campaignId, status: 'scheduled' },
+    { $set: { status: 'active', activatedAt: new Date() } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  // Products already priced by another running campaign are left alone
+  const otherActive = await DiscountCampaign.find(
+    { _id: { $ne: campaign._id }, status: 'active' },
+    { 'changes.productId': 1 }
+  ).lean();
+  const taken = new Set(otherActive.flatMap((c) => c.changes.map((ch) => ch.productId)));
+
+  const filter = { original_price: { $exists: true, $ne: null } };
+  if (campaign.productIds.length > 0) {
+    filter._id = { $in: campaign.productIds.filter((id) => mongoose.Types.ObjectId.isValid(id)) };
+  }
+
+  // No categories means every category
+  const scopes = campaign.categories.length > 0
+    ? (await Promise.all(campaign.categories.map((name) => resolveCategory(name, { activeOnly: false })))).filter(Boolean)
+    : [undefined];
+
+  let changed = 0;
+  const skipped = [];
+  for (const category of scopes) {
+    const products = await findProducts({ category, filter, projection: { name_en: 1, price: 1, original_price: 1 } });
+    for (const product of products) {
+      const productId = String(product._id);
+      if (taken.has(productId)) {
+        skipped.push(productId);
+        continue;
+      }
+      const discountedPrice = Math.round(product.original_price * (1 - campaign.discount / 100));
+      // endCampaign only restores products still at discountedPrice, so a
+      // change recorded without its price update is harmless
+      await DiscountCampaign.updateOne(
+        { _id: campaign._id },
+        {
+          $push: {
+            changes: {
+              productId,
+              category: product.category,
+              name_en: product.name_en,
+              previousPrice: product.price,
+              discountedPrice,
+            },
+          },
+        }
+      );
+      await updateProduct(productId, {}, { $set: { price: discountedPrice } });
+      changed += 1;
+    }
+  }
+
+  const activated = await DiscountCampaign.findOneAndUpdate(
+    { _id: campaign._id },
+    { $set: { skippedProductIds: skipped } },
+    { new: true }
+  );
+  console.log(`✅ Discount campaign activated: ${campaign.name} (${changed} products)`);
+  return activated;
+}
+
+/**
+ * Roll a campaign back. A product is restored to its recorded previous price
+ * only while it still carries the campaign price, so later manual edits win.
+ * Scheduled campaigns are cancelled without touching any prices.
+ */
+export async function endCampaign(campaignId) {
+  const cancelled = await DiscountCampaign.findOneAndUpdate(
+    { _id: campaignId, status: 'scheduled' },
+    { $set: { status: 'cancelled', endedAt: new Date() } },
+    { new: true }
+  );
+  if (cancelled) return cancelled;
+
+  const campaign = await DiscountCampaign.findOneAndUpdate(
+    { _id: campaignId, status: 'active' },
+    { $set: { status: 'ended', endedAt: new Date() } },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  for (const change of campaign.changes) {
+    const result = await updateProduct(
+      change.productId,
+      { price: change.discountedPrice },
+      { $set: { price: change.previousPrice } }
+    );
+    if (result.matchedCount > 0) {
+      change.rollback = 'restored';
+    } else {
+      const exists = await findProductById(change.productId);
+      change.rollback = exists ? 'skipped' : 'missing';
+    }
+  }
+
+  campaign.markModified('changes');
+  await campaign.save();
+  console.log(`✅ Discount campaign ended: ${campaign.name}`);
+  return campaign;
+}
+
+/**
+ * Start the background loop that activates due campaigns and rolls back
+ * expired ones. `onPricesChanged` runs after any prices were touched so the
+ * caller can drop its product caches.
+ */
+export function startCampaignScheduler({ onPricesChanged } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      const now = new Date();
+      let touched = false;
+
+      // Roll back first so a campaign starting as another ends can take its products.
+      // Scheduled campaigns whose whole window was missed are cancelled here too.
+      const expired = await DiscountCampaign.find({ status: { $in: ['active', 'scheduled'] }, endsAt: { $ne: null, $lte: now } }, { _id: 1 }).lean();
+      for (const { _id } of expired) {
+        if (await endCampaign(_id)) touched = true;
+      }
+
+      const due = await DiscountCampaign.find({ status: 'scheduled', startsAt: { $lte: now } }, { _id: 1 }).sort({ startsAt: 1 }).lean();
+      for (const { _id } of due) {
+        if (await activateCampaign(_id)) touched = true;
+      }
+
+      if (touched && typeof onPricesChanged === 'function') onPricesChanged();
+    } catch (err) {
+      console.error('❌ Discount campaign scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CAMPAIGN_CHECK_INTERVAL_MS);
+  timer.unref?.();
+  tick();
+  return timer;
+}
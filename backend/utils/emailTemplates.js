@@ -0,0 +1,163 @@
+// utils/emailTemplates.js
+// Transactional email templates in English (en) and Tamil (ta). A template
+// gives, per locale, `subject(data)` and `paragraphs(data)`; renderEmail wraps
+// the paragraphs in the shared greeting, sign-off and HTML layout. Order
+// templates get the data built by orderEmailData in utils/orderEmails.js.
+
+export const EMAIL_LOCALES = ['en', 'ta'];
+
+export const rupees = (amount) => {
+  const value = Number(amount) || 0;
+  const paise = Number.isInteger(value) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+  return `₹${value.toLocaleString('en-IN', paise)}`;
+};
+
+const itemLines = (items, locale) => (items || []).map((item) => {
+  const name = (locale === 'ta' && item.name_ta) || item.name_en;
+  return `${item.quantity} × ${name} - ${rupees(item.price * item.quantity)}`;
+});
+
+const LAYOUT = {
+  en: {
+    greeting: (data) => `Dear ${data.fullName || 'Customer'},`,
+    signOff: ['Best regards,', 'KMPyrotech Team'],
+    help: 'If you have any questions, reply to this email or call us.',
+  },
+  ta: {
+    greeting: (data) => `அன்புள்ள ${data.fullName || 'வாடிக்கையாளர்'},`,
+    signOff: ['நன்றியுடன்,', 'KMPyrotech குழு'],
+    help: 'ஏதேனும் கேள்விகள் இருந்தால், இந்த மின்னஞ்சலுக்கு பதிலளிக்கவும் அல்லது எங்களை அழைக்கவும்.',
+  },
+};
+
+export const EMAIL_TEMPLATES = {
+  order_confirmation: {
+    en: {
+      subject: (d) => `KMPyrotech - Order #${d.orderId} confirmed`,
+      paragraphs: (d) => [
+        `Thank you for your order! Your order #${d.orderId} has been placed.`,
+        ...itemLines(d.items, 'en'),
+        `Total: ${rupees(d.total)}`,
+        'Your invoice is attached to this email.',
+      ],
+    },
+    ta: {
+      subject: (d) => `KMPyrotech - ஆர்டர் #${d.orderId} உறுதி செய்யப்பட்டது`,
+      paragraphs: (d) => [
+        `உங்கள் ஆர்டருக்கு நன்றி! உங்கள் ஆர்டர் #${d.orderId} பெறப்பட்டது.`,
+        ...itemLines(d.items, 'ta'),
+        `மொத்தம்: ${rupees(d.total)}`,
+        'உங்கள் விலைப்பட்டியல் இந்த மின்னஞ்சலுடன் இணைக்கப்பட்டுள்ளது.',
+      ],
+    },
+  },
+  payment_verified: {
+    en: {
+      subject: (d) => `KMPyrotech - Payment received for order #${d.orderId}`,
+      paragraphs: (d) => [
+        `We have verified your payment of ${rupees(d.total)} for order #${d.orderId}.`,
+        'We will pack your order and send you the transport details once it is booked.',
+      ],
+    },
+    ta: {
+      subject: (d) => `KMPyrotech - ஆர்டர் #${d.orderId} க்கான பணம் பெறப்பட்டது`,
+      paragraphs: (d) => [
+        `ஆர்டர் #${d.orderId} க்கான உங்கள் ${rupees(d.total)} பணம் சரிபார்க்கப்பட்டது.`,
+        'உங்கள் ஆர்டரை பேக் செய்து, புக் செய்தவுடன் போக்குவரத்து விவரங்களை அனுப்புவோம்.',
+      ],
+    },
+  },
+  payment_rejected: {
+    en: {
+      subject: (d) => `KMPyrotech - Payment for order #${d.orderId} could not be verified`,
+      paragraphs: (d) => [
+        `We could not verify the payment proof you uploaded for order #${d.orderId}.`,
+        `Reason: ${d.rejectionReason || '-'}`,
+        ...(d.amountPaid ? [`Verified so far: ${rupees(d.amountPaid)} of ${rupees(d.total)}`] : []),
+        'Please upload a corrected screenshot with the UTR number from the order page.',
+      ],
+    },
+    ta: {
+      subject: (d) => `KMPyrotech - ஆர்டர் #${d.orderId} க்கான பணத்தை சரிபார்க்க முடியவில்லை`,
+      paragraphs: (d) => [
+        `ஆர்டர் #${d.orderId} க்கு நீங்கள் பதிவேற்றிய கட்டணச் சான்றை சரிபார்க்க முடியவில்லை.`,
+        `காரணம்: ${d.rejectionReason || '-'}`,
+        ...(d.amountPaid ? [`இதுவரை சரிபார்க்கப்பட்டது: ${rupees(d.total)} இல் ${rupees(d.amountPaid)}`] : []),
+        'ஆர்டர் பக்கத்திலிருந்து UTR எண்ணுடன் சரியான ஸ்கிரீன்ஷாட்டை மீண்டும் பதிவேற்றவும்.',
+      ],
+    },
+  },
+  order_booked: {
+    en: {
+      subject: (d) => `KMPyrotech - Order #${d.orderId} has been booked`,
+      paragraphs: (d) => [
+        `Your order #${d.orderId} has been booked for delivery.`,
+        `Transport: ${d.transportName || '-'}`,
+        `LR number: ${d.lrNumber || '-'}`,
+        'Quote the LR number at the transport office to collect or track your parcel.',
+      ],
+    },
+    ta: {
+      subject: (d) => `KMPyrotech - ஆர்டர் #${d.orderId} புக் செய்யப்பட்டது`,
+      paragraphs: (d) => [
+        `உங்கள் ஆர்டர் #${d.orderId} டெலிவரிக்காக புக் செய்யப்பட்டது.`,
+        `போக்குவரத்து நிறுவனம்: ${d.transportName || '-'}`,
+        `LR எண்: ${d.lrNumber || '-'}`,
+        'பார்சலைப் பெற அல்லது கண்காணிக்க போக்குவரத்து அலுவலகத்தில் LR எண்ணைக் குறிப்பிடவும்.',
+      ],
+    },
+  },
+  order_cancelled: {
+    en: {
+      subject: (d) => `KMPyrotech - Order #${d.orderId} has been cancelled`,
+      paragraphs: (d) => [
+        `Your order #${d.orderId} has been cancelled.`,
+        ...(d.reason ? [`Reason: ${d.reason}`] : []),
+        'If you have already paid, our team will contact you about the refund.',
+      ],
+    },
+    ta: {
+      subject: (d) => `KMPyrotech - ஆர்டர் #${d.orderId} ரத்து செய்யப்பட்டது`,
+      paragraphs: (d) => [
+        `உங்கள் ஆர்டர் #${d.orderId} ரத்து செய்யப்பட்டது.`,
+        ...(d.reason ? [`காரணம்: ${d.reason}`] : []),
+        'நீங்கள் ஏற்கனவே பணம் செலுத்தியிருந்தால், பணத்தைத் திருப்பித் தருவது குறித்து எங்கள் குழு உங்களைத் தொடர்பு கொள்ளும்.',
+      ],
+    },
+  },
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export const resolveLocale = (locale) => (EMAIL_LOCALES.includes(locale) ? locale : 'en');
+
+/**
+ * Render a template to { subject, text, html, locale }. Unknown locales fall
+ * back to English; an unknown template throws.
+ */
+export function renderEmail(template, locale, data = {}) {
+  const definition = EMAIL_TEMPLATES[template];
+  if (!definition) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+  const resolved = resolveLocale(locale);
+  const { subject, paragraphs } = definition[resolved];
+  const layout = LAYOUT[resolved];
+  const body = [layout.greeting(data), ...paragraphs(data), layout.help];
+
+  const text = [...body, layout.signOff.join('\n')].join('\n\n');
+  const html = `
+    <div style="font-family: Arial, 'Noto Sans Tamil', sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #16a34a;">${escapeHtml(subject(data))}</h2>
+      ${body.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      <br>
+      <p>${layout.signOff.map(escapeHtml).join('<br>')}</p>
+    </div>
+  `;
+  return { subject: subject(data), text, html, locale: resolved };
+}
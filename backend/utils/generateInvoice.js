@@ -1,113 +1,345 @@
+// utils/generateInvoice.js
+// The one place invoices are drawn. Every PDF (checkout, order changes,
+// email attachments) goes through renderInvoice so they all look the same.
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
-import path from 'path';
-
-export function generateInvoice(order, outputPath) {
-  const doc = new PDFDocument({ margin: 40 });
-  doc.pipe(fs.createWriteStream(outputPath));
-
-  // Header
-  doc
-    .fontSize(28)
-    .fillColor('#d97706')
-    .text('KM PYROTECH Invoice', { align: 'center', underline: true });
-  doc.moveDown(2);
-
-  // Draw main box
-  const boxTop = doc.y;
-  const boxLeft = 40;
-  const boxWidth = 520;
-  let boxHeight = 350 + (order.items.length * 25);
-
-  // Draw rectangle (box)
-  doc
-    .lineWidth(2)
-    .roundedRect(boxLeft, boxTop, boxWidth, boxHeight, 12)
-    .stroke('#d97706');
-
-  // Customer Information Section
-  doc.moveDown(0.5);
-  doc.fontSize(14).fillColor('#d97706').font('Helvetica-Bold');
-  doc.text('Order and Customer Details', boxLeft + 16, doc.y + 20);
-  
-  doc.fontSize(12).fillColor('#222').font('Helvetica');
-  const startY = doc.y + 40;
-  
-  // Left column
-  doc.text(`Order ID: ${order.orderId}`, boxLeft + 16, startY);
-  doc.text(`Name: ${order.customerDetails.fullName}`, boxLeft + 16, startY + 25);
-  doc.text(`Mobile: ${order.customerDetails.mobile}`, boxLeft + 16, startY + 50);
-  doc.text(`Address: ${order.customerDetails.address}`, boxLeft + 16, startY + 75, { width: 240 });
-  
-  // Right column
-  doc.text(`Date: ${new Date(order.createdAt).toLocaleString('en-IN')}`, boxLeft + 280, startY);
-  doc.text(`Email: ${order.customerDetails.email}`, boxLeft + 280, startY + 25);
-  doc.text(`Pincode: ${order.customerDetails.pincode}`, boxLeft + 280, startY + 50);
-  
-  doc.moveDown(2);
-
-  // Products Table Header
-  doc.font('Helvetica-Bold').fontSize(14).fillColor('#d97706');
-  doc.text('Products', boxLeft + 16, doc.y + 20);
-  
-  // Table header line
-  doc.moveDown(0.5);
-  doc.lineWidth(1);
-  doc.moveTo(boxLeft + 16, doc.y + 5);
-  doc.lineTo(boxLeft + boxWidth - 16, doc.y + 5);
-  doc.stroke('#d97706');
-  
-  // Table columns header
-  doc.font('Helvetica-Bold').fontSize(11).fillColor('#d97706');
-  const tableY = doc.y + 15;
-  doc.text('No.', boxLeft + 16, tableY);
-  doc.text('Name', boxLeft + 60, tableY);
-  doc.text('Qty', boxLeft + 280, tableY);
-  doc.text('Price', boxLeft + 320, tableY);
-  doc.text('Total', boxLeft + 380, tableY);
-  
-  // Table header line
-  doc.moveTo(boxLeft + 16, tableY + 15);
-  doc.lineTo(boxLeft + boxWidth - 16, tableY + 15);
-  doc.stroke('#d97706');
-
-  // Products Table Rows
-  doc.font('Helvetica').fontSize(11).fillColor('#222');
-  order.items.forEach((item, idx) => {
-    const rowY = tableY + 25 + (idx * 20);
-    doc.text(`${idx + 1}`, boxLeft + 16, rowY);
-    
-    // Use only English name
-    const productName = item.name_en || 'Unknown Product';
-    doc.text(`${productName}`, boxLeft + 60, rowY, { width: 200 });
-    
-    doc.text(`${item.quantity}`, boxLeft + 280, rowY);
-    doc.text(`₹${item.price}`, boxLeft + 320, rowY);
-    doc.text(`₹${item.price * item.quantity}`, boxLeft + 380, rowY);
+import { createRequire } from 'module';
+import { buildTaxInvoice, sellerProfile } from './gst.js';
+
+const require = createRequire(import.meta.url);
+
+const PAGE_LEFT = 40;
+const PAGE_WIDTH = 515;
+const PAGE_TOP = 40;
+// Space kept free at the bottom of every page for the page number
+const FOOTER_SPACE = 30;
+
+// Helvetica has no ₹ glyph
+const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+
+/**
+ * Look of the invoice. Any field can be overridden per call; the INVOICE_*
+ * settings override the defaults for every invoice:
+ *   INVOICE_LOGO_PATH    PNG/JPEG printed top left
+ *   INVOICE_ACCENT_COLOR heading and rule colour, e.g. #d97706
+ *   INVOICE_FOOTER       footer lines separated by "|"; {seller} is replaced
+ *   INVOICE_TAMIL_FONT   TTF/OTF/WOFF with Tamil glyphs (Noto Sans Tamil by default)
+ */
+export const DEFAULT_INVOICE_TEMPLATE = {
+  title: 'TAX INVOICE',
+  logoPath: null,
+  accentColor: '#d97706',
+  textColor: '#222',
+  footerColor: '#16a34a',
+  note: 'Prices are inclusive of GST. This is a computer generated invoice.',
+  footerLines: ['Thank you for shopping with {seller}!', 'Wishing you a safe and sparkling festival!'],
+  tamilFontPath: null,
+  showTamilNames: true,
+  // { vpa, amount, note, link, qrPng } from utils/upi.js upiInvoicePayment; printed when set
+  upiPayment: null,
+};
+
+const definedOnly = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ''));
+
+export function invoiceTemplate(overrides = {}) {
+  return {
+    ...DEFAULT_INVOICE_TEMPLATE,
+    ...definedOnly({
+      logoPath: process.env.INVOICE_LOGO_PATH,
+      accentColor: process.env.INVOICE_ACCENT_COLOR,
+      footerLines: process.env.INVOICE_FOOTER ? process.env.INVOICE_FOOTER.split('|') : undefined,
+      tamilFontPath: process.env.INVOICE_TAMIL_FONT,
+    }),
+    ...definedOnly(overrides),
+  };
+}
+
+let bundledTamilFont;
+const tamilFontFile = (template) => {
+  if (template.tamilFontPath) return fs.existsSync(template.tamilFontPath) ? template.tamilFontPath : null;
+  if (bundledTamilFont === undefined) {
+    try {
+      bundledTamilFont = require.resolve('@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff');
+    } catch {
+      console.warn('⚠️ Tamil font not found - invoices will show English product names only');
+      bundledTamilFont = null;
+    }
+  }
+  return bundledTamilFont;
+};
+
+// Item table columns, left to right (widths add up to PAGE_WIDTH)
+const COLUMNS = [
+  { key: 'no', label: '#', width: 20 },
+  { key: 'name', label: 'Item', width: 150 },
+  { key: 'hsn', label: 'HSN', width: 45 },
+  { key: 'qty', label: 'Qty', width: 35, align: 'right' },
+  { key: 'rate', label: 'Rate', width: 50, align: 'right' },
+  { key: 'taxable', label: 'Taxable', width: 60, align: 'right' },
+  { key: 'gst', label: 'GST %', width: 35, align: 'right' },
+  { key: 'tax', label: 'Tax', width: 55, align: 'right' },
+  { key: 'amount', label: 'Amount', width: 65, align: 'right' },
+];
+
+const HSN_COLUMNS = [
+  { key: 'hsn', label: 'HSN', width: 80 },
+  { key: 'gst', label: 'GST %', width: 60 },
+  { key: 'taxable', label: 'Taxable Value', width: 100, align: 'right' },
+  { key: 'cgst', label: 'CGST', width: 85, align: 'right' },
+  { key: 'sgst', label: 'SGST', width: 85, align: 'right' },
+  { key: 'igst', label: 'IGST', width: 105, align: 'right' },
+];
+
+/**
+ * Draw the GST tax invoice for an order onto a PDFKit document created with
+ * `bufferPages: true`. Uses the invoice stored on the order (utils/gst.js
+ * assignTaxInvoice); older orders without one get the tax breakup computed
+ * on the fly and no invoice number. Long orders continue on further pages
+ * with the table header repeated.
+ */
+export function renderInvoice(doc, order, template = invoiceTemplate()) {
+  const seller = order.invoice?.seller?.name ? order.invoice.seller : sellerProfile();
+  const tax = order.invoice?.lines?.length ? order.invoice : buildTaxInvoice(order, seller);
+  const customer = order.customerDetails || {};
+  const invoiceNumber = order.invoice?.number || '-';
+  const pageBottom = () => doc.page.height - doc.page.margins.bottom - FOOTER_SPACE;
+
+  const fontFile = template.showTamilNames ? tamilFontFile(template) : null;
+  if (fontFile) doc.registerFont('Tamil', fontFile);
+
+  const rule = (y) => {
+    doc.lineWidth(0.8).moveTo(PAGE_LEFT, y).lineTo(PAGE_LEFT + PAGE_WIDTH, y).stroke(template.accentColor);
+  };
+
+  const drawCells = (columns, y, values, { bold = false, color = template.textColor } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+    let x = PAGE_LEFT;
+    for (const column of columns) {
+      doc.text(String(values[column.key] ?? ''), x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+      x += column.width;
+    }
+  };
+
+  const drawTableHeader = (columns, y) => {
+    rule(y);
+    drawCells(columns, y + 5, Object.fromEntries(columns.map((c) => [c.key, c.label])), { bold: true, color: template.accentColor });
+    rule(y + 19);
+    return y + 23;
+  };
+
+  // Later pages start with a one-line reminder of which invoice they belong to
+  const newPage = () => {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(template.accentColor)
+      .text(`${template.title} ${invoiceNumber} (continued)`, PAGE_LEFT, PAGE_TOP, { width: PAGE_WIDTH });
+    return PAGE_TOP + 22;
+  };
+
+  const ensureSpace = (y, height, onNewPage) => {
+    if (y + height <= pageBottom()) return y;
+    const top = newPage();
+    return onNewPage ? onNewPage(top) : top;
+  };
+
+  // Seller
+  let headerLeft = PAGE_LEFT;
+  if (template.logoPath && fs.existsSync(template.logoPath)) {
+    try {
+      doc.image(template.logoPath, PAGE_LEFT, PAGE_TOP, { fit: [60, 60] });
+      headerLeft += 70;
+    } catch (err) {
+      console.warn('⚠️ Invoice logo could not be drawn:', err.message);
+    }
+  }
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(template.accentColor).text(seller.name, headerLeft, PAGE_TOP, { width: 300 });
+  doc.font('Helvetica').fontSize(9).fillColor(template.textColor);
+  if (seller.address) doc.text(seller.address, headerLeft, doc.y, { width: 300 });
+  doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`, headerLeft, doc.y);
+  doc.text(`State: ${seller.stateName} (${seller.stateCode})`, headerLeft, doc.y);
+  const sellerEnd = doc.y;
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(template.accentColor)
+    .text(template.title, PAGE_LEFT, PAGE_TOP, { width: PAGE_WIDTH, align: 'right' });
+
+  // Invoice and buyer details
+  let y = Math.max(sellerEnd, PAGE_TOP + 70) + 10;
+  rule(y);
+  y += 8;
+  doc.font('Helvetica').fontSize(10).fillColor(template.textColor);
+  doc.text(`Invoice No: ${invoiceNumber}`, PAGE_LEFT, y);
+  doc.text(`Invoice Date: ${new Date(order.invoice?.issuedAt || order.createdAt).toLocaleDateString('en-IN')}`);
+  doc.text(`Order ID: ${order.orderId}`);
+  doc.text(`Order Date: ${new Date(order.createdAt).toLocaleString('en-IN')}`);
+  doc.text(`Place of Supply: ${tax.placeOfSupply.name} (${tax.placeOfSupply.code})`);
+  const detailsEnd = doc.y;
+
+  doc.font('Helvetica-Bold').text('Bill To / Ship To', PAGE_LEFT + 280, y);
+  doc.font('Helvetica');
+  doc.text(customer.fullName || '', PAGE_LEFT + 280, doc.y, { width: 235 });
+  doc.text(customer.address || '', { width: 235 });
+  if (customer.pincode) doc.text(`Pincode: ${customer.pincode}`);
+  doc.text(`Mobile: ${customer.mobile || ''}`);
+  if (customer.email) doc.text(`Email: ${customer.email}`);
+  y = Math.max(detailsEnd, doc.y) + 12;
+
+  // Items, English name with the Tamil name underneath
+  const nameColumn = COLUMNS.find((c) => c.key === 'name');
+  const nameWidth = nameColumn.width - 4;
+  const nameX = PAGE_LEFT + COLUMNS.slice(0, COLUMNS.indexOf(nameColumn)).reduce((sum, c) => sum + c.width, 0) + 2;
+  y = drawTableHeader(COLUMNS, y);
+  tax.lines.forEach((line, idx) => {
+    const nameEn = line.name_en || 'Unknown Product';
+    const nameTa = fontFile && line.name_ta ? line.name_ta : '';
+    doc.font('Helvetica').fontSize(9);
+    const enHeight = doc.heightOfString(nameEn, { width: nameWidth });
+    let taHeight = 0;
+    if (nameTa) {
+      doc.font('Tamil').fontSize(9);
+      taHeight = doc.heightOfString(nameTa, { width: nameWidth }) + 1;
+    }
+    const rowHeight = Math.max(enHeight + taHeight, 11) + 6;
+    y = ensureSpace(y, rowHeight, (top) => drawTableHeader(COLUMNS, top));
+
+    drawCells(COLUMNS, y, {
+      no: idx + 1,
+      hsn: line.hsnCode,
+      qty: line.quantity,
+      rate: Number(line.unitPrice).toFixed(2),
+      taxable: line.taxableValue.toFixed(2),
+      gst: line.gstRate,
+      tax: (line.cgst + line.sgst + line.igst).toFixed(2),
+      amount: line.amount.toFixed(2),
+    });
+    doc.font('Helvetica').fontSize(9).fillColor(template.textColor).text(nameEn, nameX, y, { width: nameWidth });
+    if (nameTa) {
+      doc.font('Tamil').fontSize(9).fillColor('#555').text(nameTa, nameX, y + enHeight + 1, { width: nameWidth });
+    }
+    y += rowHeight;
   });
-  
-  // Table bottom line
-  const lastRowY = tableY + 25 + (order.items.length * 20);
-  doc.moveTo(boxLeft + 16, lastRowY + 10);
-  doc.lineTo(boxLeft + boxWidth - 16, lastRowY + 10);
-  doc.stroke('#d97706');
-
-  // Order Summary
+  rule(y);
+
+  // Totals
+  const totals = tax.totals;
+  const totalRows = [['Taxable Value', totals.taxableValue]];
+  if (tax.interState) {
+    totalRows.push(['IGST', totals.igst]);
+  } else {
+    totalRows.push(['CGST', totals.cgst], ['SGST', totals.sgst]);
+  }
+  if (totals.discount > 0) {
+    totalRows.push([`Coupon ${order.discount?.couponCode || ''} (already deducted)`, totals.discount]);
+  }
+  y = ensureSpace(y + 10, totalRows.length * 16 + 60);
+  doc.font('Helvetica').fontSize(10).fillColor(template.textColor);
+  for (const [label, value] of totalRows) {
+    doc.text(label, PAGE_LEFT + 250, y, { width: 180 });
+    doc.text(money(value), PAGE_LEFT + 430, y, { width: 85, align: 'right' });
+    y += 16;
+  }
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(template.accentColor);
+  doc.text('Grand Total', PAGE_LEFT + 250, y, { width: 160 });
+  doc.text(money(totals.grandTotal), PAGE_LEFT + 410, y, { width: 105, align: 'right' });
+  y += 22;
+  doc.font('Helvetica-Oblique').fontSize(10).fillColor(template.textColor)
+    .text(tax.amountInWords, PAGE_LEFT, y, { width: PAGE_WIDTH });
+  y = doc.y + 14;
+
+  // UPI payment request for the amount still due
+  const upi = template.upiPayment;
+  if (upi) {
+    const qrSize = upi.qrPng ? 90 : 0;
+    y = ensureSpace(y, Math.max(qrSize, 60) + 10);
+    if (upi.qrPng) doc.image(upi.qrPng, PAGE_LEFT, y, { width: qrSize, height: qrSize });
+    const textX = PAGE_LEFT + qrSize + (qrSize ? 12 : 0);
+    const textWidth = PAGE_WIDTH - (textX - PAGE_LEFT);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(template.accentColor)
+      .text(`Pay ${money(upi.amount)} by UPI`, textX, y + 4, { width: textWidth });
+    doc.font('Helvetica').fontSize(9).fillColor(template.textColor)
+      .text(`UPI ID: ${upi.vpa}`, textX, doc.y + 4, { width: textWidth })
+      .text(`Note: ${upi.note} (keep it so we can match your payment)`, textX, doc.y + 2, { width: textWidth })
+      .text(upi.qrPng ? 'Scan the QR code with any UPI app.' : 'Pay from any UPI app.', textX, doc.y + 2, { width: textWidth });
+    y = Math.max(y + qrSize, doc.y) + 14;
+  }
+
+  // HSN-wise summary
+  const hsnColumns = HSN_COLUMNS.filter((c) => (tax.interState ? !['cgst', 'sgst'].includes(c.key) : c.key !== 'igst'));
+  y = ensureSpace(y, 60);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(template.accentColor).text('HSN Summary', PAGE_LEFT, y);
+  y = drawTableHeader(hsnColumns, doc.y + 4);
+  for (const row of tax.hsnSummary) {
+    y = ensureSpace(y, 16, (top) => drawTableHeader(hsnColumns, top));
+    drawCells(hsnColumns, y, {
+      hsn: row.hsnCode,
+      gst: row.gstRate,
+      taxable: row.taxableValue.toFixed(2),
+      cgst: row.cgst.toFixed(2),
+      sgst: row.sgst.toFixed(2),
+      igst: row.igst.toFixed(2),
+    });
+    y += 16;
+  }
+
+  // Footer
+  const footerLines = template.footerLines.map((line) => line.replace('{seller}', seller.name));
+  y = ensureSpace(y + 20, 30 + footerLines.length * 16);
+  doc.font('Helvetica').fontSize(8).fillColor(template.textColor)
+    .text(template.note, PAGE_LEFT, y, { width: PAGE_WIDTH, align: 'center' });
   doc.moveDown(1);
-  doc.font('Helvetica-Bold').fontSize(12).fillColor('#222');
-  doc.text(`Order Status: ${order.status || 'confirmed'}`, boxLeft + 16, lastRowY + 30);
-  
-  // Total Amount
-  doc.fontSize(16).fillColor('#d97706');
-  doc.text(`Total Amount: ₹${order.total}`, boxLeft + 280, lastRowY + 30);
-
-  // Thank you note
-  doc.moveDown(3);
-  doc.fontSize(14).fillColor('#16a34a').font('Helvetica-Bold');
-  doc.text('Thank you for shopping with KM PYROTECH FIREWORKS!', { align: 'center' });
-  doc.moveDown(0.5);
-  doc.fontSize(12).fillColor('#16a34a');
-  doc.text('Wishing you a safe and sparkling festival!', { align: 'center' });
-
-  doc.end();
+  footerLines.forEach((line, idx) => {
+    doc.font(idx === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(idx === 0 ? 12 : 10).fillColor(template.footerColor)
+      .text(line, PAGE_LEFT, doc.y, { width: PAGE_WIDTH, align: 'center' });
+  });
+
+  // Page numbers, written into the reserved strip once the page count is known
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#888')
+      .text(`${invoiceNumber} - Page ${i + 1} of ${range.count}`, PAGE_LEFT, doc.page.height - bottom - 12, { width: PAGE_WIDTH, align: 'right' });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+const newInvoiceDocument = () => new PDFDocument({ size: 'A4', margin: PAGE_LEFT, bufferPages: true });
+
+/**
+ * Write the invoice PDF to outputPath. Resolves with the path once the file
+ * is completely written.
+ */
+export function generateInvoice(order, outputPath, templateOverrides) {
+  return new Promise((resolve, reject) => {
+    const doc = newInvoiceDocument();
+    const out = fs.createWriteStream(outputPath);
+    out.on('finish', () => resolve(outputPath));
+    out.on('error', reject);
+    doc.on('error', reject);
+    doc.pipe(out);
+    try {
+      renderInvoice(doc, order, invoiceTemplate(templateOverrides));
+      doc.end();
+    } catch (err) {
+      out.destroy();
+      reject(err);
+    }
+  });
+}
+
+/**
+ * Render the invoice PDF in memory, e.g. for an email attachment.
+ */
+export function generateInvoiceBuffer(order, templateOverrides) {
+  return new Promise((resolve, reject) => {
+    const doc = newInvoiceDocument();
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      renderInvoice(doc, order, invoiceTemplate(templateOverrides));
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
 }
@@ -0,0 +1,235 @@
+// utils/gst.js
+import { Counter } from '../models/counter.model.js';
+import { normalizeCategory } from './coupons.js';
+import { GST_STATES, stateForPincode } from './gstStates.js';
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+// Fireworks (HSN 3604) at 18% unless the product says otherwise
+const defaultHsnCode = () => process.env.DEFAULT_HSN_CODE || '3604';
+const defaultGstRate = () => {
+  const rate = Number(process.env.DEFAULT_GST_RATE);
+  return GST_RATES.includes(rate) && process.env.DEFAULT_GST_RATE !== '' ? rate : 18;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate the optional hsnCode / gstRate fields of a product payload.
+ * Returns { fields, unset, errors }; an empty string clears a field so the
+ * defaults apply again.
+ */
+export function parseProductTaxFields({ hsnCode, gstRate } = {}) {
+  const fields = {};
+  const unset = {};
+  const errors = [];
+  if (hsnCode === '' || hsnCode === null) unset.hsnCode = '';
+  else if (hsnCode !== undefined) {
+    const code = String(hsnCode).trim();
+    if (!/^\d{4}(\d{2}){0,2}$/.test(code)) errors.push('hsnCode must be 4, 6 or 8 digits');
+    else fields.hsnCode = code;
+  }
+  if (gstRate === '' || gstRate === null) unset.gstRate = '';
+  else if (gstRate !== undefined) {
+    const rate = Number(gstRate);
+    if (!GST_RATES.includes(rate)) errors.push(`gstRate must be one of ${GST_RATES.join(', ')}`);
+    else fields.gstRate = rate;
+  }
+  return { fields, unset, errors };
+}
+
+let warnedMissingGstin = false;
+
+/**
+ * Seller details printed on every invoice, from the GST_SELLER_* settings.
+ * The registered state comes from the GSTIN's first two digits unless
+ * GST_SELLER_STATE_CODE is set; Tamil Nadu (33) otherwise.
+ */
+export function sellerProfile() {
+  const gstin = (process.env.GST_SELLER_GSTIN || '').trim().toUpperCase();
+  if (!gstin && !warnedMissingGstin) {
+    console.warn('⚠️ GST_SELLER_GSTIN not set - invoices will be printed without a GSTIN');
+    warnedMissingGstin = true;
+  }
+  const stateCode = process.env.GST_SELLER_STATE_CODE || (/^\d{2}/.test(gstin) ? gstin.slice(0, 2) : '33');
+  return {
+    name: process.env.GST_SELLER_NAME || 'KM PYROTECH',
+    gstin,
+    address: process.env.GST_SELLER_ADDRESS || '',
+    stateCode,
+    stateName: GST_STATES[stateCode] || '',
+  };
+}
+
+/**
+ * Indian financial year (April to March, IST) of a date, e.g. "2025-26".
+ */
+export function financialYear(date = new Date()) {
+  const ist = new Date(new Date(date).valueOf() + 330 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * Take the next invoice number of the financial year the date falls in,
+ * e.g. "KMP/2025-26/00042". The series restarts at 1 every April.
+ */
+export async function nextInvoiceNumber(date = new Date()) {
+  const fy = financialYear(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `invoice:${fy}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  const prefix = process.env.INVOICE_PREFIX || 'KMP';
+  return { number: `${prefix}/${fy}/${String(counter.seq).padStart(5, '0')}`, financialYear: fy };
+}
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+const belowThousand = (n) => [
+  n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : '',
+  belowHundred(n % 100),
+].filter(Boolean).join(' ');
+
+// Indian grouping: crore, lakh, thousand, hundred
+const inWords = (n) => {
+  if (n === 0) return 'Zero';
+  return [
+    n >= 10000000 ? `${inWords(Math.floor(n / 10000000))} Crore` : '',
+    Math.floor(n / 100000) % 100 ? `${belowHundred(Math.floor(n / 100000) % 100)} Lakh` : '',
+    Math.floor(n / 1000) % 100 ? `${belowHundred(Math.floor(n / 1000) % 100)} Thousand` : '',
+    belowThousand(n % 1000),
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * Rupee amount in words as printed on invoices:
+ * 1250.5 → "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only".
+ */
+export function amountInWords(amount) {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${inWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+/**
+ * Tax breakup for an order. Catalog prices include GST, so each line's value
+ * after its share of the coupon discount is split into taxable value and tax.
+ * Supply to the seller's own state is taxed as CGST + SGST, anywhere else as
+ * IGST; the state comes from the delivery PIN code, and an unrecognised PIN
+ * code is treated as the seller's state (`placeOfSupply.assumed`).
+ */
+export function buildTaxInvoice(order, seller = sellerProfile()) {
+  const found = stateForPincode(order.customerDetails?.pincode);
+  const placeOfSupply = found
+    ? { ...found, assumed: false }
+    : { code: seller.stateCode, name: seller.stateName, assumed: true };
+  const interState = placeOfSupply.code !== seller.stateCode;
+
+  // Category coupons only discount their own categories
+  const couponCategories = new Set((order.discount?.categories || []).map(normalizeCategory));
+  const items = order.items || [];
+  let eligible = items.map((item) => couponCategories.size === 0 || couponCategories.has(normalizeCategory(item.category)));
+  if (!eligible.some(Boolean)) eligible = items.map(() => true);
+  const eligibleTotal = items.reduce((sum, item, idx) => sum + (eligible[idx] ? item.price * item.quantity : 0), 0);
+  const discountAmount = order.discount?.amount || 0;
+  const lastEligible = eligible.lastIndexOf(true);
+
+  let allocated = 0;
+  const lines = items.map((item, idx) => {
+    const grossAmount = round2(item.price * item.quantity);
+    let discount = 0;
+    if (discountAmount > 0 && eligible[idx] && eligibleTotal > 0) {
+      // Last eligible line takes the rounding remainder
+      discount = idx === lastEligible
+        ? round2(discountAmount - allocated)
+        : round2(discountAmount * (grossAmount / eligibleTotal));
+      allocated = round2(allocated + discount);
+    }
+    const gstRate = typeof item.gstRate === 'number' ? item.gstRate : defaultGstRate();
+    const amount = round2(grossAmount - discount);
+    const taxableValue = round2(amount * 100 / (100 + gstRate));
+    const tax = round2(amount - taxableValue);
+    const cgst = interState ? 0 : round2(tax / 2);
+    return {
+      name_en: item.name_en,
+      name_ta: item.name_ta,
+      hsnCode: item.hsnCode || defaultHsnCode(),
+      gstRate,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      grossAmount,
+      discount,
+      taxableValue,
+      cgst,
+      sgst: interState ? 0 : round2(tax - cgst),
+      igst: interState ? tax : 0,
+      amount,
+    };
+  });
+
+  const summary = new Map();
+  for (const line of lines) {
+    const key = `${line.hsnCode}|${line.gstRate}`;
+    const row = summary.get(key) || { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    row.taxableValue = round2(row.taxableValue + line.taxableValue);
+    row.cgst = round2(row.cgst + line.cgst);
+    row.sgst = round2(row.sgst + line.sgst);
+    row.igst = round2(row.igst + line.igst);
+    summary.set(key, row);
+  }
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    discount: sum('discount'),
+    grandTotal: sum('amount'),
+  };
+  totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+
+  return {
+    placeOfSupply,
+    interState,
+    lines,
+    hsnSummary: [...summary.values()],
+    totals,
+    amountInWords: amountInWords(totals.grandTotal),
+  };
+}
+
+/**
+ * Number the order's tax invoice (once; later calls keep the number) and
+ * store the current tax breakup on `order.invoice`. Saves the order.
+ */
+export async function assignTaxInvoice(order) {
+  const seller = sellerProfile();
+  let { number, financialYear: fy, issuedAt } = order.invoice || {};
+  if (!number) {
+    issuedAt = new Date();
+    ({ number, financialYear: fy } = await nextInvoiceNumber(issuedAt));
+  }
+  order.invoice = { number, financialYear: fy, issuedAt, seller, ...buildTaxInvoice(order, seller) };
+  await order.save();
+  return order.invoice;
+}
+
+/**
+ * assignTaxInvoice for a just placed or changed order. A failure is logged
+ * and never blocks the order; the invoice can be issued again later.
+ */
+export async function refreshTaxInvoice(order) {
+  try {
+    return await assignTaxInvoice(order);
+  } catch (err) {
+    console.warn(`⚠️ Could not issue tax invoice for order ${order.orderId}:`, err.message);
+    return null;
+  }
+}
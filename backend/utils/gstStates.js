@@ -0,0 +1,83 @@
+// utils/gstStates.js
+// GST state codes and the PIN code prefixes that fall in each state. The
+// longest matching prefix wins, so "605" (Tamil Nadu) can be overridden by
+// "6050" (Puducherry). PIN code areas do not follow state borders exactly;
+// a few border towns may need the state set on the order by hand.
+
+export const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+const PIN_PREFIXES = {
+  '11': '07',
+  '12': '06', '13': '06',
+  '14': '03', '15': '03', '16': '03', '160': '04',
+  '17': '02',
+  '18': '01', '19': '01', '194': '38',
+  '20': '09', '21': '09', '22': '09', '23': '09', '24': '09', '25': '09', '26': '09', '27': '09', '28': '09',
+  '246': '05', '248': '05', '249': '05', '262': '05', '263': '05',
+  '30': '08', '31': '08', '32': '08', '33': '08', '34': '08',
+  '36': '24', '37': '24', '38': '24', '39': '24', '3962': '26', '3963': '26', '3622': '26',
+  '40': '27', '41': '27', '42': '27', '43': '27', '44': '27', '403': '30',
+  '45': '23', '46': '23', '47': '23', '48': '23', '49': '22',
+  '50': '36', '51': '37', '52': '37', '53': '37',
+  '56': '29', '57': '29', '58': '29', '59': '29',
+  '60': '33', '61': '33', '62': '33', '63': '33', '64': '33', '6050': '34', '6096': '34',
+  '67': '32', '68': '32', '69': '32', '6825': '31',
+  '70': '19', '71': '19', '72': '19', '73': '19', '74': '19', '737': '11', '744': '35',
+  '75': '21', '76': '21', '77': '21',
+  '78': '18', '790': '12', '791': '12', '792': '12', '793': '17', '794': '17',
+  '795': '14', '796': '15', '797': '13', '798': '13', '799': '16',
+  '80': '10', '81': '10', '82': '10', '83': '10', '84': '10', '85': '10',
+  '813': '20', '814': '20', '815': '20', '816': '20', '822': '20', '825': '20', '826': '20',
+  '827': '20', '828': '20', '829': '20', '831': '20', '832': '20', '833': '20', '834': '20', '835': '20',
+};
+
+/**
+ * GST state for a 6-digit PIN code as { code, name }, or null when the PIN
+ * code is missing or not recognised.
+ */
+export function stateForPincode(pincode) {
+  const digits = String(pincode || '').replace(/\s/g, '');
+  if (!/^[1-9]\d{5}$/.test(digits)) return null;
+  for (let length = 4; length >= 2; length -= 1) {
+    const code = PIN_PREFIXES[digits.slice(0, length)];
+    if (code) return { code, name: GST_STATES[code] };
+  }
+  return null;
+}
@@ -0,0 +1,83 @@
+// utils/inventory.js
+import { findProductById, updateProduct } from './productStore.js';
+
+// Products at or below this count show up in the admin low-stock report.
+// Read per call because server.js loads .env after its imports run.
+export const getLowStockThreshold = () => Number(process.env.LOW_STOCK_THRESHOLD) || 10;
+
+// A product without a stock count is not tracked and never runs out
+const isTracked = (stock) => typeof stock === 'number';
+
+/**
+ * Flag a product for listing responses. Untracked products are always in stock.
+ */
+export const withStockFlag = (product) => ({
+  ...product,
+  outOfStock: isTracked(product.stock) && product.stock <= 0,
+});
+
+// Collapse repeated cart lines so each product is decremented once
+const groupByProduct = (items) => {
+  const grouped = new Map();
+  for (const item of items) {
+    const key = String(item.id);
+    const existing = grouped.get(key);
+    if (existing) existing.quantity += Number(item.quantity);
+    else grouped.set(key, { id: item.id, name_en: item.name_en, quantity: Number(item.quantity) });
+  }
+  return Array.from(grouped.values());
+};
+
+/**
+ * Return stock for the given order lines. Lines of untracked products are
+ * skipped by the `$type` filter, so this is safe to call for any order.
+ */
+export async function releaseStock(items) {
+  for (const line of groupByProduct(items || [])) {
+    try {
+      await updateProduct(line.id, { stock: { $type: 'number' } }, { $inc: { stock: line.quantity } });
+    } catch (err) {
+      console.error(`❌ Failed to release stock for ${line.id}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Atomically take stock for priced cart lines. Each product is decremented
+ * only if enough stock remains; if any line cannot be filled, every line
+ * reserved so far is put back and an Error with `statusCode = 409` and an
+ * `outOfStock` array is thrown.
+ *
+ * @param {Array} items - priced cart lines ({ id, quantity, name_en })
+ * @returns {Promise<Array>} the lines that were actually decremented
+ */
+export async function reserveStock(items) {
+  const reserved = [];
+  const outOfStock = [];
+
+  for (const line of groupByProduct(items)) {
+    const result = await updateProduct(line.id, { stock: { $gte: line.quantity } }, { $inc: { stock: -line.quantity } });
+    if (result.modifiedCount > 0) {
+      reserved.push(line);
+      continue;
+    }
+    const product = (await findProductById(line.id))?.product;
+    if (product && !isTracked(product.stock)) continue;
+    outOfStock.push({
+      id: line.id,
+      name_en: line.name_en,
+      requested: line.quantity,
+      available: Math.max(product?.stock ?? 0, 0),
+    });
+  }
+
+  if (outOfStock.length > 0) {
+    await releaseStock(reserved);
+    const err = new Error(`Insufficient stock for: ${outOfStock.map(p => p.name_en || p.id).join(', ')}`);
+    err.statusCode = 409;
+    err.outOfStock = outOfStock;
+    throw err;
+  }
+
+  return reserved;
+}
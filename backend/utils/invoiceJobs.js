@@ -0,0 +1,78 @@
+// utils/invoiceJobs.js
+// Invoice PDFs are made in the background (utils/jobQueue.js) so placing an
+// order never waits on PDF rendering or SMTP; the order confirmation email
+// with the invoice attached follows through the mailer (utils/mailer.js). The
+// email's progress is kept on `order.invoiceEmail` for the client to poll.
+import { Order } from '../models/order.model.js';
+import { defineJob, enqueue } from './jobQueue.js';
+import { storeInvoice } from './invoiceStorage.js';
+import { isMailConfigured, isValidEmail } from './mailer.js';
+import { queueOrderEmail } from './orderEmails.js';
+
+export const EMAIL_STATUS_MESSAGES = {
+  queued: 'Invoice email will be sent shortly',
+  retrying: 'Invoice email is being retried',
+  sent: 'Invoice email sent successfully',
+  failed: 'Email sending failed',
+  not_configured: 'Email not configured',
+  invalid_email: 'Invalid email format',
+  opted_out: 'Email notifications are turned off in your profile',
+  disabled: 'Order emails are turned off',
+};
+
+async function setEmailStatus(orderId, status, { attempts, lastError } = {}) {
+  const set = { 'invoiceEmail.status': status, 'invoiceEmail.updatedAt': new Date() };
+  if (attempts !== undefined) set['invoiceEmail.attempts'] = attempts;
+  if (lastError !== undefined) set['invoiceEmail.lastError'] = lastError;
+  await Order.updateOne({ orderId }, { $set: set });
+}
+
+const findOrder = async (orderId) => {
+  const order = await Order.findOne({ orderId }).lean();
+  if (!order) console.warn(`⚠️ Order ${orderId} no longer exists, skipping invoice job`);
+  return order;
+};
+
+// Render and store the PDF, then queue the confirmation email if one was asked for
+defineJob('invoice.render', async ({ orderId, sendEmail }, job) => {
+  const order = await findOrder(orderId);
+  if (!order) return;
+  try {
+    await storeInvoice(order);
+    console.log(`✅ Invoice generated for order ${orderId}`);
+  } catch (err) {
+    if (sendEmail && job.final) {
+      await setEmailStatus(orderId, 'failed', { attempts: 0, lastError: `Invoice could not be generated: ${err.message}` });
+    }
+    throw err;
+  }
+  if (sendEmail) await queueOrderEmail('order_confirmation', order, { attachInvoice: true });
+}, { attempts: 3, backoffMs: 5 * 1000 });
+
+/**
+ * Queue the invoice PDF for a saved order and, with `sendEmail`, the invoice
+ * email to the customer; `optedOut` records that the customer turned email
+ * off. Returns the email status to show the customer ('queued',
+ * 'not_configured', 'invalid_email', 'opted_out' or 'failed') and records it
+ * on the order. Never throws; the order is placed either way.
+ */
+export async function queueInvoice(order, { sendEmail = false, optedOut = false } = {}) {
+  const email = order.customerDetails?.email;
+  let emailStatus = optedOut ? 'opted_out' : null;
+  if (sendEmail) {
+    if (!isValidEmail(email)) emailStatus = 'invalid_email';
+    else if (!isMailConfigured()) emailStatus = 'not_configured';
+    else emailStatus = 'queued';
+  }
+  try {
+    if (emailStatus) await setEmailStatus(order.orderId, emailStatus, { attempts: 0 });
+    await enqueue('invoice.render', { orderId: order.orderId, sendEmail: emailStatus === 'queued' });
+  } catch (err) {
+    console.error(`❌ Could not queue invoice for order ${order.orderId}:`, err.message);
+    if (emailStatus === 'queued') {
+      emailStatus = 'failed';
+      await setEmailStatus(order.orderId, emailStatus, { lastError: err.message }).catch(() => {});
+    }
+  }
+  return emailStatus;
+}
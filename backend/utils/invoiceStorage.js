@@ -0,0 +1,188 @@
+// utils/invoiceStorage.js
+// Where invoice PDFs live. A backend is an object with
+//   put(key, buffer) => Promise<void>
+//   get(key)         => Promise<Buffer|null>   (null when missing)
+//   remove(key)      => Promise<void>
+// Pick one with INVOICE_STORAGE:
+//
+//   local  - files under INVOICE_STORAGE_DIR (default backend/invoices); lost on redeploy
+//   s3     - any S3-compatible bucket (AWS, Cloudflare R2, a local MinIO):
+//            S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//            S3_FORCE_PATH_STYLE=true for MinIO
+//   memory - kept in process memory; lost on restart
+//
+// A missing invoice is rebuilt from its Order, so any backend may lose files.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateInvoiceBuffer } from './generateInvoice.js';
+import { upiInvoicePayment } from './upi.js';
+import { envSecret } from './secrets.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const localBackend = {
+  dir: () => process.env.INVOICE_STORAGE_DIR || path.join(__dirname, '..', 'invoices'),
+  // The directory is already the invoices folder, so keys drop their "invoices/" prefix
+  file(key) {
+    return path.join(this.dir(), key.replace(/^invoices\//, ''));
+  },
+  async put(key, buffer) {
+    const file = this.file(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.file(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+  async remove(key) {
+    await fs.promises.rm(this.file(key), { force: true });
+  },
+};
+
+const memoryFiles = new Map();
+const memoryBackend = {
+  async put(key, buffer) {
+    memoryFiles.set(key, Buffer.from(buffer));
+  },
+  async get(key) {
+    return memoryFiles.get(key) || null;
+  },
+  async remove(key) {
+    memoryFiles.delete(key);
+  },
+};
+
+let s3 = null;
+const s3Backend = {
+  async client() {
+    if (!s3) {
+      const { S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE } = process.env;
+      if (!S3_BUCKET) {
+        throw new Error('S3 invoice storage is not configured. Set S3_BUCKET (and S3_ENDPOINT for MinIO or R2).');
+      }
+      const sdk = await import('@aws-sdk/client-s3');
+      s3 = {
+        sdk,
+        bucket: S3_BUCKET,
+        client: new sdk.S3Client({
+          region: S3_REGION || 'auto',
+          endpoint: S3_ENDPOINT || undefined,
+          forcePathStyle: S3_FORCE_PATH_STYLE === 'true',
+          credentials: S3_ACCESS_KEY_ID
+            ? { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY }
+            : undefined,
+        }),
+      };
+    }
+    return s3;
+  },
+  async put(key, buffer) {
+    const { sdk, client, bucket } = await this.client();
+    await client.send(new sdk.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: 'application/pdf' }));
+  },
+  async get(key) {
+    const { sdk, client, bucket } = await this.client();
+    try {
+      const result = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  },
+  async remove(key) {
+    const { sdk, client, bucket } = await this.client();
+    await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  },
+};
+
+const backends = new Map([
+  ['local', localBackend],
+  ['memory', memoryBackend],
+  ['s3', s3Backend],
+]);
+
+const storage = () => {
+  const name = process.env.INVOICE_STORAGE || 'local';
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown INVOICE_STORAGE "${name}". Available: ${[...backends.keys()].join(', ')}`);
+  }
+  return backend;
+};
+
+// Order IDs are digits today; anything else is refused rather than escaped
+export const isSafeOrderId = (orderId) => /^[A-Za-z0-9_-]{1,40}$/.test(String(orderId || ''));
+
+const invoiceKey = (orderId) => {
+  if (!isSafeOrderId(orderId)) {
+    const err = new Error('Invalid order ID');
+    err.statusCode = 400;
+    throw err;
+  }
+  return `invoices/${orderId}.pdf`;
+};
+
+/**
+ * Render the order's invoice and store it, replacing any earlier copy. An
+ * unpaid order gets the UPI payment block (utils/upi.js). Returns the PDF so
+ * callers can attach it to an email.
+ */
+export async function storeInvoice(order) {
+  const pdf = await generateInvoiceBuffer(order, { upiPayment: await upiInvoicePayment(order) });
+  await storage().put(invoiceKey(order.orderId), pdf);
+  return pdf;
+}
+
+/**
+ * The stored invoice PDF for an order, regenerated from the order when the
+ * storage no longer has it.
+ */
+export async function loadInvoice(order) {
+  const stored = await storage().get(invoiceKey(order.orderId));
+  if (stored) return stored;
+  console.log(`♻️ Invoice for order ${order.orderId} missing from storage, regenerating`);
+  return storeInvoice(order);
+}
+
+export async function removeInvoice(orderId) {
+  await storage().remove(invoiceKey(orderId));
+}
+
+// Signed download links. Separate from the session secrets so links can be
+// invalidated on their own by rotating INVOICE_LINK_SECRET.
+const linkSecret = () => envSecret('INVOICE_LINK_SECRET', 'invoice links will stop working after a restart');
+const linkTtlMs = () => (Number(process.env.INVOICE_LINK_TTL_MINUTES) || 15) * 60 * 1000;
+
+const signature = (orderId, expires) => crypto
+  .createHmac('sha256', linkSecret())
+  .update(`invoice:${orderId}:${expires}`)
+  .digest('base64url');
+
+/**
+ * A download link for the order's invoice that works without a session
+ * until it expires (INVOICE_LINK_TTL_MINUTES, default 15).
+ */
+export function signInvoiceLink(orderId) {
+  const expires = Date.now() + linkTtlMs();
+  const query = new URLSearchParams({ expires: String(expires), signature: signature(orderId, expires) });
+  return {
+    url: `${process.env.PUBLIC_API_URL || ''}/api/orders/${encodeURIComponent(orderId)}/invoice?${query}`,
+    expiresAt: new Date(expires).toISOString(),
+  };
+}
+
+export function verifyInvoiceLink(orderId, expires, sig) {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || typeof sig !== 'string') return false;
+  const expected = Buffer.from(signature(orderId, expiresAt));
+  const given = Buffer.from(sig);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
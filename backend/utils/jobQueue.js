@@ -0,0 +1,218 @@
+// utils/jobQueue.js
+// Background jobs with retries. Register a job type once with
+// `defineJob(name, handler, { attempts, backoffMs })` and queue work with
+// `enqueue(name, data)`. The handler gets `(data, { attempt, attempts, final })`
+// and throws to be retried after backoffMs, then 2x, 4x, ... that delay; set
+// `err.permanent = true` to give up at once. A job that runs out of attempts
+// lands on the dead-letter list, where an owner can look at it and retry it.
+// Pick the store with JOB_QUEUE:
+//
+//   redis  - Bull on REDIS_URL (default when REDIS_URL is set); jobs survive
+//            restarts and are shared by every instance
+//   memory - kept in this process; pending jobs are lost on restart
+//
+// Jobs run inside the web process with either store.
+
+const DEFAULT_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 10 * 1000;
+const DEAD_LETTER_LIMIT = 200;
+
+const definitions = new Map();
+
+/**
+ * Register the handler for a job type. Define every type before the first
+ * enqueue; with Redis, jobs queued by an earlier process may run right away.
+ */
+export const defineJob = (name, handler, { attempts = DEFAULT_ATTEMPTS, backoffMs = DEFAULT_BACKOFF_MS } = {}) => {
+  definitions.set(name, { handler, attempts, backoffMs });
+};
+
+const runHandler = (name, data, attempt, attempts) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    const err = new Error(`No handler defined for job "${name}"`);
+    err.permanent = true;
+    throw err;
+  }
+  return definition.handler(data, { attempt, attempts, final: attempt >= attempts });
+};
+
+const backoffDelay = (backoffMs, attempt) => backoffMs * 2 ** (attempt - 1);
+
+const memoryDead = [];
+let memorySeq = 0;
+
+const scheduleMemoryJob = (job, delay) => {
+  // Never hold the process open just for a retry timer
+  setTimeout(() => runMemoryJob(job), delay).unref();
+};
+
+async function runMemoryJob(job) {
+  job.attempt += 1;
+  try {
+    await runHandler(job.name, job.data, job.attempt, job.attempts);
+  } catch (err) {
+    job.lastError = err.message;
+    if (!err.permanent && job.attempt < job.attempts) {
+      const delay = backoffDelay(job.backoffMs, job.attempt);
+      console.warn(`⚠️ Job ${job.name} (${job.id}) failed attempt ${job.attempt}/${job.attempts}, retrying in ${delay}ms:`, err.message);
+      scheduleMemoryJob(job, delay);
+      return;
+    }
+    console.error(`❌ Job ${job.name} (${job.id}) failed for good after ${job.attempt} attempt(s):`, err.message);
+    job.failedAt = new Date();
+    memoryDead.unshift(job);
+    memoryDead.splice(DEAD_LETTER_LIMIT);
+  }
+}
+
+const deadJobView = ({ id, name, data, attempt, lastError, failedAt }) => ({
+  id: String(id),
+  name,
+  data,
+  attempts: attempt,
+  lastError,
+  failedAt,
+});
+
+const memoryBackend = {
+  async start() {},
+  async add(name, data, { attempts, backoffMs }) {
+    const job = { id: `mem-${Date.now().toString(36)}-${++memorySeq}`, name, data, attempt: 0, attempts, backoffMs };
+    scheduleMemoryJob(job, 0);
+    return job.id;
+  },
+  async deadJobs(limit) {
+    return memoryDead.slice(0, limit).map(deadJobView);
+  },
+  async retry(id) {
+    const index = memoryDead.findIndex((job) => job.id === id);
+    if (index === -1) return false;
+    const [job] = memoryDead.splice(index, 1);
+    Object.assign(job, { attempt: 0, lastError: undefined, failedAt: undefined });
+    scheduleMemoryJob(job, 0);
+    return true;
+  },
+};
+
+let bullQueue = null;
+const redisBackend = {
+  async queue() {
+    if (!bullQueue) {
+      if (!process.env.REDIS_URL) {
+        throw new Error('Redis job queue is not configured. Set REDIS_URL.');
+      }
+      const { default: Queue } = await import('bull');
+      const queue = new Queue(process.env.JOB_QUEUE_NAME || 'kmpyrotech-jobs', process.env.REDIS_URL);
+      const concurrency = Number(process.env.JOB_CONCURRENCY) || 2;
+      queue.process('*', concurrency, async (job) => {
+        try {
+          return await runHandler(job.name, job.data, job.attemptsMade + 1, job.opts.attempts);
+        } catch (err) {
+          if (err.permanent) await job.discard();
+          throw err;
+        }
+      });
+      queue.on('failed', (job, err) => {
+        if (job.attemptsMade >= job.opts.attempts || err.permanent) {
+          console.error(`❌ Job ${job.name} (${job.id}) failed for good after ${job.attemptsMade} attempt(s):`, err.message);
+        } else {
+          console.warn(`⚠️ Job ${job.name} (${job.id}) failed attempt ${job.attemptsMade}/${job.opts.attempts}:`, err.message);
+        }
+      });
+      queue.on('error', (err) => console.error('❌ Job queue error:', err.message));
+      bullQueue = queue;
+    }
+    return bullQueue;
+  },
+  async start() {
+    await this.queue();
+  },
+  async add(name, data, { attempts, backoffMs }) {
+    const queue = await this.queue();
+    const job = await queue.add(name, data, {
+      attempts,
+      backoff: { type: 'exponential', delay: backoffMs },
+      removeOnComplete: true,
+      // Bull only keeps jobs that ran out of attempts in its failed set; that is the dead-letter list
+      removeOnFail: DEAD_LETTER_LIMIT,
+    });
+    return String(job.id);
+  },
+  async deadJobs(limit) {
+    const queue = await this.queue();
+    const failed = await queue.getFailed(0, limit - 1);
+    return failed.map((job) => ({
+      id: String(job.id),
+      name: job.name,
+      data: job.data,
+      attempts: job.attemptsMade,
+      lastError: job.failedReason,
+      failedAt: job.finishedOn ? new Date(job.finishedOn) : undefined,
+    }));
+  },
+  async retry(id) {
+    const queue = await this.queue();
+    const job = await queue.getJob(id);
+    if (!job || !(await job.isFailed())) return false;
+    await job.retry();
+    return true;
+  },
+};
+
+const backends = new Map([
+  ['memory', memoryBackend],
+  ['redis', redisBackend],
+]);
+
+const selectedBackendName = () => process.env.JOB_QUEUE || (process.env.REDIS_URL ? 'redis' : 'memory');
+
+const backend = () => {
+  const name = selectedBackendName();
+  const selected = backends.get(name);
+  if (!selected) {
+    throw new Error(`Unknown JOB_QUEUE "${name}". Available: ${[...backends.keys()].join(', ')}`);
+  }
+  return selected;
+};
+
+/**
+ * Connect the job store and start working on jobs already waiting in it.
+ * Call once at startup, after every job type is defined.
+ */
+export async function startJobQueue() {
+  const name = selectedBackendName();
+  await backend().start();
+  if (name === 'memory') {
+    console.log('⚠️ Job queue running in memory - set REDIS_URL to keep queued jobs across restarts');
+  } else {
+    console.log(`✅ Job queue started (${name})`);
+  }
+}
+
+/**
+ * Queue a job and return its ID. Throws if the job type is not defined or
+ * the store cannot be reached.
+ */
+export async function enqueue(name, data = {}) {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`No handler defined for job "${name}"`);
+  }
+  return backend().add(name, data, definition);
+}
+
+/**
+ * Jobs that ran out of attempts, newest first.
+ */
+export async function listDeadJobs(limit = 50) {
+  return backend().deadJobs(Math.min(Math.max(Number(limit) || 50, 1), DEAD_LETTER_LIMIT));
+}
+
+/**
+ * Put a dead job back on the queue with a fresh set of attempts. Returns
+ * false when there is no dead job with that ID.
+ */
+export async function retryDeadJob(id) {
+  return backend().retry(String(id));
+}
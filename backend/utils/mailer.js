@@ -0,0 +1,235 @@
+// utils/mailer.js
+// Transactional email. Messages are rendered from utils/emailTemplates.js,
+// recorded in the outbox (models/emailOutbox.model.js) and sent by the
+// 'email.send' job, which retries with backoff. A transport is an object with
+// `send({ from, to, subject, text, html, attachments }) => Promise<{ id?: string }>`;
+// pick one with MAIL_TRANSPORT:
+//
+//   smtp    - nodemailer (default when EMAIL_FROM and EMAIL_PASS are set): Gmail
+//             with EMAIL_PASS as an app password, Gmail OAuth2 with
+//             EMAIL_CLIENT_ID, EMAIL_CLIENT_SECRET and EMAIL_REFRESH_TOKEN, or
+//             any server with SMTP_HOST (SMTP_PORT, SMTP_SECURE, SMTP_USER)
+//   console - print the message, for development
+//   file    - append JSON lines to MAIL_OUTBOX_FILE
+//
+// With no transport configured, messages are still recorded, as 'skipped'.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { EmailOutbox } from '../models/emailOutbox.model.js';
+import { Order } from '../models/order.model.js';
+import { defineJob, enqueue } from './jobQueue.js';
+import { loadInvoice } from './invoiceStorage.js';
+import { renderEmail } from './emailTemplates.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email);
+
+let smtpTransporter = null;
+const smtpTransport = {
+  transporter() {
+    if (!smtpTransporter) {
+      const { EMAIL_FROM, EMAIL_PASS, EMAIL_CLIENT_ID, EMAIL_CLIENT_SECRET, EMAIL_REFRESH_TOKEN, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER } = process.env;
+      if (!EMAIL_FROM || !EMAIL_PASS) {
+        throw new Error('Email configuration missing. Please set EMAIL_FROM and EMAIL_PASS environment variables.');
+      }
+      let options;
+      if (SMTP_HOST) {
+        options = {
+          host: SMTP_HOST,
+          port: Number(SMTP_PORT) || 587,
+          secure: SMTP_SECURE === 'true',
+          auth: { user: SMTP_USER || EMAIL_FROM, pass: EMAIL_PASS },
+        };
+      } else if (EMAIL_CLIENT_ID && EMAIL_CLIENT_SECRET && EMAIL_REFRESH_TOKEN) {
+        options = {
+          service: 'gmail',
+          auth: {
+            type: 'OAuth2',
+            user: EMAIL_FROM,
+            clientId: EMAIL_CLIENT_ID,
+            clientSecret: EMAIL_CLIENT_SECRET,
+            refreshToken: EMAIL_REFRESH_TOKEN,
+          },
+        };
+      } else {
+        options = { service: 'gmail', auth: { user: EMAIL_FROM, pass: EMAIL_PASS } };
+      }
+      smtpTransporter = nodemailer.createTransport(options);
+    }
+    return smtpTransporter;
+  },
+  async send(message) {
+    try {
+      const result = await this.transporter().sendMail(message);
+      return { id: result.messageId };
+    } catch (error) {
+      if (error.code === 'EAUTH') {
+        console.error('🔐 Email authentication failed. For Gmail, enable 2-Factor Authentication and use an App Password as EMAIL_PASS.');
+      } else if (error.code === 'ECONNECTION' || error.code === 'ETIMEDOUT') {
+        console.error('🌐 Could not reach the mail server:', error.code);
+      }
+      throw error;
+    }
+  },
+};
+
+const consoleTransport = {
+  async send({ to, subject, attachments = [] }) {
+    console.log(`📧 Email to ${to}: ${subject}${attachments.length ? ` (${attachments.length} attachment(s))` : ''}`);
+    return {};
+  },
+};
+
+const fileTransport = {
+  async send({ to, subject, text, attachments = [] }) {
+    const file = process.env.MAIL_OUTBOX_FILE || path.join(os.tmpdir(), 'mail-outbox.log');
+    const entry = { to, subject, text, attachments: attachments.map((a) => a.filename), sentAt: new Date().toISOString() };
+    await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    return {};
+  },
+};
+
+const transports = new Map([
+  ['smtp', smtpTransport],
+  ['console', consoleTransport],
+  ['file', fileTransport],
+]);
+
+const selectedTransportName = () => process.env.MAIL_TRANSPORT
+  || (process.env.EMAIL_FROM && process.env.EMAIL_PASS ? 'smtp' : null);
+
+export const isMailConfigured = () => Boolean(selectedTransportName());
+
+const transport = () => {
+  const name = selectedTransportName();
+  const selected = name && transports.get(name);
+  if (!selected) {
+    const err = new Error(name
+      ? `Unknown MAIL_TRANSPORT "${name}". Available: ${[...transports.keys()].join(', ')}`
+      : 'Email not configured');
+    err.permanent = true;
+    throw err;
+  }
+  return selected;
+};
+
+const fromAddress = () => `"KMPyrotech" <${process.env.EMAIL_FROM || 'no-reply@kmpyrotech.com'}>`;
+
+// The order confirmation carries the invoice; its progress is copied onto the
+// order for GET /api/orders/:orderId/email-status
+const mirrorOnOrder = async (message) => {
+  if (message.template !== 'order_confirmation' || !message.orderId) return;
+  const set = {
+    'invoiceEmail.status': message.status === 'skipped' ? 'not_configured' : message.status,
+    'invoiceEmail.attempts': message.attempts,
+    'invoiceEmail.lastError': message.lastError || '',
+    'invoiceEmail.updatedAt': new Date(),
+    'invoiceEmail.outbox': message._id,
+  };
+  if (message.sentAt) set['invoiceEmail.sentAt'] = message.sentAt;
+  await Order.updateOne({ orderId: message.orderId }, { $set: set });
+};
+
+const sendQueued = async (message) => {
+  if (!isMailConfigured()) {
+    message.set({ status: 'skipped', lastError: 'Email not configured' });
+  } else {
+    try {
+      await enqueue('email.send', { outboxId: String(message._id) });
+    } catch (err) {
+      console.error(`❌ Could not queue email ${message._id}:`, err.message);
+      message.set({ status: 'failed', lastError: err.message });
+    }
+  }
+  if (message.isModified()) await message.save();
+  await mirrorOnOrder(message);
+  return message;
+};
+
+/**
+ * Render a template, record it in the outbox and queue it for sending.
+ * Returns the outbox document. Throws for an unknown template or a bad
+ * address; failing to queue is recorded on the message instead.
+ *
+ * @param {{ template: string, locale?: string, to: string, data?: object,
+ *   orderId?: string, attachInvoice?: boolean, requestedBy?: string }} options
+ */
+export async function queueEmail({ template, locale, to, data = {}, orderId, attachInvoice = false, requestedBy }) {
+  if (!isValidEmail(to)) {
+    const err = new Error('Invalid email address');
+    err.statusCode = 400;
+    throw err;
+  }
+  const rendered = renderEmail(template, locale, data);
+  const message = await EmailOutbox.create({
+    template,
+    locale: rendered.locale,
+    to,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    orderId,
+    attachInvoice,
+    requestedBy,
+  });
+  return sendQueued(message);
+}
+
+/**
+ * Send an outbox message again as a new message, optionally to a corrected
+ * address. Returns null when there is no such message.
+ */
+export async function resendEmail(id, { to, requestedBy } = {}) {
+  const original = await EmailOutbox.findById(id).lean();
+  if (!original) return null;
+  const address = to || original.to;
+  if (!isValidEmail(address)) {
+    const err = new Error('Invalid email address');
+    err.statusCode = 400;
+    throw err;
+  }
+  const { template, locale, subject, text, html, orderId, attachInvoice } = original;
+  const message = await EmailOutbox.create({
+    template, locale, to: address, subject, text, html, orderId, attachInvoice,
+    resendOf: original._id,
+    requestedBy,
+  });
+  return sendQueued(message);
+}
+
+defineJob('email.send', async ({ outboxId }, job) => {
+  const message = await EmailOutbox.findById(outboxId);
+  if (!message || message.status === 'sent') return;
+  message.attempts += 1;
+  try {
+    const attachments = [];
+    if (message.attachInvoice && message.orderId) {
+      const order = await Order.findOne({ orderId: message.orderId }).lean();
+      if (!order) {
+        const err = new Error(`Order ${message.orderId} not found for the invoice attachment`);
+        err.permanent = true;
+        throw err;
+      }
+      attachments.push({ filename: `Invoice-${order.orderId}.pdf`, content: await loadInvoice(order) });
+    }
+    const { id } = await transport().send({
+      from: fromAddress(),
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments,
+    });
+    message.set({ status: 'sent', messageId: id, sentAt: new Date(), lastError: undefined });
+    console.log(`✅ Email ${message.template} sent to ${message.to}`);
+  } catch (err) {
+    message.set({ status: job.final || err.permanent ? 'failed' : 'retrying', lastError: err.message });
+    throw err;
+  } finally {
+    await message.save();
+    await mirrorOnOrder(message);
+  }
+}, { attempts: 5, backoffMs: 30 * 1000 });
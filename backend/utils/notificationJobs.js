@@ -0,0 +1,47 @@
+// utils/notificationJobs.js
+// Customer notifications sent through the job queue (utils/jobQueue.js), so a
+// slow or failing provider is retried instead of holding up the request.
+import { defineJob } from './jobQueue.js';
+import { audienceFilter, sendPush } from './push.js';
+import { sendSms } from './sms.js';
+import { sendWhatsAppTemplate } from './whatsapp.js';
+
+// { mobile?, userId?, topic?, notification: { title, body }, data } - see audienceFilter
+defineJob('push.send', async ({ mobile, userId, topic, notification, data }) => {
+  let result;
+  try {
+    result = await sendPush(audienceFilter({ mobile, userId, topic }), { notification, data });
+  } catch (err) {
+    // Firebase not configured; retrying will not help
+    if (err.statusCode === 503) err.permanent = true;
+    throw err;
+  }
+  // Retry only when no device got it for reasons other than a dead token
+  if (result.successCount === 0 && result.failureCount > result.removed) {
+    throw new Error(result.lastError || 'Push notification failed on every device');
+  }
+  console.log(`✅ Push notification sent to ${result.successCount}/${result.devices} device(s)`);
+}, { attempts: 4, backoffMs: 15 * 1000 });
+
+// { to, body } with `to` in E.164 form
+defineJob('sms.send', async ({ to, body }) => {
+  try {
+    await sendSms({ to, body });
+  } catch (err) {
+    // No SMS provider configured; retrying will not help
+    if (err.statusCode === 503) err.permanent = true;
+    throw err;
+  }
+}, { attempts: 4, backoffMs: 30 * 1000 });
+
+// { to, template, language, params } - see sendWhatsAppTemplate
+defineJob('whatsapp.send', async (message) => {
+  try {
+    await sendWhatsAppTemplate(message);
+  } catch (err) {
+    // A rejected request (unknown template, bad number) fails the same way again,
+    // as does a missing provider
+    if ((err.statusCode >= 400 && err.statusCode < 500 && err.statusCode !== 429) || err.statusCode === 503) err.permanent = true;
+    throw err;
+  }
+}, { attempts: 4, backoffMs: 30 * 1000 });
@@ -0,0 +1,40 @@
+// utils/orderEmails.js
+// Emails about an order, in the language the customer ordered in
+// (customerDetails.language, English by default).
+import { isValidEmail, queueEmail } from './mailer.js';
+
+/**
+ * The payment proof rejected most recently, if any.
+ */
+export const latestRejectedPayment = (order) => (order.payments || [])
+  .filter((payment) => payment.status === 'rejected')
+  .sort((a, b) => new Date(b.reviewedAt) - new Date(a.reviewedAt))[0];
+
+export const orderEmailData = (order) => ({
+  orderId: order.orderId,
+  fullName: order.customerDetails?.fullName,
+  total: order.total,
+  items: (order.items || []).map(({ name_en, name_ta, quantity, price }) => ({ name_en, name_ta, quantity, price })),
+  transportName: order.transportName,
+  lrNumber: order.lrNumber,
+  reason: order.cancellation?.reason,
+  amountPaid: order.amountPaid,
+  rejectionReason: latestRejectedPayment(order)?.rejectionReason,
+});
+
+/**
+ * Queue a template email about the order to the customer. Returns the
+ * outbox message, or null when the order has no usable email address.
+ */
+export async function queueOrderEmail(template, order, { attachInvoice = false } = {}) {
+  const to = order.customerDetails?.email;
+  if (!isValidEmail(to)) return null;
+  return queueEmail({
+    template,
+    locale: order.customerDetails?.language,
+    to,
+    data: orderEmailData(order),
+    orderId: order.orderId,
+    attachInvoice,
+  });
+}
@@ -0,0 +1,99 @@
+// utils/orderLifecycle.js
+import { Order } from '../models/order.model.js';
+import { allowedTransitions, canTransition } from './orderStatus.js';
+import { releaseStock } from './inventory.js';
+import { releaseCoupon } from './coupons.js';
+import { notifyOrderStatus } from './orderNotifications.js';
+
+const lifecycleError = (statusCode, message, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+/**
+ * Who made a change, for the status history. Admin requests carry `req.admin`;
+ * anything else is the customer unless `kind` says otherwise.
+ */
+export const actorFromRequest = (req, kind = 'customer') => (req?.admin
+  ? { kind: 'admin', id: req.admin.id, name: req.admin.username }
+  : { kind });
+
+/**
+ * Order as shown to the customer: status history and payment reviews keep
+ * when each step happened but not which staff member made it.
+ */
+export const customerOrderView = (order) => {
+  const view = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+  view.statusHistory = (view.statusHistory || []).map(({ status, at }) => ({ status, at }));
+  view.payments = (view.payments || []).map(({ reviewedBy, ...payment }) => payment);
+  if (view.invoiceEmail) {
+    // SMTP errors are for the shop, not the customer
+    const { lastError, ...invoiceEmail } = view.invoiceEmail;
+    view.invoiceEmail = invoiceEmail;
+  }
+  return view;
+};
+
+/**
+ * Move an order to a new status if the lifecycle allows it. The status check
+ * and the write are one atomic update, so two admins cannot both move the
+ * same order out of the same status. Cancelling puts reserved stock back and
+ * frees the coupon use. The customer is notified on their channels
+ * (utils/orderNotifications.js).
+ *
+ * Throws an Error with `statusCode` 404 (no such order), 400 (transition not
+ * allowed; `allowed` lists the valid targets) or 409 (changed concurrently).
+ *
+ * @param {string} orderId
+ * @param {string} to - target status
+ * @param {{ actor?: object, note?: string, set?: object, reason?: string, onlyFrom?: string[] }} [options]
+ *   `set` holds extra fields to write alongside the status (e.g. transport details);
+ *   `onlyFrom` narrows the statuses the order may be moved out of (409 otherwise)
+ * @returns {Promise<{ order: object, previous: object }>}
+ */
+export async function changeOrderStatus(orderId, to, { actor = { kind: 'system' }, note, set = {}, reason, onlyFrom } = {}) {
+  const previous = await Order.findOne({ orderId }).lean();
+  if (!previous) throw lifecycleError(404, 'Order not found.');
+
+  const from = previous.status;
+  if (onlyFrom && !onlyFrom.includes(from)) {
+    throw lifecycleError(409, `Order is already ${from}`);
+  }
+  if (!canTransition(from, to)) {
+    const allowed = allowedTransitions(from);
+    throw lifecycleError(
+      400,
+      `Invalid status transition from '${from}' to '${to}'. Valid transitions: ${allowed.join(', ') || 'none'}`,
+      { allowed }
+    );
+  }
+
+  const update = {
+    $set: { ...set, status: to },
+    $push: { statusHistory: { status: to, from, at: new Date(), actor, note } },
+  };
+  const cancelling = to === 'cancelled';
+  if (cancelling) {
+    update.$set.stockReserved = false;
+    update.$set.cancellation = {
+      reason: reason || note || '',
+      cancelledAt: new Date(),
+      cancelledBy: actor.name || actor.id || actor.kind,
+    };
+  }
+
+  const order = await Order.findOneAndUpdate({ orderId, status: from }, update, { new: true });
+  if (!order) {
+    throw lifecycleError(409, 'Order status changed while updating, please reload and try again');
+  }
+
+  if (cancelling) {
+    if (previous.stockReserved) await releaseStock(previous.items);
+    await releaseCoupon(previous.discount?.couponCode, previous.customerDetails?.mobile);
+  }
+  if (to !== from) await notifyOrderStatus(order);
+
+  return { order, previous };
+}
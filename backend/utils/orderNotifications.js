@@ -0,0 +1,194 @@
+// utils/orderNotifications.js
+// Tells the customer about an order event on every channel the shop has
+// turned on (ORDER_NOTIFICATION_CHANNELS, comma separated, all by default) and
+// the customer has not switched off (Customer.notificationPreferences). Each
+// message goes out through its own job, so a failing provider is retried on
+// its own and never holds up the order change or the other channels.
+//
+//   email    - templated mail through utils/mailer.js (MAIL_TRANSPORT)
+//   push     - devices subscribed to "order-updates" (utils/push.js, PUSH_PROVIDER)
+//   sms      - utils/sms.js (SMS_PROVIDER)
+//   whatsapp - approved templates through utils/whatsapp.js (WHATSAPP_PROVIDER)
+//
+// Every provider has console and file stubs for local testing, used only when
+// chosen explicitly. A channel whose provider is not configured is reported
+// as 'unavailable' and nothing is queued for it.
+import { Customer } from '../models/customer.model.js';
+import { normalizeMobile } from '../middleware/customerAuth.js';
+import { rupees, resolveLocale } from './emailTemplates.js';
+import { queueInvoice } from './invoiceJobs.js';
+import { enqueue } from './jobQueue.js';
+import { latestRejectedPayment, queueOrderEmail } from './orderEmails.js';
+import { getStatusNotification } from './orderStatus.js';
+import { isPushConfigured } from './push.js';
+import { isSmsConfigured } from './sms.js';
+import { isWhatsAppConfigured } from './whatsapp.js';
+
+export const NOTIFICATION_CHANNELS = ['email', 'push', 'sms', 'whatsapp'];
+
+// WhatsApp params cannot be empty
+const orText = (value) => (value ? String(value) : '-');
+
+const rejectionReason = (order) => orText(latestRejectedPayment(order)?.rejectionReason);
+
+// Events sent on every channel. Other status changes (packed, shipped, ...)
+// only go out as push, with the text from getStatusNotification. `push` is the
+// status whose text to use, or a function for events that are not a status.
+const ORDER_EVENTS = {
+  placed: {
+    // The confirmation email carries the invoice, so it follows the PDF job
+    email: 'order_confirmation',
+    push: 'confirmed',
+    sms: {
+      en: (o) => `KMPyrotech: Thank you! Your order ${o.orderId} for ${rupees(o.total)} has been placed.`,
+      ta: (o) => `KMPyrotech: நன்றி! உங்கள் ஆர்டர் ${o.orderId} (${rupees(o.total)}) பெறப்பட்டது.`,
+    },
+    whatsapp: { template: 'order_placed', params: (o) => [orText(o.customerDetails?.fullName), o.orderId, rupees(o.total)] },
+  },
+  payment_verified: {
+    email: 'payment_verified',
+    push: 'payment_verified',
+    sms: {
+      en: (o) => `KMPyrotech: Payment for order ${o.orderId} is verified. We will send transport details once it is booked.`,
+      ta: (o) => `KMPyrotech: ஆர்டர் ${o.orderId} க்கான கட்டணம் சரிபார்க்கப்பட்டது. அனுப்பியதும் போக்குவரத்து விவரங்களை அனுப்புவோம்.`,
+    },
+    whatsapp: { template: 'payment_verified', params: (o) => [orText(o.customerDetails?.fullName), o.orderId, rupees(o.total)] },
+  },
+  payment_rejected: {
+    email: 'payment_rejected',
+    push: (o) => ({
+      title: '⚠️ Payment Not Verified',
+      body: `We could not verify your payment for order ${o.orderId}: ${rejectionReason(o)}. Please upload the proof again.`,
+    }),
+    sms: {
+      en: (o) => `KMPyrotech: We could not verify your payment for order ${o.orderId}: ${rejectionReason(o)}. Please upload the proof again.`,
+      ta: (o) => `KMPyrotech: ஆர்டர் ${o.orderId} க்கான உங்கள் கட்டணத்தை சரிபார்க்க முடியவில்லை: ${rejectionReason(o)}. தயவுசெய்து மீண்டும் பதிவேற்றவும்.`,
+    },
+    whatsapp: { template: 'payment_rejected', params: (o) => [orText(o.customerDetails?.fullName), o.orderId, rejectionReason(o)] },
+  },
+  booked: {
+    email: 'order_booked',
+    push: 'booked',
+    sms: {
+      en: (o) => `KMPyrotech: Order ${o.orderId} is booked with ${orText(o.transportName)}, LR no. ${orText(o.lrNumber)}.`,
+      ta: (o) => `KMPyrotech: ஆர்டர் ${o.orderId} ${orText(o.transportName)} மூலம் அனுப்பப்பட்டது, LR எண் ${orText(o.lrNumber)}.`,
+    },
+    whatsapp: {
+      template: 'order_booked',
+      params: (o) => [orText(o.customerDetails?.fullName), o.orderId, orText(o.transportName), orText(o.lrNumber)],
+    },
+  },
+  cancelled: {
+    email: 'order_cancelled',
+    push: 'cancelled',
+    sms: {
+      en: (o) => `KMPyrotech: Your order ${o.orderId} has been cancelled.`,
+      ta: (o) => `KMPyrotech: உங்கள் ஆர்டர் ${o.orderId} ரத்து செய்யப்பட்டது.`,
+    },
+    whatsapp: { template: 'order_cancelled', params: (o) => [orText(o.customerDetails?.fullName), o.orderId] },
+  },
+};
+
+export const ORDER_EVENT_NAMES = Object.keys(ORDER_EVENTS);
+
+const enabledChannels = () => {
+  const configured = process.env.ORDER_NOTIFICATION_CHANNELS;
+  if (!configured) return NOTIFICATION_CHANNELS;
+  return configured.split(',').map((channel) => channel.trim()).filter((channel) => NOTIFICATION_CHANNELS.includes(channel));
+};
+
+// Missing preferences (older customers, guest orders) mean every channel is on
+async function customerPreferences(order, mobile) {
+  const query = order.customer ? { _id: order.customer } : mobile ? { mobile } : null;
+  if (!query) return {};
+  const customer = await Customer.findOne(query, { notificationPreferences: 1 }).lean();
+  return customer?.notificationPreferences || {};
+}
+
+const channelSenders = {
+  async email({ event, config, order, allowed }) {
+    // Placing an order always makes the invoice; only its email is optional
+    if (event === 'placed') {
+      const status = await queueInvoice(order, { sendEmail: Boolean(allowed), optedOut: allowed === false });
+      return status || 'disabled';
+    }
+    const message = await queueOrderEmail(config.email, order);
+    return message ? 'queued' : 'unavailable';
+  },
+
+  async push({ config, order, mobile }) {
+    const notification = typeof config.push === 'function'
+      ? config.push(order)
+      : getStatusNotification(config.push || order.status, order);
+    if (!notification || !mobile || !isPushConfigured()) return 'unavailable';
+    await enqueue('push.send', {
+      mobile,
+      topic: 'order-updates',
+      notification,
+      data: { orderId: order.orderId, status: order.status, type: 'order_status_update' },
+    });
+    return 'queued';
+  },
+
+  async sms({ config, order, mobile, language }) {
+    if (!config.sms || !mobile || !isSmsConfigured()) return 'unavailable';
+    await enqueue('sms.send', { to: `+91${mobile}`, body: config.sms[language](order) });
+    return 'queued';
+  },
+
+  async whatsapp({ config, order, mobile, language }) {
+    if (!config.whatsapp || !mobile || !isWhatsAppConfigured()) return 'unavailable';
+    await enqueue('whatsapp.send', {
+      to: `+91${mobile}`,
+      template: config.whatsapp.template,
+      language,
+      params: config.whatsapp.params(order),
+    });
+    return 'queued';
+  },
+};
+
+/**
+ * Notify the customer about an order event: one of ORDER_EVENT_NAMES, or any
+ * other order status for a push-only update. Returns what happened on each
+ * channel ('queued', 'opted_out', 'disabled', 'unavailable' or 'failed'; for
+ * 'placed' the email entry is the invoice email status). Never throws.
+ *
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function notifyOrderEvent(event, order) {
+  const config = ORDER_EVENTS[event] || {};
+  const mobile = normalizeMobile(order.customerDetails?.mobile);
+  const language = resolveLocale(order.customerDetails?.language);
+  const enabled = enabledChannels();
+  let preferences = {};
+  try {
+    preferences = await customerPreferences(order, mobile);
+  } catch (err) {
+    console.warn(`⚠️ Could not load notification preferences for order ${order.orderId}:`, err.message);
+  }
+
+  const outcome = {};
+  for (const channel of NOTIFICATION_CHANNELS) {
+    // Non-key status changes only ever went out as push
+    if (!ORDER_EVENTS[event] && channel !== 'push') continue;
+    // undefined: turned off by the shop; false: switched off by the customer
+    const allowed = enabled.includes(channel) ? preferences[channel] !== false : undefined;
+    if (!allowed && !(channel === 'email' && event === 'placed')) {
+      outcome[channel] = allowed === false ? 'opted_out' : 'disabled';
+      continue;
+    }
+    try {
+      outcome[channel] = await channelSenders[channel]({ event, config, order, mobile, language, allowed });
+    } catch (err) {
+      console.error(`❌ Could not queue ${channel} notification (${event}) for order ${order.orderId}:`, err.message);
+      outcome[channel] = 'failed';
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Notify the customer that the order moved to its current status.
+ */
+export const notifyOrderStatus = (order) => notifyOrderEvent(order.status, order);
@@ -0,0 +1,118 @@
+// utils/orderPlacement.js
+// Placing an order: reprice the cart from the catalog, take stock, redeem the
+// coupon and save, undoing the earlier steps when a later one fails. Used by
+// POST /api/orders/place and POST /api/orders (routes/orderRoutes.js).
+import { Order } from '../models/order.model.js';
+import { priceCart } from './pricing.js';
+import { reserveStock, releaseStock } from './inventory.js';
+import { redeemCoupon, releaseCoupon } from './coupons.js';
+import { linkOrderToCustomer } from './customers.js';
+import { refreshTaxInvoice } from './gst.js';
+
+const placementError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+// Generate unique order ID without OrderCounter dependency (YYMMDD + random 3 digits)
+const getNextOrderIdForToday = async () => {
+  const today = new Date();
+  const dateStr = today.getFullYear().toString().slice(-2) +
+                 (today.getMonth() + 1).toString().padStart(2, '0') +
+                 today.getDate().toString().padStart(2, '0');
+
+  let attempt = 0;
+  const maxAttempts = 5;
+  while (attempt < maxAttempts) {
+    const suffix = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    const candidate = `${dateStr}${suffix}`;
+    const exists = await Order.findOne({ orderId: candidate }).lean();
+    if (!exists) {
+      console.log('🔢 Generated order ID:', candidate);
+      return candidate;
+    }
+    attempt++;
+  }
+  // Fallback to timestamp-based if collisions persist
+  const fallback = `${dateStr}${(Date.now() % 1000).toString().padStart(3, '0')}`;
+  console.log('🔢 Fallback order ID:', fallback);
+  return fallback;
+};
+
+const validatePlacement = ({ items, customerDetails }) => {
+  const errors = [];
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('items must be a non-empty array');
+  }
+  if (!customerDetails || typeof customerDetails !== 'object') {
+    errors.push('customerDetails is required');
+  } else {
+    if (!customerDetails.fullName) errors.push('customerDetails.fullName is required');
+    if (!customerDetails.mobile) errors.push('customerDetails.mobile is required');
+    if (!customerDetails.address) errors.push('customerDetails.address is required');
+  }
+  if (errors.length > 0) throw placementError(`Missing/invalid fields: ${errors.join(', ')}`);
+};
+
+/**
+ * Place an order from a checkout payload ({ items, total, customerDetails,
+ * createdAt, couponCode }). `sessionMobile` is the mobile of the customer
+ * session it was placed with, if any. Errors carry `statusCode` and, for
+ * stock problems, `outOfStock`.
+ *
+ * @returns {Promise<{ order: object, cart: object }>}
+ */
+export async function placeOrder(payload, { sessionMobile } = {}) {
+  const { items, total, customerDetails, createdAt, couponCode } = payload || {};
+  validatePlacement({ items, customerDetails });
+
+  // Reprice every line from the catalog; client prices and total are never trusted
+  const cart = await priceCart(items, total, { couponCode, mobile: customerDetails.mobile });
+  if (cart.priceMismatch) {
+    console.warn('⚠️ Client cart did not match catalog prices:', {
+      clientTotal: cart.clientTotal,
+      total: cart.total,
+      adjustments: cart.adjustments,
+    });
+  }
+
+  const orderId = await getNextOrderIdForToday();
+  const order = new Order({
+    orderId,
+    items: cart.items,
+    subtotal: cart.subtotal,
+    total: cart.total,
+    discount: cart.discount || undefined,
+    pricing: {
+      clientTotal: cart.clientTotal,
+      priceMismatch: cart.priceMismatch,
+      adjustments: cart.adjustments,
+    },
+    customerDetails,
+    status: 'confirmed', // Always start with confirmed
+    createdAt: createdAt || new Date().toISOString(),
+  });
+
+  // Take stock before saving so two buyers cannot both get the last unit
+  const reserved = await reserveStock(cart.items);
+  order.stockReserved = true;
+
+  try {
+    if (cart.discount) await redeemCoupon(cart.discount.couponCode, customerDetails.mobile);
+    try {
+      await order.save();
+    } catch (saveError) {
+      if (cart.discount) await releaseCoupon(cart.discount.couponCode, customerDetails.mobile);
+      throw saveError;
+    }
+  } catch (placeError) {
+    await releaseStock(reserved);
+    throw placeError;
+  }
+  console.log('✅ Order saved successfully:', orderId);
+
+  await linkOrderToCustomer(order, { sessionMobile });
+  await refreshTaxInvoice(order);
+  return { order, cart };
+}
@@ -0,0 +1,87 @@
+// utils/orderStatus.js
+// The one definition of the order lifecycle: which statuses exist, which moves
+// between them are allowed and what the customer is told about each. The order
+// model, the status routes and the notification code all read from here.
+//
+// confirmed → payment_verified → packed → booked → shipped → delivered
+// Any order can be cancelled until it ships; paid orders then go through
+// refund_pending → refunded. Delivered orders can also be refunded (returns).
+
+export const ORDER_STATUSES = [
+  'confirmed',
+  'payment_verified',
+  'packed',
+  'booked',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refund_pending',
+  'refunded',
+];
+
+export const ORDER_TRANSITIONS = {
+  // payment_verified → confirmed undoes a payment verification
+  confirmed: ['payment_verified', 'packed', 'booked', 'cancelled'],
+  payment_verified: ['confirmed', 'packed', 'booked', 'cancelled'],
+  packed: ['booked', 'shipped', 'cancelled'],
+  // booked → booked updates the transport name or LR number
+  booked: ['booked', 'shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refund_pending'],
+  cancelled: ['refund_pending'],
+  refund_pending: ['refunded'],
+  refunded: [],
+};
+
+// Orders in these statuses no longer count as sales
+export const INACTIVE_ORDER_STATUSES = ['cancelled', 'refund_pending', 'refunded'];
+
+export const allowedTransitions = (from) => ORDER_TRANSITIONS[from] || [];
+
+export const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+// Customer-facing title and body for each status; null means no notification
+const STATUS_MESSAGES = {
+  confirmed: (order) => ({
+    title: '✅ Order Confirmed!',
+    body: `Your order ${order.orderId} has been confirmed and is being processed.`,
+  }),
+  payment_verified: (order) => ({
+    title: '✅ Payment Verified!',
+    body: `Your payment for order ${order.orderId} has been verified successfully.`,
+  }),
+  packed: (order) => ({
+    title: '📦 Order Packed!',
+    body: `Your order ${order.orderId} has been packed and will be handed to transport soon.`,
+  }),
+  booked: (order) => ({
+    title: '🚚 Order Booked for Delivery!',
+    body: `Your order ${order.orderId} has been booked for delivery. Transport: ${order.transportName || '-'}${order.lrNumber ? `, LR: ${order.lrNumber}` : ''}`,
+  }),
+  shipped: (order) => ({
+    title: '🚚 Order Shipped!',
+    body: `Your order ${order.orderId} is on its way.`,
+  }),
+  delivered: (order) => ({
+    title: '🎉 Order Delivered!',
+    body: `Your order ${order.orderId} has been delivered. Happy celebrations!`,
+  }),
+  cancelled: (order) => ({
+    title: '❌ Order Cancelled',
+    body: `Your order ${order.orderId} has been cancelled.`,
+  }),
+  refund_pending: (order) => ({
+    title: '💸 Refund Initiated',
+    body: `A refund for order ${order.orderId} has been initiated.`,
+  }),
+  refunded: (order) => ({
+    title: '💸 Refund Completed',
+    body: `The refund for order ${order.orderId} has been completed.`,
+  }),
+};
+
+/**
+ * Notification text for an order that just moved to `status`.
+ * @returns {{ title: string, body: string }|null}
+ */
+export const getStatusNotification = (status, order) => STATUS_MESSAGES[status]?.(order) || null;
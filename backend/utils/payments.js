@@ -0,0 +1,178 @@
+// utils/payments.js
+// Payment proofs on an order. The customer uploads one proof per payment
+// (amount, UTR/reference, screenshot) and may pay in parts; the order desk
+// verifies or rejects each with a reason the customer sees, after which the
+// customer can upload a corrected proof. Once verified amounts cover the
+// order total, a confirmed order moves to payment_verified.
+import { Order } from '../models/order.model.js';
+import { INACTIVE_ORDER_STATUSES } from './orderStatus.js';
+import { changeOrderStatus } from './orderLifecycle.js';
+import { notifyOrderEvent } from './orderNotifications.js';
+
+const REFERENCE_PATTERN = /^[A-Za-z0-9-]{6,35}$/;
+const MAX_REASON_LENGTH = 300;
+
+const paymentError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Rupee amounts are compared in paise so 0.1 + 0.2 adds up
+const toPaise = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Fields derived from `order.payments`: amountPaid (verified amounts),
+ * paymentStatus and paymentPendingSince (oldest unreviewed upload, or null).
+ */
+export function paymentSummary(order) {
+  const payments = order.payments || [];
+  const paidPaise = payments
+    .filter((payment) => payment.status === 'verified')
+    .reduce((sum, payment) => sum + toPaise(payment.verifiedAmount ?? payment.amount), 0);
+  const pending = payments.filter((payment) => payment.status === 'pending');
+  const paymentPendingSince = pending.length
+    ? new Date(Math.min(...pending.map((payment) => new Date(payment.uploadedAt).getTime())))
+    : null;
+
+  let paymentStatus = 'unpaid';
+  if (paidPaise >= toPaise(order.total) && paidPaise > 0) paymentStatus = 'paid';
+  else if (pending.length) paymentStatus = 'awaiting_verification';
+  else if (paidPaise > 0) paymentStatus = 'partially_paid';
+
+  return { amountPaid: paidPaise / 100, paymentStatus, paymentPendingSince };
+}
+
+/**
+ * What is left to pay, not counting proofs still awaiting review.
+ */
+export const balanceDue = (order) => Math.max(toPaise(order.total) - toPaise(paymentSummary(order).amountPaid), 0) / 100;
+
+/**
+ * Store paymentSummary(order) after its payments or total changed and, once
+ * verified amounts cover the total of a confirmed order, move it to
+ * payment_verified. Returns the updated order document.
+ */
+export async function applyPaymentSummary(order, { actor, note }) {
+  let updated = await Order.findOneAndUpdate({ orderId: order.orderId }, { $set: paymentSummary(order) }, { new: true });
+  if (updated?.paymentStatus === 'paid' && updated.status === 'confirmed') {
+    ({ order: updated } = await changeOrderStatus(order.orderId, 'payment_verified', { actor, note }));
+  }
+  return updated;
+}
+
+/**
+ * Validate an uploaded proof. `amount` defaults to the balance due (older
+ * clients only send the screenshot). Returns { fields, errors }.
+ */
+export function parsePaymentProof(body = {}, order) {
+  const errors = [];
+  const fields = {};
+
+  if (body.amount === undefined || body.amount === '') {
+    fields.amount = balanceDue(order);
+  } else {
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) errors.push('amount must be a positive number');
+    else fields.amount = Math.round(amount * 100) / 100;
+  }
+
+  const reference = typeof (body.reference ?? body.utr) === 'string' ? (body.reference ?? body.utr).trim() : '';
+  if (reference) {
+    if (!REFERENCE_PATTERN.test(reference)) errors.push('reference must be the 6-35 letter/digit UTR or transaction number');
+    else fields.reference = reference.toUpperCase();
+  }
+  return { fields, errors };
+}
+
+/**
+ * Add a payment proof to an order. Refused for cancelled or refunded orders,
+ * orders already paid in full, and a reference already used on a proof that
+ * was not rejected.
+ */
+export async function addPaymentProof(orderId, { amount, reference, screenshotUrl, source }) {
+  const order = await Order.findOne({ orderId });
+  if (!order) throw paymentError(404, 'Order not found');
+  if (INACTIVE_ORDER_STATUSES.includes(order.status)) {
+    throw paymentError(409, `Cannot add a payment to a ${order.status} order`);
+  }
+  if (balanceDue(order) <= 0) throw paymentError(409, 'Order is already paid in full');
+
+  if (reference) {
+    const reused = await Order.exists({ payments: { $elemMatch: { reference, status: { $ne: 'rejected' } } } });
+    if (reused) throw paymentError(409, 'A payment with this reference number was already submitted');
+  }
+
+  order.payments.push({ amount, reference, screenshotUrl, source, uploadedAt: new Date() });
+  Object.assign(order, paymentSummary(order));
+  await order.save();
+  return { order, payment: order.payments[order.payments.length - 1] };
+}
+
+/**
+ * Verify or reject one pending proof (the oldest when `paymentId` is not
+ * given). Verifying may record a different `amount` than was claimed and the
+ * `reference` it was found under; rejecting needs a reason.
+ * Returns { order, previous, payment }.
+ */
+export async function reviewPayment(orderId, { paymentId, verified, reason, amount, reference, actor, note }) {
+  const previous = await Order.findOne({ orderId }).lean();
+  if (!previous) throw paymentError(404, 'Order not found');
+
+  const pending = (previous.payments || []).filter((payment) => payment.status === 'pending');
+  const target = paymentId
+    ? pending.find((payment) => String(payment._id) === String(paymentId))
+    : pending.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))[0];
+  if (!target) {
+    throw paymentError(409, paymentId ? 'That payment is not awaiting verification' : 'No payment is awaiting verification');
+  }
+
+  const set = {
+    'payments.$.status': verified ? 'verified' : 'rejected',
+    'payments.$.reviewedBy': actor.name || actor.id || actor.kind,
+    'payments.$.reviewedAt': new Date(),
+  };
+  if (verified) {
+    const received = amount === undefined ? target.amount : Number(amount);
+    if (!Number.isFinite(received) || received <= 0) throw paymentError(400, 'amount must be a positive number');
+    set['payments.$.verifiedAmount'] = Math.round(received * 100) / 100;
+    if (reference) set['payments.$.reference'] = reference;
+  } else {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    if (!text) throw paymentError(400, 'A reason is required to reject a payment');
+    if (text.length > MAX_REASON_LENGTH) throw paymentError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    set['payments.$.rejectionReason'] = text;
+  }
+
+  // Matching on status too means two reviewers cannot both decide the same proof
+  const reviewed = await Order.findOneAndUpdate(
+    { orderId, payments: { $elemMatch: { _id: target._id, status: 'pending' } } },
+    { $set: set },
+    { new: true }
+  ).lean();
+  if (!reviewed) throw paymentError(409, 'Payment was reviewed by someone else, please reload');
+
+  const order = await applyPaymentSummary(reviewed, { actor, note: note || 'Payment verified' });
+  const payment = order.payments.id(target._id);
+  if (!verified) await notifyOrderEvent('payment_rejected', order);
+  return { order, previous, payment };
+}
+
+/**
+ * Orders with proofs awaiting review, the longest-waiting first.
+ */
+export async function paymentQueue({ page = 1, limit = 50 } = {}) {
+  const query = { paymentPendingSince: { $ne: null } };
+  const [orders, total] = await Promise.all([
+    Order.find(query, {
+      orderId: 1, status: 1, total: 1, amountPaid: 1, paymentStatus: 1, paymentPendingSince: 1,
+      payments: 1, customerDetails: 1, createdAt: 1,
+    })
+      .sort({ paymentPendingSince: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Order.countDocuments(query),
+  ]);
+  return { orders, total, page, limit };
+}
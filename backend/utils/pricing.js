@@ -0,0 +1,129 @@
+// utils/pricing.js
+import mongoose from 'mongoose';
+import { findProductsByIds } from './productStore.js';
+import { evaluateCoupon } from './coupons.js';
+
+// Totals are compared in whole paise so float noise never flags an order
+const toPaise = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Reprice a cart from the catalog. Every item is looked up by `id` in the
+ * product store and the stored `price` wins over whatever the client sent.
+ *
+ * Throws an Error with `statusCode = 400` and a `details` array when an item
+ * is malformed or no longer exists in the catalog. When STRICT_CART_PRICING=true
+ * a price mismatch is rejected with `statusCode = 409` and the repriced `cart`;
+ * otherwise the mismatch is only flagged on the result.
+ *
+ * A `couponCode` in options is validated and its discount taken off the
+ * subtotal; an unusable coupon rejects the cart.
+ *
+ * @param {Array} items - cart lines as sent by the storefront ({ id, quantity, price })
+ * @param {number|string} [clientTotal] - total the client displayed, used only for comparison
+ * @param {{ couponCode?: string, mobile?: string, heldByOrderId?: string }} [options]
+ *   `heldByOrderId` reprices an existing order that already redeemed the coupon
+ * @returns {Promise<{ items: Array, subtotal: number, discount: object|null, total: number, clientTotal: number|null, priceMismatch: boolean, adjustments: Array }>}
+ */
+export async function priceCart(items, clientTotal, options = {}) {
+  const problems = [];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    const err = new Error('items must be a non-empty array');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  items.forEach((item, idx) => {
+    const quantity = Number(item?.quantity);
+    if (!item || !item.id || !mongoose.Types.ObjectId.isValid(String(item.id))) {
+      problems.push(`items[${idx}].id is missing or invalid`);
+    } else if (!Number.isInteger(quantity) || quantity <= 0) {
+      problems.push(`items[${idx}].quantity must be a positive whole number`);
+    }
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Invalid cart: ${problems.join(', ')}`);
+    err.statusCode = 400;
+    err.details = problems;
+    throw err;
+  }
+
+  const catalog = new Map();
+  const docs = await findProductsByIds(
+    items.map((item) => item.id),
+    { name_en: 1, name_ta: 1, price: 1, original_price: 1, imageUrl: 1, hsnCode: 1, gstRate: 1 }
+  );
+  docs.forEach((doc) => catalog.set(String(doc._id), doc));
+
+  const adjustments = [];
+  const pricedItems = items.map((item, idx) => {
+    const product = catalog.get(String(item.id));
+    if (!product || typeof product.price !== 'number') {
+      problems.push(`items[${idx}] (${item.name_en || item.id}) is no longer available`);
+      return null;
+    }
+    const quantity = Number(item.quantity);
+    if (item.price !== undefined && toPaise(item.price) !== toPaise(product.price)) {
+      adjustments.push({
+        id: String(product._id),
+        name_en: product.name_en,
+        clientPrice: Number(item.price),
+        price: product.price,
+      });
+    }
+    return {
+      id: String(product._id),
+      name_en: product.name_en,
+      name_ta: product.name_ta,
+      price: product.price,
+      quantity,
+      category: product.category,
+      imageUrl: product.imageUrl,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate,
+    };
+  });
+
+  if (problems.length > 0) {
+    const err = new Error(`Cart contains unavailable products: ${problems.join(', ')}`);
+    err.statusCode = 400;
+    err.details = problems;
+    throw err;
+  }
+
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  let discount = null;
+  if (options.couponCode) {
+    ({ discount } = await evaluateCoupon(options.couponCode, pricedItems, options.mobile, {
+      heldByOrderId: options.heldByOrderId,
+    }));
+  }
+  const total = subtotal - (discount?.amount || 0);
+  const parsedClientTotal = Number(clientTotal);
+  const numericClientTotal = (clientTotal !== undefined && clientTotal !== null && clientTotal !== '' && !Number.isNaN(parsedClientTotal))
+    ? parsedClientTotal
+    : null;
+  const totalMismatch = numericClientTotal !== null && toPaise(numericClientTotal) !== toPaise(total);
+
+  const cart = {
+    items: pricedItems,
+    subtotal,
+    discount,
+    total,
+    clientTotal: numericClientTotal,
+    priceMismatch: adjustments.length > 0 || totalMismatch,
+    adjustments,
+  };
+
+  // Strict mode refuses the order instead of saving it with corrected prices
+  if (cart.priceMismatch && process.env.STRICT_CART_PRICING === 'true') {
+    const err = new Error('Cart prices have changed. Please review your cart and try again.');
+    err.statusCode = 409;
+    err.cart = cart;
+    throw err;
+  }
+
+  return cart;
+}
@@ -0,0 +1,45 @@
+// utils/productEvents.js
+// Lets in-memory views of the catalog (the search index, the listing caches in
+// server.js) hear about product writes without every route having to remember
+// to tell them.
+
+const listeners = new Set();
+
+// Mongoose operations that can change a product document
+const WRITE_HOOKS = [
+  'save',
+  'insertMany',
+  'bulkWrite',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany',
+];
+
+/**
+ * Subscribe to product writes. Returns an unsubscribe function.
+ */
+export const onProductsChanged = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyProductsChanged = () => {
+  for (const listener of listeners) {
+    try {
+      listener();
+    } catch (err) {
+      console.error('❌ Product change listener failed:', err.message);
+    }
+  }
+};
+
+/**
+ * Register write hooks on a product schema. Call before the model is compiled.
+ */
+export const watchProductSchema = (schema) => {
+  schema.post(WRITE_HOOKS, notifyProductsChanged);
+};
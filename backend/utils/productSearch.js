@@ -0,0 +1,224 @@
+// utils/productSearch.js
+// In-memory product search over name_en, name_ta and the category name.
+// Tamil text is transliterated to Latin letters so a query typed either way
+// ("சக்கரம்", "chakkaram", "chakra") lands on the same products, and each word
+// is matched exactly, by prefix, with a few typos allowed, or by sound.
+// The index is rebuilt lazily on the first search after any product write.
+import { findProducts } from './productStore.js';
+import { onProductsChanged } from './productEvents.js';
+
+const TAMIL_VOWELS = {
+  'அ': 'a', 'ஆ': 'aa', 'இ': 'i', 'ஈ': 'ii', 'உ': 'u', 'ஊ': 'uu',
+  'எ': 'e', 'ஏ': 'ee', 'ஐ': 'ai', 'ஒ': 'o', 'ஓ': 'oo', 'ஔ': 'au', 'ஃ': 'k',
+};
+const TAMIL_VOWEL_SIGNS = {
+  'ா': 'aa', 'ி': 'i', 'ீ': 'ii', 'ு': 'u', 'ூ': 'uu',
+  'ெ': 'e', 'ே': 'ee', 'ை': 'ai', 'ொ': 'o', 'ோ': 'oo', 'ௌ': 'au',
+};
+const TAMIL_CONSONANTS = {
+  'க': 'k', 'ங': 'ng', 'ச': 'ch', 'ஞ': 'nj', 'ட': 't', 'ண': 'n', 'த': 'th',
+  'ந': 'n', 'ப': 'p', 'ம': 'm', 'ய': 'y', 'ர': 'r', 'ல': 'l', 'வ': 'v',
+  'ழ': 'zh', 'ள': 'l', 'ற': 'r', 'ன': 'n', 'ஜ': 'j', 'ஷ': 'sh', 'ஸ': 's', 'ஹ': 'h',
+};
+const TAMIL_PULLI = '்';
+
+/**
+ * Transliterate Tamil script to Latin letters; other characters pass through.
+ */
+export function tamilToLatin(text) {
+  const chars = Array.from(String(text || ''));
+  let out = '';
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const consonant = TAMIL_CONSONANTS[ch];
+    if (!consonant) {
+      out += TAMIL_VOWELS[ch] ?? ch;
+      continue;
+    }
+    const next = chars[i + 1];
+    if (next === TAMIL_PULLI) {
+      out += consonant;
+      i++;
+    } else if (TAMIL_VOWEL_SIGNS[next]) {
+      out += consonant + TAMIL_VOWEL_SIGNS[next];
+      i++;
+    } else {
+      out += consonant + 'a';
+    }
+  }
+  return out;
+}
+
+// Lowercase Latin words with accents stripped; Tamil is transliterated first
+export const tokenize = (text) => tamilToLatin(text)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Sound-alike key: spellings that transliterate the same Tamil letter
+ * (ch/s/c, th/t/d, zh/l, k/g, p/b, w/v) collapse together, doubled letters
+ * become single and vowels after the first letter are dropped, so
+ * "chakkaram", "sakaram" and "chakra" share most of "skrm".
+ */
+export function phoneticKey(word) {
+  const folded = word
+    .replace(/ck/g, 'k')
+    .replace(/mb$/, 'm')
+    .replace(/zh/g, 'l')
+    .replace(/(ch|sh|c|z|j)/g, 's')
+    .replace(/(th|dh|d)/g, 't')
+    .replace(/(kh|gh|g|q)/g, 'k')
+    .replace(/(ph|bh|b|f)/g, 'p')
+    .replace(/w/g, 'v')
+    .replace(/x/g, 'ks')
+    .replace(/(.)\1+/g, '$1');
+  return folded.charAt(0) + folded.slice(1).replace(/[aeiouy]/g, '');
+}
+
+// Edit distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos tolerated for a word of this length
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+const toTerm = (word) => ({ word, phonetic: phoneticKey(word) });
+
+/**
+ * Score one query word against one product word; 0 means no match.
+ */
+function scoreTerm(query, term) {
+  const q = query.word;
+  const w = term.word;
+  if (q === w) return 10;
+  if (q.length >= 2 && w.startsWith(q)) return 8;
+  if (q.length >= 3 && w.includes(q)) return 6;
+
+  const typos = allowedTypos(q.length);
+  let score = 0;
+  if (typos > 0) {
+    const whole = editDistance(q, w, typos);
+    if (whole <= typos) score = 7 - 2 * whole;
+    // Half-typed words with a typo ("sprakl" for "sparkler")
+    const partial = editDistance(q, w.slice(0, q.length), typos);
+    if (partial <= typos) score = Math.max(score, 4 - partial);
+  }
+  if (query.phonetic.length >= 2 && query.phonetic === term.phonetic) {
+    score = Math.max(score, 5);
+  } else if (query.phonetic.length >= 3 && editDistance(query.phonetic, term.phonetic, 1) <= 1) {
+    score = Math.max(score, 3);
+  }
+  return score;
+}
+
+// Category words count for less than words in the product's own name
+const CATEGORY_WEIGHT = 0.5;
+
+const SEARCH_PROJECTION = {
+  name_en: 1,
+  name_ta: 1,
+  price: 1,
+  original_price: 1,
+  imageUrl: 1,
+  youtube_url: 1,
+  order: 1,
+  stock: 1,
+  createdAt: 1,
+};
+
+let index = null;
+let building = null;
+let generation = 0;
+
+onProductsChanged(() => {
+  generation++;
+  index = null;
+});
+
+async function buildIndex() {
+  const startedAt = generation;
+  const products = await findProducts({ projection: SEARCH_PROJECTION });
+  const entries = products.map((product) => ({
+    product,
+    nameTerms: [...tokenize(product.name_en), ...tokenize(product.name_ta)].map(toTerm),
+    categoryTerms: tokenize(product.category).map(toTerm),
+    phrase: tokenize(product.name_en).join(' '),
+  }));
+  // A write landed mid-build: serve this index once, rebuild next time
+  if (startedAt === generation) index = entries;
+  return entries;
+}
+
+const getIndex = async () => {
+  if (index) return index;
+  if (!building) {
+    building = buildIndex().finally(() => { building = null; });
+  }
+  return building;
+};
+
+/**
+ * Search the catalog. Every query word has to match somewhere in the product
+ * name (either language) or its category; results are ranked by how well.
+ *
+ * @param {string} q
+ * @param {{ category?: string, minPrice?: number, maxPrice?: number, page?: number, limit?: number }} [options]
+ *   `category` is a canonical Category.name
+ * @returns {Promise<{ results: Array, total: number, page: number, limit: number }>}
+ */
+export async function searchProducts(q, { category, minPrice, maxPrice, page = 1, limit = 20 } = {}) {
+  const queryTerms = [...new Set(tokenize(q))].map(toTerm);
+  if (queryTerms.length === 0) return { results: [], total: 0, page, limit };
+  const queryPhrase = queryTerms.map((t) => t.word).join(' ');
+
+  const entries = await getIndex();
+  const matches = [];
+  for (const entry of entries) {
+    const { product } = entry;
+    if (category && product.category !== category) continue;
+    if (minPrice !== undefined && !(product.price >= minPrice)) continue;
+    if (maxPrice !== undefined && !(product.price <= maxPrice)) continue;
+
+    let score = 0;
+    let matchedAll = true;
+    for (const query of queryTerms) {
+      let best = 0;
+      for (const term of entry.nameTerms) best = Math.max(best, scoreTerm(query, term));
+      for (const term of entry.categoryTerms) best = Math.max(best, scoreTerm(query, term) * CATEGORY_WEIGHT);
+      if (best === 0) {
+        matchedAll = false;
+        break;
+      }
+      score += best;
+    }
+    if (!matchedAll) continue;
+    if (queryTerms.length > 1 && entry.phrase.includes(queryPhrase)) score += 5;
+    matches.push({ product, score });
+  }
+
+  matches.sort((a, b) => b.score - a.score
+    || (a.product.order ?? 0) - (b.product.order ?? 0)
+    || String(a.product.name_en || '').localeCompare(String(b.product.name_en || '')));
+
+  const results = matches
+    .slice((page - 1) * limit, page * limit)
+    .map(({ product, score }) => ({ ...product, score }));
+  return { results, total: matches.length, page, limit };
+}
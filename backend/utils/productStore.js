@@ -0,0 +1,251 @@
+// utils/productStore.js
+// All product reads and writes go through here. Products live in the single
+// `products` collection; while compatibility mode is on, the old per-category
+// collections (ATOM_BOMB, SPARKLER_ITEMS, ...) are read as well, so the catalog
+// stays complete until scripts/migrateProducts.js has finished.
+import mongoose from 'mongoose';
+import { Product } from '../models/Product.js';
+import { Category } from '../models/category.model.js';
+import { getProductModelByCategory } from '../models/getProductModelByCategory.js';
+
+export const PRODUCTS_MIGRATION_ID = 'unified-products';
+
+let migrationComplete = false;
+
+/**
+ * Compatibility mode is on until the migration marker exists.
+ * PRODUCTS_COMPAT_MODE=on|off overrides the marker.
+ */
+export const isCompatMode = () => {
+  const override = process.env.PRODUCTS_COMPAT_MODE;
+  if (override === 'on') return true;
+  if (override === 'off') return false;
+  return !migrationComplete;
+};
+
+/**
+ * Read the migration marker. Call once the database connection is open.
+ */
+export async function loadProductStoreMode() {
+  try {
+    const marker = await mongoose.connection.db.collection('migrations').findOne({ _id: PRODUCTS_MIGRATION_ID });
+    migrationComplete = Boolean(marker?.completedAt);
+  } catch (err) {
+    console.warn('⚠️ Could not read product migration marker:', err.message);
+  }
+  console.log(`📦 Product store: ${isCompatMode() ? 'compatibility mode (unified + per-category collections)' : 'unified collection'}`);
+}
+
+export const markProductsMigrated = async () => {
+  await mongoose.connection.db.collection('migrations').updateOne(
+    { _id: PRODUCTS_MIGRATION_ID },
+    { $set: { completedAt: new Date() } },
+    { upsert: true }
+  );
+  migrationComplete = true;
+};
+
+export const toCollectionName = (category) => String(category).trim().replace(/\s+/g, '_').toUpperCase();
+
+// Legacy product collections are the uppercase ones
+export const listLegacyCollections = async () => {
+  const collections = await mongoose.connection.db.listCollections().toArray();
+  return collections.map((c) => c.name).filter((name) => /^[A-Z0-9_]+$/.test(name));
+};
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Resolve a category from an ObjectId, its name ("ATOM BOMB"), a collection
+ * style name ("ATOM_BOMB") or its display name.
+ */
+export async function resolveCategory(value, { activeOnly = true } = {}) {
+  if (!value) return null;
+  const raw = String(value).trim();
+  const active = activeOnly ? { isActive: true } : {};
+  if (/^[a-f\d]{24}$/i.test(raw)) {
+    const byId = await Category.findOne({ _id: raw, ...active }).lean();
+    if (byId) return byId;
+  }
+  const upper = raw.toUpperCase();
+  return await Category.findOne({ name: { $in: [upper, upper.replace(/_/g, ' ')] }, ...active }).lean()
+    || await Category.findOne({ displayName: { $regex: `^${escapeRegex(raw)}$`, $options: 'i' }, ...active }).lean();
+}
+
+/**
+ * Category for a legacy collection, created (active) if it was never registered
+ * so migrated products are not orphaned.
+ */
+export async function ensureCategoryForCollection(collectionName) {
+  const existing = await resolveCategory(collectionName, { activeOnly: false });
+  if (existing) return existing;
+  const name = collectionName.replace(/_/g, ' ');
+  const maxOrderDoc = await Category.findOne({}).sort({ order: -1 }).lean();
+  const created = await Category.create({
+    name,
+    displayName: name,
+    displayName_en: name,
+    isActive: true,
+    order: (maxOrderDoc?.order ?? 0) + 1,
+  });
+  return created.toObject();
+}
+
+// Include the category fields whenever a listing projects specific fields
+const withCategoryFields = (projection) => {
+  if (!projection) return projection;
+  const inclusive = Object.values(projection).some((v) => v === 1 || v === true);
+  return inclusive ? { ...projection, category: 1, categoryId: 1 } : projection;
+};
+
+const compareBySort = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const av = a[field] instanceof Date ? a[field].valueOf() : a[field];
+    const bv = b[field] instanceof Date ? b[field].valueOf() : b[field];
+    if (av === bv) continue;
+    if (av === undefined || av === null) return 1;
+    if (bv === undefined || bv === null) return -1;
+    return (av < bv ? -1 : 1) * direction;
+  }
+  return 0;
+};
+
+/**
+ * Find products as plain objects, each with its `category` name.
+ *
+ * @param {{ category?: object, filter?: object, projection?: object, sort?: object, limit?: number }} options
+ *   `category` is a Category document from resolveCategory; omit it for every category
+ */
+export async function findProducts({ category, filter = {}, projection, sort = { order: 1, createdAt: -1 }, limit } = {}) {
+  const unifiedFilter = category ? { ...filter, categoryId: category._id } : filter;
+  let query = Product.find(unifiedFilter, withCategoryFields(projection)).sort(sort).lean();
+  if (limit && !isCompatMode()) query = query.limit(limit);
+  const unified = await query;
+  if (!isCompatMode()) return unified;
+
+  const seen = new Set(unified.map((p) => String(p._id)));
+  const collectionNames = category ? [toCollectionName(category.name)] : await listLegacyCollections();
+  const legacyArrays = await Promise.all(
+    collectionNames.map(async (collectionName) => {
+      try {
+        const docs = await getProductModelByCategory(collectionName).find(filter, projection).lean();
+        const categoryName = category?.name || collectionName.replace(/_/g, ' ');
+        return docs
+          .filter((doc) => !seen.has(String(doc._id)))
+          .map((doc) => ({ ...doc, category: categoryName }));
+      } catch (err) {
+        console.warn(`⚠️ Warning: Could not fetch products for collection ${collectionName}:`, err.message);
+        return [];
+      }
+    })
+  );
+
+  const merged = unified.concat(...legacyArrays).sort(compareBySort(sort));
+  return limit ? merged.slice(0, limit) : merged;
+}
+
+export async function countProducts({ category, filter = {} } = {}) {
+  if (!isCompatMode()) {
+    return Product.countDocuments(category ? { ...filter, categoryId: category._id } : filter);
+  }
+  const docs = await findProducts({ category, filter, projection: { _id: 1 } });
+  return docs.length;
+}
+
+/**
+ * Look up products by id across the store, as plain objects with `category`.
+ */
+export async function findProductsByIds(ids, projection) {
+  const validIds = [...new Set(ids.map(String))].filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (validIds.length === 0) return [];
+  const unified = await Product.find({ _id: { $in: validIds } }, withCategoryFields(projection)).lean();
+  if (!isCompatMode() || unified.length === validIds.length) return unified;
+
+  const found = new Set(unified.map((p) => String(p._id)));
+  const missing = validIds.filter((id) => !found.has(id));
+  const legacy = await findProducts({ filter: { _id: { $in: missing } }, projection });
+  return unified.concat(legacy);
+}
+
+// Model that currently holds the product, or null
+const locateModel = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) return null;
+  if (await Product.exists({ _id: id })) return Product;
+  if (!isCompatMode()) return null;
+  for (const collectionName of await listLegacyCollections()) {
+    const Model = getProductModelByCategory(collectionName);
+    if (await Model.exists({ _id: id })) return Model;
+  }
+  return null;
+};
+
+/**
+ * Find one product document by id.
+ * @returns {Promise<{ product: object, legacy: boolean, collectionName: string }|null>}
+ */
+export async function findProductById(id) {
+  const Model = await locateModel(id);
+  if (!Model) return null;
+  const product = await Model.findById(id);
+  if (!product) return null;
+  const legacy = Model !== Product;
+  if (legacy && !product.category) product.category = Model.collection.name.replace(/_/g, ' ');
+  return { product, legacy, collectionName: Model.collection.name };
+}
+
+/**
+ * updateOne against whichever collection holds the product. `filter` adds
+ * conditions (e.g. enough stock) on top of the id.
+ */
+export async function updateProduct(id, filter, update) {
+  const Model = await locateModel(id);
+  if (!Model) return { matchedCount: 0, modifiedCount: 0 };
+  return Model.updateOne({ ...filter, _id: id }, update);
+}
+
+export async function deleteProduct(id) {
+  const Model = await locateModel(id);
+  if (!Model) return null;
+  const deleted = await Model.findByIdAndDelete(id);
+  if (deleted && Model !== Product && !deleted.category) deleted.category = Model.collection.name.replace(/_/g, ' ');
+  return deleted;
+}
+
+/**
+ * updateMany across the store; returns the total modified count.
+ */
+export async function updateManyProducts(filter, update) {
+  const result = await Product.updateMany(filter, update);
+  let modified = result.modifiedCount || 0;
+  if (isCompatMode()) {
+    for (const collectionName of await listLegacyCollections()) {
+      const legacyResult = await getProductModelByCategory(collectionName).updateMany(filter, update);
+      modified += legacyResult.modifiedCount || 0;
+    }
+  }
+  return modified;
+}
+
+export async function createProduct(fields, category) {
+  return Product.create({ ...fields, categoryId: category._id, category: category.name });
+}
+
+/**
+ * Move a legacy product into the unified collection under the same id.
+ * Returns the unified document; a product already unified is returned as is.
+ */
+export async function migrateLegacyProduct(id) {
+  const found = await findProductById(id);
+  if (!found) return null;
+  if (!found.legacy) return found.product;
+  const category = await ensureCategoryForCollection(found.collectionName);
+  const data = found.product.toObject();
+  delete data.__v;
+  const unified = await Product.findOneAndUpdate(
+    { _id: data._id },
+    { $setOnInsert: { ...data, categoryId: category._id, category: category.name } },
+    { upsert: true, new: true, timestamps: false }
+  );
+  await getProductModelByCategory(found.collectionName).deleteOne({ _id: data._id });
+  return unified;
+}
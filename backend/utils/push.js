@@ -0,0 +1,200 @@
+// utils/push.js
+// FCM push notifications to the devices in the DeviceToken registry. Sends go
+// out 500 tokens per call (FCM's multicast limit) over any number of devices,
+// and tokens FCM reports as no longer valid are deleted on the way. Topics are
+// kept on each device document, so a topic send is an ordinary filtered send.
+//
+// The sender answers like firebase-admin's messaging().sendEachForMulticast;
+// pick one with PUSH_PROVIDER:
+//   fcm     - Firebase Cloud Messaging (default)
+//   console - print each batch and report every device as delivered
+//   file    - append JSON lines to PUSH_OUTBOX_FILE
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import admin from 'firebase-admin';
+import { DeviceToken } from '../models/deviceToken.model.js';
+import { normalizeMobile } from '../middleware/customerAuth.js';
+
+export const PUSH_TOPICS = ['offers', 'order-updates'];
+export const PUSH_PLATFORMS = ['web', 'android', 'ios'];
+export const PUSH_LANGUAGES = ['en', 'ta'];
+
+// New devices get everything until they choose otherwise, as before topics existed
+const DEFAULT_TOPICS = PUSH_TOPICS;
+
+const FCM_BATCH_SIZE = 500;
+
+// Per-token errors meaning the token itself is dead
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+]);
+
+// Stub senders answer like sendEachForMulticast with every token delivered
+const deliveredToAll = ({ tokens }) => ({
+  successCount: tokens.length,
+  failureCount: 0,
+  responses: tokens.map(() => ({ success: true })),
+});
+
+const fcmProvider = {
+  isConfigured: () => admin.apps.length > 0,
+  sendEachForMulticast: (message) => admin.messaging().sendEachForMulticast(message),
+};
+
+const consoleProvider = {
+  isConfigured: () => true,
+  async sendEachForMulticast(message) {
+    console.log(`🔔 Push to ${message.tokens.length} device(s): ${message.notification?.title} - ${message.notification?.body}`);
+    return deliveredToAll(message);
+  },
+};
+
+const fileProvider = {
+  isConfigured: () => true,
+  async sendEachForMulticast(message) {
+    const file = process.env.PUSH_OUTBOX_FILE || path.join(os.tmpdir(), 'push-outbox.log');
+    await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    return deliveredToAll(message);
+  },
+};
+
+const providers = new Map([
+  ['fcm', fcmProvider],
+  ['console', consoleProvider],
+  ['file', fileProvider],
+]);
+
+const selectedProvider = () => providers.get(process.env.PUSH_PROVIDER || 'fcm');
+
+export const isPushConfigured = () => Boolean(selectedProvider()?.isConfigured());
+
+/**
+ * Validate a topics list from a request. Returns { topics, error }.
+ */
+export function parseTopics(topics) {
+  if (!Array.isArray(topics)) return { error: 'topics must be an array' };
+  const unknown = topics.filter((topic) => !PUSH_TOPICS.includes(topic));
+  if (unknown.length) {
+    return { error: `Unknown topic(s): ${unknown.join(', ')}. Available: ${PUSH_TOPICS.join(', ')}` };
+  }
+  return { topics: [...new Set(topics)] };
+}
+
+/**
+ * Add a device or refresh its last-seen time. A token that moves to another
+ * user is taken over. `customerId`/`mobile` come from a verified session only;
+ * `topics` left out keeps the device's current topics.
+ */
+export async function registerDeviceToken({ token, userId, platform, language, topics, customerId, mobile }) {
+  const set = { lastSeenAt: new Date() };
+  if (userId) set.userId = String(userId);
+  if (platform) set.platform = platform;
+  if (language) set.language = language;
+  if (topics) set.topics = topics;
+  if (customerId) Object.assign(set, { customer: customerId, mobile });
+  return DeviceToken.findOneAndUpdate(
+    { token },
+    { $set: set, ...(topics ? {} : { $setOnInsert: { topics: DEFAULT_TOPICS } }) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+export async function unregisterDeviceToken(token) {
+  const { deletedCount } = await DeviceToken.deleteOne({ token });
+  return deletedCount > 0;
+}
+
+export async function setDeviceTopics(token, topics) {
+  return DeviceToken.findOneAndUpdate({ token }, { $set: { topics, lastSeenAt: new Date() } }, { new: true }).lean();
+}
+
+/**
+ * Devices of some customers. Only devices linked through a verified session
+ * count; a "customer_<mobile>" user ID is chosen by the client and proves nothing.
+ */
+export const customersDevicesFilter = (mobiles) => ({
+  mobile: { $in: [...new Set(mobiles.map((mobile) => normalizeMobile(mobile) || String(mobile)))] },
+});
+
+export const customerDevicesFilter = (mobile) => customersDevicesFilter([mobile]);
+
+/**
+ * DeviceToken query for a customer's mobile, a user ID and/or a topic; with
+ * only a topic, every device subscribed to it.
+ */
+export function audienceFilter({ mobile, userId, topic } = {}) {
+  const parts = [];
+  if (mobile) parts.push(customerDevicesFilter(mobile));
+  if (userId) parts.push({ userId: String(userId) });
+  if (topic) parts.push({ topics: topic });
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+}
+
+// FCM data values must be strings
+const stringifyData = (data = {}) => Object.fromEntries(
+  Object.entries(data).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+);
+
+/**
+ * Send a notification to every device matching `filter` (a DeviceToken query,
+ * e.g. `{ topics: 'offers' }` or `{}` for all), `batchSize` devices per FCM
+ * call with `pauseMs` between calls. `link` opens on tap (also sent as
+ * `data.link`). `onBatch(batchTotals)` runs after each call; returning false
+ * stops the send. Throws 503 when the push provider is not set up.
+ *
+ * @returns {Promise<{ devices: number, successCount: number, failureCount: number, removed: number, batches: number, stopped: boolean, lastError?: string }>}
+ */
+export async function sendPush(filter, { notification, data, link }, { batchSize = FCM_BATCH_SIZE, pauseMs = 0, onBatch } = {}) {
+  if (!isPushConfigured()) {
+    const err = new Error(process.env.PUSH_PROVIDER && !selectedProvider()
+      ? `Unknown PUSH_PROVIDER "${process.env.PUSH_PROVIDER}". Available: ${[...providers.keys()].join(', ')}`
+      : 'Firebase Admin not initialized');
+    err.statusCode = 503;
+    throw err;
+  }
+  const message = { notification, data: stringifyData({ ...data, link }) };
+  if (link && /^https:\/\//.test(link)) message.webpush = { fcmOptions: { link } };
+  const size = Math.min(Math.max(batchSize, 1), FCM_BATCH_SIZE);
+  const totals = { devices: 0, successCount: 0, failureCount: 0, removed: 0, batches: 0, stopped: false };
+
+  const flush = async (tokens) => {
+    if (tokens.length === 0) return true;
+    if (totals.batches > 0 && pauseMs > 0) await new Promise((resolve) => setTimeout(resolve, pauseMs));
+    const response = await selectedProvider().sendEachForMulticast({ ...message, tokens });
+    const batch = { devices: tokens.length, successCount: response.successCount, failureCount: response.failureCount, removed: 0 };
+    const invalid = [];
+    response.responses.forEach((result, index) => {
+      if (result.success) return;
+      if (INVALID_TOKEN_ERRORS.has(result.error?.code)) invalid.push(tokens[index]);
+      else totals.lastError = result.error?.message;
+    });
+    if (invalid.length) {
+      await DeviceToken.deleteMany({ token: { $in: invalid } });
+      console.log(`🧹 Removed ${invalid.length} invalid device token(s)`);
+      batch.removed = invalid.length;
+    }
+    totals.devices += batch.devices;
+    totals.successCount += batch.successCount;
+    totals.failureCount += batch.failureCount;
+    totals.removed += batch.removed;
+    totals.batches += 1;
+    return onBatch ? (await onBatch(batch)) !== false : true;
+  };
+
+  let batch = [];
+  for await (const { token } of DeviceToken.find(filter, { token: 1 }).lean().cursor()) {
+    batch.push(token);
+    if (batch.length === size) {
+      if (!(await flush(batch))) {
+        totals.stopped = true;
+        return totals;
+      }
+      batch = [];
+    }
+  }
+  if (!(await flush(batch))) totals.stopped = true;
+  return totals;
+}
@@ -0,0 +1,252 @@
+// utils/pushCampaigns.js
+// Marketing push campaigns (models/pushCampaign.model.js). A due campaign is
+// claimed and sent by the 'push.campaign' job: its segment is turned into a
+// list of customer mobiles, their devices subscribed to "offers" get the
+// Tamil or English text by device language, and delivery counts are added to
+// the campaign after every FCM batch.
+import mongoose from 'mongoose';
+import { PushCampaign } from '../models/pushCampaign.model.js';
+import { Order } from '../models/order.model.js';
+import { Customer } from '../models/customer.model.js';
+import { INACTIVE_ORDER_STATUSES } from './orderStatus.js';
+import { defineJob, enqueue } from './jobQueue.js';
+import { customersDevicesFilter, sendPush } from './push.js';
+import { escapeRegex } from './productStore.js';
+
+const CAMPAIGN_CHECK_INTERVAL_MS = 60 * 1000;
+// A campaign still "sending" this long after it started lost its sender (e.g.
+// the server restarted mid-send); override with PUSH_CAMPAIGN_STALE_MINUTES
+const DEFAULT_STALE_SENDING_MINUTES = 30;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+
+export const SEGMENT_TYPES = ['everyone', 'category', 'unpaid', 'pincode'];
+
+/**
+ * Validate a campaign payload. Returns { fields, errors }; `fields` is ready
+ * for PushCampaign.create.
+ */
+export function parseCampaign(body = {}) {
+  const errors = [];
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const name = text(body.name);
+  if (!name) errors.push('name is required');
+
+  const localized = (key, max) => {
+    const value = body[key] || {};
+    const en = text(value.en);
+    const ta = text(value.ta);
+    if (!en) errors.push(`${key}.en is required`);
+    if (en.length > max || ta.length > max) errors.push(`${key} must be at most ${max} characters`);
+    return ta ? { en, ta } : { en };
+  };
+  const title = localized('title', MAX_TITLE_LENGTH);
+  const message = localized('body', MAX_BODY_LENGTH);
+
+  const deepLink = text(body.deepLink);
+  if (deepLink && !/^(\/|https:\/\/)/.test(deepLink)) errors.push('deepLink must be an app path starting with / or an https URL');
+
+  const input = body.segment || { type: 'everyone' };
+  const segment = { type: input.type || 'everyone' };
+  if (!SEGMENT_TYPES.includes(segment.type)) {
+    errors.push(`segment.type must be one of ${SEGMENT_TYPES.join(', ')}`);
+  } else if (segment.type === 'category') {
+    segment.category = text(input.category);
+    if (!segment.category) errors.push('segment.category is required');
+  } else if (segment.type === 'pincode') {
+    segment.pincodeFrom = text(String(input.pincodeFrom ?? ''));
+    segment.pincodeTo = text(String(input.pincodeTo ?? input.pincodeFrom ?? ''));
+    if (!/^\d{6}$/.test(segment.pincodeFrom) || !/^\d{6}$/.test(segment.pincodeTo)) {
+      errors.push('segment.pincodeFrom and segment.pincodeTo must be 6-digit PIN codes');
+    } else if (segment.pincodeFrom > segment.pincodeTo) {
+      errors.push('segment.pincodeFrom must not be after segment.pincodeTo');
+    }
+  }
+
+  const scheduledAt = body.scheduledAt ? new Date(body.scheduledAt) : new Date();
+  if (Number.isNaN(scheduledAt.getTime())) errors.push('scheduledAt must be a valid date');
+
+  const fields = { name, title, body: message, deepLink: deepLink || undefined, segment, scheduledAt };
+  if (body.batchSize !== undefined) {
+    const batchSize = Number(body.batchSize);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 500) errors.push('batchSize must be a whole number from 1 to 500');
+    else fields.batchSize = batchSize;
+  }
+  if (body.pauseMs !== undefined) {
+    const pauseMs = Number(body.pauseMs);
+    if (!Number.isInteger(pauseMs) || pauseMs < 0 || pauseMs > 60 * 1000) errors.push('pauseMs must be a whole number from 0 to 60000');
+    else fields.pauseMs = pauseMs;
+  }
+  return { fields, errors };
+}
+
+/**
+ * Mobile numbers of the customers in a segment, or null for everyone.
+ */
+export async function segmentMobiles(segment) {
+  switch (segment.type) {
+    case 'category': {
+      const pattern = new RegExp(`^${escapeRegex(segment.category).replace(/[\s_]+/g, '[\\s_]+')}$`, 'i');
+      return Order.distinct('customerDetails.mobile', {
+        'items.category': pattern,
+        status: { $nin: INACTIVE_ORDER_STATUSES },
+      });
+    }
+    case 'unpaid':
+      return Order.distinct('customerDetails.mobile', { status: 'confirmed', paymentStatus: { $ne: 'paid' } });
+    case 'pincode': {
+      const range = { $gte: segment.pincodeFrom, $lte: segment.pincodeTo };
+      const [fromOrders, fromProfiles] = await Promise.all([
+        Order.distinct('customerDetails.mobile', { 'customerDetails.pincode': range }),
+        Customer.distinct('mobile', { 'addresses.pincode': range }),
+      ]);
+      return [...new Set([...fromOrders, ...fromProfiles])];
+    }
+    default:
+      return null;
+  }
+}
+
+const finish = (campaignId, set) => PushCampaign.updateOne(
+  { _id: campaignId, status: 'sending' },
+  { $set: { ...set, finishedAt: new Date() } }
+);
+
+/**
+ * Send a due campaign. Claims it first (scheduled → sending) so it is sent
+ * once however many times it is queued. Cancelling while it sends stops it
+ * after the current batch.
+ */
+export async function deliverCampaign(campaignId) {
+  const campaign = await PushCampaign.findOneAndUpdate(
+    { _id: campaignId, status: 'scheduled', scheduledAt: { $lte: new Date() } },
+    { $set: { status: 'sending', startedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!campaign) return null;
+
+  try {
+    const mobiles = await segmentMobiles(campaign.segment);
+    const audience = [{ topics: 'offers' }];
+    if (mobiles) {
+      audience.push(customersDevicesFilter(mobiles));
+      await PushCampaign.updateOne({ _id: campaign._id }, { $set: { 'stats.customers': mobiles.length } });
+    }
+
+    // Tamil devices get the Tamil text when there is one; everyone else English
+    const groups = campaign.title.ta && campaign.body.ta
+      ? [['ta', { language: 'ta' }], ['en', { language: { $ne: 'ta' } }]]
+      : [['en', null]];
+
+    let lastError;
+    for (const [language, languageFilter] of groups) {
+      const filter = { $and: languageFilter ? [...audience, languageFilter] : audience };
+      const result = await sendPush(filter, {
+        notification: { title: campaign.title[language], body: campaign.body[language] },
+        data: { type: 'campaign', campaignId: String(campaign._id) },
+        link: campaign.deepLink,
+      }, {
+        batchSize: campaign.batchSize,
+        pauseMs: campaign.pauseMs,
+        onBatch: async (batch) => {
+          const updated = await PushCampaign.findOneAndUpdate(
+            { _id: campaign._id },
+            {
+              $inc: {
+                'stats.devices': batch.devices,
+                'stats.successCount': batch.successCount,
+                'stats.failureCount': batch.failureCount,
+                'stats.removed': batch.removed,
+                'stats.batches': 1,
+              },
+            },
+            { new: true, projection: { status: 1 } }
+          ).lean();
+          return updated?.status === 'sending';
+        },
+      });
+      if (result.lastError) lastError = result.lastError;
+      if (result.stopped) {
+        console.log(`⚠️ Push campaign ${campaign.name} stopped after cancellation`);
+        return PushCampaign.findById(campaign._id).lean();
+      }
+    }
+
+    await finish(campaign._id, { status: 'sent', lastError });
+    console.log(`✅ Push campaign sent: ${campaign.name}`);
+  } catch (err) {
+    console.error(`❌ Push campaign ${campaign.name} failed:`, err.message);
+    await finish(campaign._id, { status: 'failed', lastError: err.message });
+  }
+  return PushCampaign.findById(campaign._id).lean();
+}
+
+/**
+ * Cancel a scheduled campaign, or stop one that is sending. Returns null when
+ * the campaign is not scheduled or sending.
+ */
+export async function cancelCampaign(campaignId) {
+  return PushCampaign.findOneAndUpdate(
+    { _id: campaignId, status: { $in: ['scheduled', 'sending'] } },
+    { $set: { status: 'cancelled', finishedAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Queue the send of a campaign that is due now.
+ */
+export const queueCampaign = (campaignId) => enqueue('push.campaign', { campaignId: String(campaignId) });
+
+// One attempt only: a retry would notify devices that already got it
+defineJob('push.campaign', async ({ campaignId }) => {
+  await deliverCampaign(campaignId);
+}, { attempts: 1 });
+
+const staleSendingMinutes = () => Number(process.env.PUSH_CAMPAIGN_STALE_MINUTES) || DEFAULT_STALE_SENDING_MINUTES;
+
+/**
+ * Mark campaigns stuck in "sending" for longer than the stale limit as failed.
+ * Campaigns are never resent automatically, since some devices may already
+ * have the notification. Returns how many were marked.
+ */
+export async function failStaleCampaigns() {
+  const minutes = staleSendingMinutes();
+  const { modifiedCount } = await PushCampaign.updateMany(
+    { status: 'sending', startedAt: { $lt: new Date(Date.now() - minutes * 60 * 1000) } },
+    { $set: { status: 'failed', finishedAt: new Date(), lastError: `Still sending after ${minutes} minutes; the send was interrupted` } }
+  );
+  if (modifiedCount) console.log(`⚠️ Marked ${modifiedCount} stale push campaign(s) as failed`);
+  return modifiedCount;
+}
+
+/**
+ * Start the background loop that queues scheduled campaigns once they are
+ * due and fails campaigns left sending by an interrupted send.
+ */
+export function startPushCampaignScheduler() {
+  let running = false;
+  const tick = async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await failStaleCampaigns();
+      const due = await PushCampaign.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } }, { _id: 1 })
+        .sort({ scheduledAt: 1 })
+        .lean();
+      for (const { _id } of due) {
+        await queueCampaign(_id);
+      }
+    } catch (err) {
+      console.error('❌ Push campaign scheduler error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CAMPAIGN_CHECK_INTERVAL_MS);
+  timer.unref?.();
+  tick();
+  return timer;
+}
@@ -0,0 +1,24 @@
+// utils/secrets.js
+// Signing secrets from the environment, read lazily because server.js loads
+// .env after its imports run. Outside production a missing secret becomes a
+// random one for the life of the process, which is safer than a value anyone
+// can read in the source; in production a missing secret is an error.
+import crypto from 'crypto';
+
+const fallbacks = new Map();
+
+/**
+ * The secret in `process.env[name]`. `effect` says what the random
+ * development fallback breaks, for the warning.
+ */
+export function envSecret(name, effect) {
+  if (process.env[name]) return process.env[name];
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  if (!fallbacks.has(name)) {
+    console.warn(`⚠️ ${name} not set - using a random secret, ${effect}`);
+    fallbacks.set(name, crypto.randomBytes(48).toString('hex'));
+  }
+  return fallbacks.get(name);
+}
@@ -0,0 +1,86 @@
+// utils/sms.js
+// SMS sending through one of several providers, each an object with
+// `isConfigured()` and `send({ to, body }) => Promise<{ id?: string }>`; pick
+// one with SMS_PROVIDER.
+//
+//   console - print the message (default outside production when Twilio is not configured)
+//   file    - append JSON lines to SMS_OUTBOX_FILE
+//   twilio  - send through Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM)
+//
+// In production nothing falls back to console: without SMS_PROVIDER or Twilio
+// settings sendSms throws (statusCode 503) rather than log OTPs in plain text.
+// Order notifications (utils/orderNotifications.js) never use that fallback.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const consoleProvider = {
+  isConfigured: () => true,
+  async send({ to, body }) {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return {};
+  },
+};
+
+const fileProvider = {
+  isConfigured: () => true,
+  async send({ to, body }) {
+    const file = process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), 'sms-outbox.log');
+    await fs.promises.appendFile(file, JSON.stringify({ to, body, sentAt: new Date().toISOString() }) + '\n');
+    return {};
+  },
+};
+
+let twilioClient = null;
+const twilioProvider = {
+  isConfigured: () => Boolean(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM),
+  async send({ to, body }) {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+      throw new Error('Twilio is not configured. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM.');
+    }
+    if (!twilioClient) {
+      const { default: twilio } = await import('twilio');
+      twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+    }
+    const message = await twilioClient.messages.create({ to, from: TWILIO_FROM, body });
+    return { id: message.sid };
+  },
+};
+
+const providers = new Map([
+  ['console', consoleProvider],
+  ['file', fileProvider],
+  ['twilio', twilioProvider],
+]);
+
+// SMS_PROVIDER, or Twilio when its account is set; null when neither
+const configuredProviderName = () => process.env.SMS_PROVIDER
+  || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : null);
+
+/**
+ * True when a provider was chosen (SMS_PROVIDER or the Twilio settings) and
+ * has what it needs; the development console fallback does not count.
+ */
+export const isSmsConfigured = () => Boolean(providers.get(configuredProviderName())?.isConfigured());
+
+const selectedProviderName = () => configuredProviderName()
+  || (process.env.NODE_ENV === 'production' ? null : 'console');
+
+/**
+ * Send one SMS through the configured provider. `to` is in E.164 form.
+ * Throws with statusCode 503 when no provider is configured in production.
+ */
+export async function sendSms({ to, body }) {
+  const name = selectedProviderName();
+  if (!name) {
+    const err = new Error('SMS is not configured. Set SMS_PROVIDER or the TWILIO_* settings.');
+    err.statusCode = 503;
+    throw err;
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}". Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider.send({ to, body });
+}
@@ -0,0 +1,99 @@
+// utils/upi.js
+// UPI payment requests for orders. Customers pay from any UPI app outside the
+// system; the upi://pay link and its QR code pre-fill our VPA, the exact
+// amount still due and the orderId as the transaction note, so the payment
+// reaches the bank statement carrying the order number (utils/bankStatement.js).
+//
+//   UPI_VPA         payee address, e.g. kmpyrotech@okaxis; no UPI requests without it
+//   UPI_PAYEE_NAME  name shown in the UPI app (default GST_SELLER_NAME)
+//
+// QR images need the "qrcode" package, loaded on first use; without it only
+// the link is returned.
+
+const VPA_PATTERN = /^[\w.-]{2,256}@[A-Za-z][\w.-]{1,63}$/;
+
+export const isUpiConfigured = () => VPA_PATTERN.test(process.env.UPI_VPA || '');
+
+// Uses the verified total kept on the order by utils/payments.js
+const amountDue = (order) => Math.max(Math.round((Number(order.total) || 0) * 100) - Math.round((order.amountPaid || 0) * 100), 0) / 100;
+
+const payeeName = () => process.env.UPI_PAYEE_NAME || process.env.GST_SELLER_NAME || 'KM PYROTECH';
+
+/**
+ * upi://pay intent link for an amount, with the orderId as the note. Values
+ * are percent-encoded (some UPI apps read "+" literally) except the "@" of
+ * the VPA, which some apps do not decode.
+ */
+export function upiPaymentLink({ amount, orderId }) {
+  const params = {
+    pa: process.env.UPI_VPA,
+    pn: payeeName(),
+    am: Number(amount).toFixed(2),
+    cu: 'INR',
+    tn: String(orderId),
+  };
+  const query = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&');
+  return `upi://pay?${query}`;
+}
+
+let qrcode;
+async function loadQrCode() {
+  if (qrcode === undefined) {
+    try {
+      ({ default: qrcode } = await import('qrcode'));
+    } catch {
+      console.warn('⚠️ "qrcode" package not installed - UPI requests will not include QR codes');
+      qrcode = null;
+    }
+  }
+  return qrcode;
+}
+
+/**
+ * QR code for a UPI link as a PNG buffer (for the invoice), or null when QR
+ * codes are not available.
+ */
+export async function upiQrPng(link) {
+  const lib = await loadQrCode();
+  return lib ? lib.toBuffer(link, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 240 }) : null;
+}
+
+/**
+ * The UPI payment request for what is left to pay on an order:
+ * { vpa, payeeName, amount, note, link, qrCode } with `qrCode` a PNG data URL
+ * (or null). Null when UPI is not configured or nothing is due. Never throws.
+ */
+export async function upiPaymentRequest(order) {
+  if (!isUpiConfigured()) return null;
+  const amount = amountDue(order);
+  if (amount <= 0) return null;
+  const link = upiPaymentLink({ amount, orderId: order.orderId });
+  let qrCode = null;
+  try {
+    const lib = await loadQrCode();
+    if (lib) qrCode = await lib.toDataURL(link, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+  } catch (err) {
+    console.warn(`⚠️ Could not draw UPI QR code for order ${order.orderId}:`, err.message);
+  }
+  return { vpa: process.env.UPI_VPA, payeeName: payeeName(), amount, note: String(order.orderId), link, qrCode };
+}
+
+/**
+ * The UPI block printed on the invoice: { vpa, amount, note, link, qrPng }, or
+ * null when UPI is not configured or nothing is due. Never throws.
+ */
+export async function upiInvoicePayment(order) {
+  if (!isUpiConfigured()) return null;
+  const amount = amountDue(order);
+  if (amount <= 0) return null;
+  const link = upiPaymentLink({ amount, orderId: order.orderId });
+  let qrPng = null;
+  try {
+    qrPng = await upiQrPng(link);
+  } catch (err) {
+    console.warn(`⚠️ Could not draw UPI QR code for invoice ${order.orderId}:`, err.message);
+  }
+  return { vpa: process.env.UPI_VPA, amount, note: String(order.orderId), link, qrPng };
+}
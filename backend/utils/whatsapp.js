@@ -0,0 +1,94 @@
+// utils/whatsapp.js
+// WhatsApp template messages through one of several providers, each an object with
+// `isConfigured()` and `send({ to, template, language, params }) => Promise<{ id?: string }>`;
+// pick one with WHATSAPP_PROVIDER (default cloud when WHATSAPP_TOKEN is set).
+// With neither, sending throws (statusCode 503); the stubs run only when chosen.
+//
+//   console - print the message
+//   file    - append JSON lines to WHATSAPP_OUTBOX_FILE
+//   cloud   - send through the WhatsApp Cloud API (WHATSAPP_TOKEN,
+//             WHATSAPP_PHONE_NUMBER_ID, optional WHATSAPP_API_VERSION)
+//
+// Business-initiated messages must use templates approved in WhatsApp
+// Manager; `params` fill the template body's {{1}}, {{2}}, ... in order.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const consoleProvider = {
+  isConfigured: () => true,
+  async send({ to, template, language, params }) {
+    console.log(`💬 WhatsApp ${template} (${language}) to ${to}: ${params.join(' | ')}`);
+    return {};
+  },
+};
+
+const fileProvider = {
+  isConfigured: () => true,
+  async send({ to, template, language, params }) {
+    const file = process.env.WHATSAPP_OUTBOX_FILE || path.join(os.tmpdir(), 'whatsapp-outbox.log');
+    await fs.promises.appendFile(file, JSON.stringify({ to, template, language, params, sentAt: new Date().toISOString() }) + '\n');
+    return {};
+  },
+};
+
+const cloudProvider = {
+  isConfigured: () => Boolean(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID),
+  async send({ to, template, language, params }) {
+    const { WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID, WHATSAPP_API_VERSION } = process.env;
+    if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_NUMBER_ID) {
+      throw new Error('WhatsApp Cloud API is not configured. Set WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID.');
+    }
+    const url = `https://graph.facebook.com/${WHATSAPP_API_VERSION || 'v19.0'}/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'template',
+        template: {
+          name: template,
+          language: { code: language },
+          components: [{ type: 'body', parameters: params.map((text) => ({ type: 'text', text })) }],
+        },
+      }),
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const err = new Error(result.error?.message || `WhatsApp Cloud API responded ${response.status}`);
+      err.statusCode = response.status;
+      throw err;
+    }
+    return { id: result.messages?.[0]?.id };
+  },
+};
+
+const providers = new Map([
+  ['console', consoleProvider],
+  ['file', fileProvider],
+  ['cloud', cloudProvider],
+]);
+
+const selectedProviderName = () => process.env.WHATSAPP_PROVIDER
+  || (process.env.WHATSAPP_TOKEN ? 'cloud' : null);
+
+export const isWhatsAppConfigured = () => Boolean(providers.get(selectedProviderName())?.isConfigured());
+
+/**
+ * Send one template message through the configured provider. `to` is in
+ * E.164 form; every param must be non-empty text.
+ */
+export async function sendWhatsAppTemplate({ to, template, language = 'en', params = [] }) {
+  const name = selectedProviderName();
+  if (!name) {
+    const err = new Error('WhatsApp is not configured. Set WHATSAPP_PROVIDER or the WHATSAPP_* Cloud API settings.');
+    err.statusCode = 503;
+    throw err;
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown WHATSAPP_PROVIDER "${name}". Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return provider.send({ to, template, language, params: params.map((param) => String(param)) });
+}